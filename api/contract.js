@@ -0,0 +1,441 @@
+// The /api contract: every route's path parameters, query and body as schemas
+// (api/schema.js checks requests against them), what it returns, and the errors it
+// can answer with beyond the ones every route shares. GET /api/openapi.json
+// publishes it as an OpenAPI document (api/openapi.js).
+//   'METHOD /api/path/:param': { summary, tag, public, params, query, body, response, errors }
+// `public` routes don't need a token; `errors` maps a status to { code: description }.
+
+// ISO 639 code, optionally with a region or script: "es", "pt-BR", "zh-Hant".
+const LANG_CODE_PATTERN = '^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$';
+
+const LIMITS = {
+    words: 5000,          // words per request to resolve, pass or act on
+    importWords: 20000,   // words per plain word-list import
+    syncEvents: 500,      // offline events per /api/sync call
+    quizAnswers: 50,
+    word: 100,            // characters in one word or expression
+    sentence: 10000,      // the dictionaries only see the first 1000 characters
+    passage: 100000
+};
+
+const LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const language = (description) => ({
+    type: 'string', pattern: LANG_CODE_PATTERN, 'x-pattern-message': 'must be a language code such as "es" or "pt-BR"', description
+});
+const langCode = { ...language('Language being learned.'), default: 'es' };
+const word = { type: 'string', minLength: 1, maxLength: LIMITS.word };
+const words = (maxItems = LIMITS.words) => ({ type: 'array', items: word, maxItems });
+const id = (description) => ({ type: 'integer', minimum: 1, description });
+const sessionId = { type: ['integer', 'null'], minimum: 1, description: 'Reading session; the active one when omitted.' };
+const elapsedSeconds = { type: ['number', 'null'], minimum: 0, description: 'Reading time since the last report; long idle stretches are capped.' };
+const onConflict = { type: 'string', enum: ['keep', 'overwrite'], default: 'keep', description: 'What to do with words that already have progress.' };
+const dryRun = { type: 'boolean', default: false, description: 'Only report what would happen.' };
+const object = (properties, required = []) => (required.length > 0 ? { type: 'object', properties, required } : { type: 'object', properties });
+const success = object({ success: { type: 'boolean' } });
+const cardState = object({
+    step: { type: 'integer' }, interval: { type: 'number' }, nextReview: { type: 'string' }, status: { type: 'string' },
+    isTarget: { type: ['boolean', 'integer'], description: '1 or true while waiting in the target queue.' },
+    stability: { type: ['number', 'null'] }, difficulty: { type: ['number', 'null'] }, lastReview: { type: ['string', 'null'] }
+});
+
+const sessionParams = object({ id: id('Session id.') }, ['id']);
+const textParams = object({ id: id('Text id.') }, ['id']);
+const sessionNotFound = { 404: { SESSION_NOT_FOUND: 'No session with this id for this user.' } };
+const textNotFound = { 404: { TEXT_NOT_FOUND: 'No text with this id for this user.' } };
+
+// Response shapes, published under components.schemas.
+const SCHEMAS = {
+    Error: object({
+        error: { type: 'string', description: 'What went wrong, for people.' },
+        code: { type: 'string', description: 'Stable error code, for programs.' },
+        details: { type: 'array', items: object({ path: { type: 'string' }, message: { type: 'string' } }) }
+    }, ['error', 'code']),
+    AuthResult: object({ token: { type: 'string' }, user: object({ username: { type: 'string' } }) }),
+    Settings: object({
+        langCode: language('Language being learned.'), level: { type: 'string', enum: LEVELS },
+        glossLang: language('Language definitions are written in.'),
+        profile: { type: 'string' }, topic: { type: 'string' }, quiz: { type: 'boolean' }
+    }),
+    CardState: cardState,
+    VocabularyEntry: object({
+        word: { type: 'string' }, interval: { type: 'number' }, nextReview: { type: 'string' }, status: { type: 'string' },
+        step: { type: 'integer' }, isTarget: { type: 'boolean' }, targetOrder: { type: ['integer', 'null'] },
+        isDue: { type: 'boolean' }, forms: { type: 'array', items: { type: 'string' } }
+    }),
+    Definition: object({
+        definition: { type: 'string' }, explanation: { type: ['string', 'null'] }, partOfSpeech: { type: ['string', 'null'] },
+        dictionaryLemma: { type: ['string', 'null'] }, senses: { type: ['array', 'null'] }, example: { type: ['string', 'null'] },
+        saved: { type: ['string', 'null'] }, source: { type: ['string', 'null'] }, glossLang: { type: 'string' }, lemma: { type: 'string' }
+    }),
+    SessionSummary: object({
+        id: { type: 'integer' }, langCode: { type: 'string' }, state: { type: 'string', enum: ['active', 'finished', 'abandoned'] },
+        mode: { type: 'string', enum: ['normal', 'practice'] }, level: { type: ['string', 'null'] }, model: { type: ['string', 'null'] },
+        promptVariant: { type: ['string', 'null'] }, topic: { type: ['string', 'null'] }, createdAt: { type: 'string' },
+        updatedAt: { type: 'string' }, finishedAt: { type: ['string', 'null'] }, timeSpent: { type: 'number' },
+        lookups: { type: 'integer' }, quizEnabled: { type: 'boolean' }, quizScore: { type: ['object', 'null'] },
+        textId: { type: ['integer', 'null'] }, partIndex: { type: ['integer', 'null'] }, intendedCount: { type: 'integer' },
+        coverage: { type: ['number', 'null'] }, preview: { type: 'string' }
+    }),
+    SessionDetail: {
+        allOf: [ref('SessionSummary'), object({
+            passage: { type: 'string' }, lookedUpWords: { type: 'array', items: { type: 'string' } }, lookupLog: { type: 'array' },
+            intended: { type: ['object', 'null'] }, coverage: { type: ['object', 'null'] }, sourceSessionId: { type: ['integer', 'null'] },
+            quiz: { type: ['array', 'null'] }, quizResults: { type: ['object', 'null'] }, text: { type: ['object', 'null'] }
+        })]
+    },
+    Passage: object({
+        sessionId: { type: 'integer' }, passage: { type: 'string' }, coverage: { type: ['object', 'null'] }, quizEnabled: { type: 'boolean' }
+    }),
+    TextSummary: object({
+        id: { type: 'integer' }, title: { type: 'string' }, source: { type: 'string' }, position: { type: 'integer' },
+        partCount: { type: 'integer' }, finishedParts: { type: 'integer' }, words: { type: 'integer' },
+        createdAt: { type: 'string' }, updatedAt: { type: 'string' }
+    }),
+    ImportPreview: object({
+        header: { type: 'array', items: { type: 'string' } }, mapping: { type: 'object' }, summary: { type: 'object' },
+        rows: { type: 'array' }, dryRun: { type: 'boolean' }, applied: { type: 'object' }
+    })
+};
+
+const profileRequest = object({
+    langCode,
+    level: { type: 'string', enum: LEVELS, description: "Defaults to the user's setting." },
+    profile: { type: 'string', maxLength: 64, description: "Prompt profile id; defaults to the user's setting." },
+    topic: { type: 'string', maxLength: 200, description: 'Empty for a random topic of the profile.' },
+    quiz: { type: 'boolean', description: "Write a quiz for the passage; defaults to the user's setting." }
+});
+
+const ROUTES = {
+    'GET /api/openapi.json': {
+        summary: 'This document.', tag: 'meta', public: true,
+        response: { description: 'OpenAPI 3.1 document.', schema: { type: 'object' } }
+    },
+
+    'POST /api/auth/register': {
+        summary: 'Create an account and sign in.', tag: 'auth', public: true,
+        body: object({
+            username: { type: 'string', maxLength: 64, description: "3-32 letters, digits, '.', '_' or '-'; case-insensitive." },
+            password: { type: 'string', maxLength: 1024, description: 'At least 8 characters.' }
+        }, ['username', 'password']),
+        response: { schema: ref('AuthResult') },
+        errors: {
+            400: { INVALID_USERNAME: 'The username has characters or a length not allowed.', WEAK_PASSWORD: 'The password is too short.' },
+            403: { REGISTRATION_DISABLED: 'The server takes no new sign-ups.' },
+            409: { USERNAME_TAKEN: 'Someone already has that username.' }
+        }
+    },
+    'POST /api/auth/login': {
+        summary: 'Sign in.', tag: 'auth', public: true,
+        body: object({ username: { type: 'string', maxLength: 64 }, password: { type: 'string', maxLength: 1024 } }, ['username', 'password']),
+        response: { schema: ref('AuthResult') },
+        errors: { 401: { INVALID_CREDENTIALS: 'Unknown username or wrong password.' } }
+    },
+    'POST /api/auth/logout': { summary: 'Revoke the token used for this request.', tag: 'auth', response: { schema: success } },
+    'GET /api/auth/me': {
+        summary: 'The signed-in user.', tag: 'auth',
+        response: { schema: object({ user: object({ username: { type: 'string' } }) }) }
+    },
+
+    'GET /api/settings': { summary: "The user's settings.", tag: 'settings', response: { schema: ref('Settings') } },
+    'PUT /api/settings': {
+        summary: 'Change some settings; the ones left out are kept.', tag: 'settings',
+        body: {
+            type: 'object',
+            properties: {
+                langCode: language('Language being learned.'), level: { type: 'string', enum: LEVELS },
+                glossLang: language('Language definitions are written in.'),
+                profile: { type: 'string', maxLength: 64 }, topic: { type: 'string', maxLength: 200 }, quiz: { type: 'boolean' }
+            }
+        },
+        response: { schema: ref('Settings') }
+    },
+
+    'GET /api/stats': {
+        summary: 'Due forecast, daily activity, retention and leeches for one language.', tag: 'vocabulary',
+        query: object({ langCode, days: { type: 'integer', minimum: 1, maximum: 365, default: 30 } }),
+        response: {
+            schema: object({
+                days: { type: 'integer' }, forecast: { type: 'array' }, activity: { type: 'array' },
+                retention: object({ byStep: { type: 'array' }, byInterval: { type: 'array' } }),
+                leeches: { type: 'array' }, leechThreshold: { type: 'integer' }
+            })
+        }
+    },
+    'GET /api/vocabulary-list': {
+        summary: 'Every tracked word of a language, soonest due first.', tag: 'vocabulary',
+        query: object({ langCode }),
+        response: { schema: { type: 'array', items: ref('VocabularyEntry') } }
+    },
+    'POST /api/resolve-lemmas': {
+        summary: 'Dictionary forms of inflected words.', tag: 'vocabulary',
+        body: object({ words: words(), langCode }, ['words']),
+        response: {
+            description: 'Only the forms whose lemma differs from themselves.',
+            schema: object({ lemmas: { type: 'object', additionalProperties: { type: 'string' } } })
+        }
+    },
+    'POST /api/pass-words-batch': {
+        summary: 'Finish a session: every word read that was not looked up passes.', tag: 'reading',
+        body: object({ words: words(), langCode, sessionId, elapsedSeconds }, ['words']),
+        response: {
+            description: 'How many words passed as scheduled reviews, and how many were only read along the way.',
+            schema: object({
+                success: { type: 'boolean' }, practice: { type: 'boolean' },
+                credited: object({ scheduled: { type: 'integer' }, incidental: { type: 'integer' } }, ['scheduled', 'incidental'])
+            })
+        }
+    },
+    'POST /api/lookup-word': {
+        summary: 'Fail a word the reader clicked and define it.', tag: 'reading',
+        body: object({
+            word, text: { type: 'string', maxLength: LIMITS.word, description: 'The word as it appears in the passage.' },
+            sentence: { type: 'string', maxLength: LIMITS.sentence, description: 'The sentence it was clicked in.' },
+            langCode, sessionId, elapsedSeconds
+        }, ['word']),
+        response: {
+            description: 'The definition, and the word as it was before, for an undo.',
+            schema: { allOf: [ref('Definition'), object({ previousState: { oneOf: [ref('CardState'), { type: 'null' }] } })] }
+        }
+    },
+    'GET /api/define': {
+        summary: 'Define a word without failing it.', tag: 'reading',
+        query: object({
+            word, text: { type: 'string', maxLength: LIMITS.word }, sentence: { type: 'string', maxLength: LIMITS.sentence },
+            langCode, glossLang: language("Language to define it in (default: the account's setting).")
+        }, ['word']),
+        response: { schema: ref('Definition') },
+        errors: { 400: { WORD_REQUIRED: 'The word has no letters in it.' } }
+    },
+    'POST /api/undo-lookup': {
+        summary: 'Take back a lookup.', tag: 'reading',
+        body: object({
+            word, langCode, sessionId,
+            previousState: { ...cardState, type: ['object', 'null'], description: 'As returned by the lookup; null if the word was new.' }
+        }, ['word']),
+        response: { schema: success }
+    },
+    'POST /api/sync': {
+        summary: 'Apply lookups, undos and finishes queued offline, each id exactly once.', tag: 'reading',
+        body: object({
+            events: {
+                type: 'array', maxItems: LIMITS.syncEvents,
+                description: 'Events in the order they happened: { id, type: lookup | undo | finish, langCode, at, word?, words?, sessionId?, elapsedSeconds? }. ' +
+                             'Malformed events are rejected one by one, not the whole batch.'
+            }
+        }, ['events']),
+        response: {
+            description: 'One result per event. Every event except those with status "error" can be dropped by the client.',
+            schema: object({
+                results: {
+                    type: 'array',
+                    items: object({
+                        id: { type: ['string', 'null'] },
+                        status: { type: 'string', enum: ['applied', 'duplicate', 'conflict', 'skipped', 'rejected', 'error'] }
+                    })
+                }
+            })
+        }
+    },
+    'POST /api/bulk-action': {
+        summary: 'Reset or delete several words.', tag: 'vocabulary',
+        body: object({ words: { ...words(), minItems: 1 }, action: { type: 'string', enum: ['reset', 'delete'] }, langCode }, ['words', 'action']),
+        response: { schema: success }
+    },
+    'POST /api/reset-word': {
+        summary: 'Reset or delete one word.', tag: 'vocabulary',
+        body: object({ word, resetType: { type: 'string', enum: ['reset', 'delete'], default: 'reset' }, langCode }, ['word']),
+        response: { schema: success }
+    },
+    'POST /api/replay-schedule': {
+        summary: "Recompute every word's schedule from its review history with the active scheduler.", tag: 'vocabulary',
+        body: object({ langCode }),
+        response: { schema: object({ success: { type: 'boolean' }, scheduler: { type: 'string' }, events: { type: 'integer' }, words: { type: 'integer' } }) }
+    },
+    'POST /api/import-words': {
+        summary: 'Add a plain list of words.', tag: 'import',
+        body: object({
+            words: words(LIMITS.importWords), langCode,
+            makeTargetList: { type: 'boolean', default: false, description: 'Queue them as new words to introduce.' },
+            makeDueNow: { type: 'boolean', default: false, description: 'Make them due for review now.' }
+        }, ['words']),
+        response: { schema: success }
+    },
+    'POST /api/import-deck': {
+        summary: 'Import a CSV/TSV file or an Anki .apkg deck, with definitions and schedules.', tag: 'import',
+        body: object({
+            format: { type: 'string', enum: ['csv', 'apkg'], default: 'csv' },
+            content: { type: 'string', description: 'The file: text for csv, base64 for apkg.' },
+            delimiter: { type: 'string', maxLength: 1, description: 'Guessed when left out.' },
+            hasHeader: { type: 'boolean', default: true },
+            mapping: {
+                type: 'object', description: 'Column index of each field: word, definition, example, interval, due.',
+                additionalProperties: { type: ['integer', 'null'], minimum: 0 }
+            },
+            langCode, dryRun, onConflict, makeTargetList: { type: 'boolean', default: false }
+        }, ['content']),
+        response: { schema: ref('ImportPreview') },
+        errors: { 400: { INVALID_IMPORT: "The file couldn't be read in this format." } }
+    },
+    'GET /api/export': {
+        summary: 'Download the vocabulary of a language as CSV, or as a full JSON backup.', tag: 'import',
+        query: object({ langCode, format: { type: 'string', enum: ['csv', 'json'], default: 'csv' } }),
+        response: { description: 'A CSV file, or a backup to give to POST /api/restore.', contentType: 'text/csv', schema: { type: 'string' } }
+    },
+    'POST /api/restore': {
+        summary: 'Restore a JSON backup.', tag: 'import',
+        body: object({
+            backup: { type: 'object', description: 'A file from GET /api/export?format=json.' },
+            dryRun, onConflict
+        }, ['backup']),
+        response: { schema: object({ langCode: { type: 'string' }, dryRun: { type: 'boolean' }, applied: { type: 'object' } }) },
+        errors: { 400: { INVALID_BACKUP: 'Not a Syntagma backup, or one from a newer version.' } }
+    },
+
+    'POST /api/save-session': {
+        summary: 'Save progress on the session being read.', tag: 'sessions',
+        body: object({
+            passage: { type: 'string', maxLength: LIMITS.passage, description: 'Starts a session for it when there is none.' },
+            lookedUpWords: words(), langCode, sessionId, elapsedSeconds
+        }),
+        response: { schema: object({ success: { type: 'boolean' }, sessionId: { type: ['integer', 'null'] } }) }
+    },
+    'GET /api/load-session': {
+        summary: 'The session being read in a language, if any.', tag: 'sessions',
+        query: object({ langCode }),
+        response: {
+            schema: object({
+                sessionId: { type: ['integer', 'null'] }, mode: { type: 'string' }, passage: { type: ['string', 'null'] },
+                lookedUpWords: { type: 'array', items: { type: 'string' } }, coverage: { type: ['object', 'null'] },
+                quizEnabled: { type: 'boolean' }, text: { type: ['object', 'null'] }
+            })
+        }
+    },
+    'GET /api/sessions': {
+        summary: 'Past sessions, newest first.', tag: 'sessions',
+        query: object({
+            langCode, limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+            offset: { type: 'integer', minimum: 0, default: 0 }
+        }),
+        response: { schema: object({ sessions: { type: 'array', items: ref('SessionSummary') }, total: { type: 'integer' } }) }
+    },
+    'GET /api/sessions/:id': {
+        summary: 'One session with its passage, lookups and quiz.', tag: 'sessions',
+        params: sessionParams, response: { schema: ref('SessionDetail') }, errors: sessionNotFound
+    },
+    'POST /api/sessions/:id/resume': {
+        summary: 'Make an unfinished session the active one again.', tag: 'sessions',
+        params: sessionParams, response: { schema: ref('SessionDetail') },
+        errors: { ...sessionNotFound, 409: { SESSION_FINISHED: 'Finished sessions can only be re-read in practice mode.' } }
+    },
+    'POST /api/sessions/:id/practice': {
+        summary: 'Re-read a passage as a practice session, which leaves the schedule alone.', tag: 'sessions',
+        params: sessionParams, response: { schema: ref('SessionDetail') }, errors: sessionNotFound
+    },
+    'GET /api/sessions/:id/quiz': {
+        summary: "The session's quiz questions, written while the passage is read.", tag: 'sessions',
+        params: sessionParams,
+        response: {
+            schema: object({
+                enabled: { type: 'boolean' }, status: { type: 'string', enum: ['off', 'ready', 'unavailable', 'answered'] },
+                questions: { type: 'array' }, results: { type: ['object', 'null'] }
+            })
+        },
+        errors: sessionNotFound
+    },
+    'PUT /api/sessions/:id/quiz': {
+        summary: 'Turn the quiz on or off for one session.', tag: 'sessions',
+        params: sessionParams, body: object({ enabled: { type: 'boolean' } }, ['enabled']),
+        response: { schema: object({ enabled: { type: 'boolean' } }) }, errors: sessionNotFound
+    },
+    'POST /api/sessions/:id/quiz/answers': {
+        summary: 'Answer the quiz: wrong answers fail their word, all-right ones pass it.', tag: 'sessions',
+        params: sessionParams,
+        body: object({
+            answers: {
+                type: 'array', maxItems: LIMITS.quizAnswers,
+                items: { type: ['integer', 'string', 'null'], maxLength: LIMITS.word },
+                description: 'One per question: the option index for comprehension, the missing word for cloze.'
+            }
+        }, ['answers']),
+        response: {
+            schema: object({
+                score: { type: 'integer' }, total: { type: 'integer' }, results: { type: 'array' },
+                failed: { type: 'array', items: { type: 'string' } }, reinforced: { type: 'array', items: { type: 'string' } }
+            })
+        },
+        errors: {
+            ...sessionNotFound,
+            409: { QUIZ_OFF: 'The quiz is off for this session.', QUIZ_ANSWERED: 'It was already answered.', QUIZ_NOT_READY: "The questions aren't written yet." }
+        }
+    },
+
+    'POST /api/texts': {
+        summary: 'Add a text of your own (pasted, .txt or .epub), split into parts.', tag: 'texts',
+        body: object({
+            langCode, format: { type: 'string', enum: ['paste', 'txt', 'epub'], default: 'paste' },
+            content: { type: 'string', minLength: 1, description: 'The text, or the .epub file in base64.' },
+            title: { type: 'string', maxLength: 200 }, dryRun
+        }, ['content']),
+        response: {
+            description: 'The parts and how much of the text is already known; `id` once stored.',
+            schema: object({
+                id: { type: 'integer' }, title: { type: 'string' }, source: { type: 'string' },
+                parts: { type: 'array' }, coverage: { type: 'object' }
+            })
+        },
+        errors: { 400: { INVALID_TEXT: "The text couldn't be read, or is empty." } }
+    },
+    'GET /api/texts': {
+        summary: 'Your texts in a language.', tag: 'texts',
+        query: object({ langCode }),
+        response: { schema: object({ texts: { type: 'array', items: ref('TextSummary') } }) }
+    },
+    'GET /api/texts/:id': {
+        summary: 'A text and the reading state of each part.', tag: 'texts',
+        params: textParams,
+        response: { schema: { allOf: [ref('TextSummary'), object({ parts: { type: 'array' } })] } },
+        errors: textNotFound
+    },
+    'POST /api/texts/:id/parts/:index/open': {
+        summary: 'Read a part: resumes its session, starts one, or re-reads it in practice once finished.', tag: 'texts',
+        params: object({ id: id('Text id.'), index: { type: 'integer', minimum: 0, description: 'Part, from 0.' } }, ['id', 'index']),
+        response: { schema: ref('SessionDetail') },
+        errors: { 404: { ...textNotFound[404], PART_NOT_FOUND: 'The text has no part with this index.' } }
+    },
+    'DELETE /api/texts/:id': {
+        summary: 'Delete a text; sessions read from it stay in the history.', tag: 'texts',
+        params: textParams, response: { schema: success }, errors: textNotFound
+    },
+
+    'GET /api/prompt-profiles': {
+        summary: 'Passage styles available in a language.', tag: 'generation',
+        query: object({ langCode }),
+        response: { schema: { type: 'array', items: { type: 'object' } } }
+    },
+    'POST /api/generate-passage': {
+        summary: 'Generate the next passage from the review and target queues.', tag: 'generation',
+        body: profileRequest,
+        response: { schema: ref('Passage') },
+        errors: {
+            400: { UNKNOWN_PROFILE: 'No prompt profile with this id in this language.' },
+            502: { LLM_ERROR: 'The model or its API failed (bad key, used-up quota, unreachable endpoint, unusable reply); `error` says how.' }
+        }
+    },
+    'POST /api/generate-passage/stream': {
+        summary: 'Same as POST /api/generate-passage, streamed as Server-Sent Events.', tag: 'generation',
+        body: profileRequest,
+        response: {
+            description: 'Events: delta { text }, restart { attempt }, done { sessionId, passage, coverage, quizEnabled }, error { error, code } once the stream has begun; a failure before that is a JSON error.',
+            contentType: 'text/event-stream', schema: { type: 'string' }
+        },
+        errors: {
+            400: { UNKNOWN_PROFILE: 'No prompt profile with this id in this language.' },
+            502: { LLM_ERROR: 'The model or its API failed (bad key, used-up quota, unreachable endpoint, unusable reply); `error` says how.' }
+        }
+    }
+};
+
+module.exports = { ROUTES, SCHEMAS, LIMITS, LEVELS, LANG_CODE_PATTERN };
@@ -0,0 +1,39 @@
+// Every error response has the same shape:
+//   { error: "message for people", code: "STABLE_CODE_FOR_PROGRAMS", details?: [...] }
+// `code` won't change between versions; the wording of `error` may.
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    500: 'INTERNAL_ERROR'
+};
+
+const sendError = (res, status, code, message, details) =>
+    res.status(status).json(details ? { error: message, code, details } : { error: message, code });
+
+// What went wrong inside the server stays in its log; clients get only this.
+const INTERNAL_MESSAGE = 'Something went wrong on the server.';
+
+// For the catch blocks around route bodies: anything unexpected is a 500, logged here.
+const serverError = (res, err) => {
+    console.error('❌ Internal error:', err);
+    sendError(res, 500, STATUS_CODES[500], INTERNAL_MESSAGE);
+};
+
+// Express error middleware, last in the chain: malformed or oversized JSON bodies
+// from express.json() and anything a route threw outside its own try/catch.
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err.type === 'entity.parse.failed') return sendError(res, 400, 'INVALID_JSON', "The request body isn't valid JSON.");
+    if (err.type === 'entity.too.large') return sendError(res, 413, STATUS_CODES[413], "The request body is too large.");
+    const status = STATUS_CODES[err.status] ? err.status : 500;
+    if (status === 500) console.error(`❌ ${req.method} ${req.path}:`, err);
+    sendError(res, status, STATUS_CODES[status], status === 500 ? INTERNAL_MESSAGE : err.message);
+};
+
+const routeNotFound = (req, res) => sendError(res, 404, 'ROUTE_NOT_FOUND', `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`);
+
+module.exports = { sendError, serverError, errorHandler, routeNotFound, STATUS_CODES, INTERNAL_MESSAGE };
@@ -0,0 +1,86 @@
+// Errors any route can answer with, on top of the ones listed in its contract entry.
+const COMMON_ERRORS = {
+    400: { VALIDATION_FAILED: 'The parameters, query or body broke the schema; `details` lists each problem.', INVALID_JSON: "The body isn't valid JSON." },
+    401: { UNAUTHORIZED: 'No token, or one that expired or was revoked.' },
+    413: { PAYLOAD_TOO_LARGE: 'The body is over 50 MB.' },
+    500: { INTERNAL_ERROR: 'Something failed on the server; the details are in its log.' }
+};
+
+// "/api/texts/:id/parts/:index/open" -> "/api/texts/{id}/parts/{index}/open"
+const openApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const parametersOf = (schema, location) => Object.entries((schema && schema.properties) || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    description: property.description,
+    schema: { ...property, description: undefined }
+}));
+
+const errorResponses = (route) => {
+    const byStatus = {};
+    const add = (errors) => Object.entries(errors || {}).forEach(([status, codes]) => {
+        byStatus[status] = { ...byStatus[status], ...codes };
+    });
+    add(route.errors);
+    add({ 400: COMMON_ERRORS[400], 500: COMMON_ERRORS[500] });
+    if (!route.public) add({ 401: COMMON_ERRORS[401] });
+    if (route.body) add({ 413: COMMON_ERRORS[413] });
+
+    const responses = {};
+    Object.keys(byStatus).sort().forEach(status => {
+        const codes = byStatus[status];
+        responses[status] = {
+            description: Object.entries(codes).map(([code, text]) => `${code}: ${text}`).join(' '),
+            content: {
+                'application/json': {
+                    schema: { allOf: [{ $ref: '#/components/schemas/Error' }, { properties: { code: { enum: Object.keys(codes) } } }] }
+                }
+            }
+        };
+    });
+    return responses;
+};
+
+const buildOperation = (key, route) => {
+    const [method, path] = key.split(' ');
+    const response = route.response || {};
+    const operation = {
+        operationId: `${method.toLowerCase()}${path.replace(/^\/api/, '').replace(/[/.:-]+(\w)/g, (m, c) => c.toUpperCase())}`,
+        summary: route.summary,
+        tags: [route.tag],
+        parameters: [...parametersOf(route.params, 'path'), ...parametersOf(route.query, 'query')],
+        responses: {
+            200: {
+                description: response.description || 'OK',
+                content: { [response.contentType || 'application/json']: { schema: response.schema || { type: 'object' } } }
+            },
+            ...errorResponses(route)
+        }
+    };
+    if (route.body) operation.requestBody = { required: true, content: { 'application/json': { schema: route.body } } };
+    if (route.public) operation.security = [];
+    return operation;
+};
+
+// The contract as an OpenAPI 3.1 document (its schemas are JSON Schema, so they go in as they are).
+const buildOpenApi = (routes, schemas, { title, version, description }) => {
+    const paths = {};
+    Object.entries(routes).forEach(([key, route]) => {
+        const [method, path] = key.split(' ');
+        paths[openApiPath(path)] = { ...paths[openApiPath(path)], [method.toLowerCase()]: buildOperation(key, route) };
+    });
+    return JSON.parse(JSON.stringify({
+        openapi: '3.1.0',
+        info: { title, version, description },
+        servers: [{ url: '/' }],
+        security: [{ bearerAuth: [] }],
+        paths,
+        components: {
+            schemas,
+            securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token from /api/auth/register or /api/auth/login.' } }
+        }
+    }));
+};
+
+module.exports = { buildOpenApi, openApiPath, COMMON_ERRORS };
@@ -0,0 +1,114 @@
+// The subset of JSON Schema the API contract is written in, so the same schemas
+// check requests and are published as they are in the OpenAPI document:
+//   type        string | integer | number | boolean | array | object | null, or a list of them
+//   string      enum, minLength, maxLength, pattern
+//   number      minimum, maximum
+//   array       items, minItems, maxItems
+//   object      properties, required, additionalProperties (a schema)
+//   default     filled in when the value is missing
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const typesOf = (schema) => [].concat(schema.type || []);
+
+const matchesType = (types, value) => {
+    const actual = typeOf(value);
+    return types.length === 0 || types.includes(actual) || (actual === 'integer' && types.includes('number'));
+};
+
+const article = (type) => (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type;
+
+// -> [{ path, message }], empty when `value` is valid
+const check = (schema, value, path, errors = []) => {
+    const types = typesOf(schema);
+    if (!matchesType(types, value)) {
+        errors.push({ path, message: `must be ${types.filter(t => t !== 'null').map(article).join(' or ')}${types.includes('null') ? ' or null' : ''}` });
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: schema['x-pattern-message'] || `must match ${schema.pattern}` });
+        }
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be at least ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        // One bad item is reported, not thousands.
+        if (schema.items) {
+            const bad = value.findIndex((item, i) => check(schema.items, item, `${path}[${i}]`).length > 0);
+            if (bad >= 0) check(schema.items, value[bad], `${path}[${bad}]`, errors);
+        }
+    }
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            const property = (schema.properties || {})[key] || schema.additionalProperties;
+            if (property && item !== undefined) check(property, item, `${path}.${key}`, errors);
+        });
+    }
+    return errors;
+};
+
+// Query strings and path parameters arrive as strings: numbers and booleans are
+// parsed for properties declared as such. Anything unparseable is left for check().
+const coerce = (schema, value) => {
+    if (typeof value !== 'string') return value;
+    const types = typesOf(schema);
+    if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+};
+
+// Fills in declared defaults (for missing properties) and coerces query/params values.
+const prepare = (schema, input, { coerceStrings = false } = {}) => {
+    if (typeOf(input) !== 'object' || !schema.properties) return input;
+    const output = { ...input };
+    Object.entries(schema.properties).forEach(([key, property]) => {
+        if (output[key] === undefined && property.default !== undefined) output[key] = property.default;
+        else if (coerceStrings) output[key] = coerce(property, output[key]);
+    });
+    return output;
+};
+
+// Express middleware for a route that has a contract entry { params, query, body }:
+// req.params, req.query and req.body are checked against their schemas, with defaults
+// filled in, and the request is turned away with a 400 listing every problem found.
+// The contract entry is looked up by method and route path ("POST /api/lookup-word").
+const createValidator = (routes, sendError) => (req, res, next) => {
+    const key = `${req.method} ${req.route.path}`;
+    const route = routes[key];
+    if (!route) return sendError(res, 500, 'INTERNAL_ERROR', `No request schema for ${key}.`);
+
+    const errors = [];
+    ['params', 'query', 'body'].forEach(part => {
+        const schema = route[part];
+        if (!schema) return;
+        const value = prepare(schema, req[part] === undefined ? {} : req[part], { coerceStrings: part !== 'body' });
+        check(schema, value, part, errors);
+        req[part] = value;
+    });
+    if (errors.length === 0) return next();
+    const summary = errors.slice(0, 3).map(e => `${e.path} ${e.message}`).join('; ');
+    sendError(res, 400, 'VALIDATION_FAILED', `Invalid request: ${summary}${errors.length > 3 ? '; ...' : ''}.`, errors);
+};
+
+module.exports = { check, coerce, prepare, createValidator };
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const { sendError } = require('./api/errors');
+
+const TOKEN_TTL_DAYS = 30;
+
+// Passwords are stored as "scrypt$<salt>$<hash>", tokens only as their SHA-256.
+const hashPassword = (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, stored) => {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const candidate = crypto.scryptSync(password, salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === candidate.length && crypto.timingSafeEqual(candidate, expected);
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createAuth = (db) => {
+    const issueToken = (userId) => {
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        db.prepare('INSERT INTO auth_tokens (token_hash, user_id, expires_at) VALUES (?, ?, ?)')
+          .run(hashToken(token), userId, expiresAt);
+        return token;
+    };
+
+    const revokeToken = (token) => {
+        db.prepare('DELETE FROM auth_tokens WHERE token_hash = ?').run(hashToken(token));
+    };
+
+    // Express middleware: resolves "Authorization: Bearer <token>" to req.userId.
+    const authenticate = (req, res, next) => {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+        if (!token) return sendError(res, 401, 'UNAUTHORIZED', "Not signed in.");
+
+        const session = db.prepare(`
+            SELECT u.user_id, u.username 
+            FROM auth_tokens t JOIN users u ON u.user_id = t.user_id 
+            WHERE t.token_hash = ? AND datetime(t.expires_at) > datetime('now')
+        `).get(hashToken(token));
+        if (!session) return sendError(res, 401, 'UNAUTHORIZED', "Session expired. Please log in again.");
+
+        req.userId = session.user_id;
+        req.username = session.username;
+        req.token = token;
+        next();
+    };
+
+    return { issueToken, revokeToken, authenticate };
+};
+
+module.exports = { createAuth, hashPassword, verifyPassword };
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// The syntagma command line: see cli/index.js, or run `syntagma --help`.
+require('../cli').run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, err => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,42 @@
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const write = (text = '') => process.stdout.write(`${text}\n`);
+
+const printJson = (data) => write(JSON.stringify(data, null, 2));
+
+const cellText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(2);
+    return String(value);
+};
+
+// Columns are [{ key, label, align: 'right'?, format: (value, row) => text? }], sized to their widest cell.
+const printTable = (rows, columns) => {
+    if (rows.length === 0) return write('(none)');
+    const cells = rows.map(row => columns.map(c => cellText(c.format ? c.format(row[c.key], row) : row[c.key]).replace(/\s+/g, ' ')));
+    const widths = columns.map((c, i) => Math.max(c.label.length, ...cells.map(r => r[i].length)));
+    const line = (values) => values.map((v, i) => (columns[i].align === 'right' ? v.padStart(widths[i]) : v.padEnd(widths[i]))).join('  ').trimEnd();
+    write(line(columns.map(c => c.label)));
+    write(line(widths.map(w => '-'.repeat(w))));
+    cells.forEach(r => write(line(r)));
+};
+
+// "in 3d", "2h ago", "now"
+const relativeTime = (date, now = new Date()) => {
+    const ms = new Date(date).getTime() - now.getTime();
+    if (isNaN(ms)) return '';
+    const size = Math.abs(ms);
+    const amount = size >= DAY_MS ? `${Math.round(size / DAY_MS)}d` : size >= HOUR_MS ? `${Math.round(size / HOUR_MS)}h` : `${Math.round(size / 60000)}m`;
+    if (amount === '0m') return 'now';
+    return ms > 0 ? `in ${amount}` : `${amount} ago`;
+};
+
+const days = (value) => {
+    if (value === null || value === undefined) return '';
+    return value >= 1 ? `${Math.round(value * 10) / 10}d` : `${Math.round(value * 24 * 60)}m`;
+};
+
+const percent = (rate) => (rate === null || rate === undefined ? '-' : `${Math.round(rate * 100)}%`);
+
+module.exports = { write, printJson, printTable, relativeTime, days, percent };
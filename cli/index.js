@@ -0,0 +1,354 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { LANG_CODE_PATTERN, LEVELS } = require('../api/contract');
+const { normalizeWord, importKeys } = require('../shared/text');
+const { isLLMError } = require('../providers');
+const { setLogger } = require('../logger');
+const { write, printJson, printTable, relativeTime, days, percent } = require('./format');
+
+const USAGE = `Usage: syntagma <command> [options]
+
+Commands:
+  import <file|->          Add words from a word list (one per line; the first column of
+                           a tab- or comma-separated line), a .csv/.tsv file, an Anki .apkg
+                           deck or a JSON backup. "-" reads standard input.
+      --format words|csv|apkg|backup     guessed from the file name
+      --target                           queue new words as targets to introduce
+      --due-now                          make listed words due now (word lists)
+      --on-conflict keep|overwrite       words that already have progress (decks, backups)
+      --dry-run                          only show what would change
+  export                   The vocabulary as CSV, or a full JSON backup
+      --format csv|json  --out <file>
+  stats                    Due forecast, reading activity, retention and leeches
+      --days <n>                         forecast and activity window (default 30)
+  due                      Words due for review now
+      --all                              every tracked word instead
+      --limit <n>                        rows to show (default 50)
+  reset <word...>          Send words back to step 0 (--all: every word of the language)
+  delete <word...>         Remove words and their history (--all --yes: the whole language)
+  cache inspect|clear      Cached dictionary definitions, shared by every account
+      --word <w>  --gloss <lang>  --provider <name>  --limit <n>
+      --saved                            definitions from imports and glossaries instead;
+                                         clearing these needs --yes, they can't be fetched again
+  generate                 Write the next passage, exactly as "Next" in the web app would
+      --level <A1..C2>  --profile <id>  --topic <text>  --out <file>
+      --quiz, --no-quiz                  with or without a quiz (default: the account's setting)
+
+Every command:
+  --lang <code>      language (default: the account's current language)
+  --user <name>      account (needed when there is more than one)
+  --db <file>        database (default: DB_PATH from .env, or syntagma.db)
+  --json             machine-readable output
+  --verbose          the server's log lines, on stderr
+`;
+
+const OPTIONS = {
+    help: { type: 'boolean', short: 'h' },
+    lang: { type: 'string' },
+    user: { type: 'string' },
+    db: { type: 'string' },
+    json: { type: 'boolean' },
+    verbose: { type: 'boolean' },
+    format: { type: 'string' },
+    target: { type: 'boolean' },
+    'due-now': { type: 'boolean' },
+    'on-conflict': { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    out: { type: 'string', short: 'o' },
+    days: { type: 'string' },
+    limit: { type: 'string' },
+    all: { type: 'boolean' },
+    yes: { type: 'boolean', short: 'y' },
+    word: { type: 'string' },
+    gloss: { type: 'string' },
+    provider: { type: 'string' },
+    saved: { type: 'boolean' },
+    level: { type: 'string' },
+    profile: { type: 'string' },
+    topic: { type: 'string' },
+    quiz: { type: 'boolean' },
+    'no-quiz': { type: 'boolean' }
+};
+
+// Expected failures: printed as one line, without a stack trace.
+class CliError extends Error {}
+
+const oneOf = (name, value, allowed) => {
+    if (value !== undefined && !allowed.includes(value)) throw new CliError(`--${name} must be one of: ${allowed.join(', ')}`);
+    return value;
+};
+
+const positiveInteger = (name, value, fallback) => {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) throw new CliError(`--${name} must be a whole number above 0.`);
+    return number;
+};
+
+const languageOption = (name, value) => {
+    if (value !== undefined && !new RegExp(LANG_CODE_PATTERN).test(value)) {
+        throw new CliError(`--${name} must be a language code such as "es" or "pt-BR".`);
+    }
+    return value;
+};
+
+const resolveUser = (core, username) => {
+    const users = core.db.prepare('SELECT user_id, username FROM users ORDER BY created_at, username').all();
+    if (username) {
+        const user = users.find(u => u.username === username.trim().toLowerCase());
+        if (!user) throw new CliError(`No account named "${username}".`);
+        return user.user_id;
+    }
+    // Before any account exists, the data belongs to the legacy single user.
+    if (users.length === 0) return core.LEGACY_USER_ID;
+    if (users.length === 1) return users[0].user_id;
+    throw new CliError(`There are ${users.length} accounts; pick one with --user (${users.map(u => u.username).join(', ')}).`);
+};
+
+const readInput = (file) => {
+    if (!file) throw new CliError('Name a file to import, or "-" for standard input.');
+    try {
+        return file === '-' ? fs.readFileSync(0) : fs.readFileSync(file);
+    } catch (e) {
+        throw new CliError(`Can't read ${file}: ${e.message}`);
+    }
+};
+
+const writeOutput = (file, text) => {
+    if (!file) return write(text.replace(/\n$/, ''));
+    fs.writeFileSync(file, text);
+    console.error(`Wrote ${file}`);
+};
+
+const FORMAT_BY_EXTENSION = { '.apkg': 'apkg', '.csv': 'csv', '.tsv': 'csv', '.json': 'backup' };
+
+const SUMMARY_COLUMNS = ['new', 'updated', 'conflict', 'unchanged', 'skipped'].map(key => ({ key, label: key, align: 'right' }));
+
+const IMPORTERS = {
+    words: ({ core, userId, langCode, options }, content) => {
+        const words = content.toString('utf8').split(/\r?\n/).map(line => line.split(/[\t,;]/)[0].trim()).filter(Boolean);
+        const known = new Set(core.listVocabulary(userId, langCode).map(w => w.word));
+        const forms = [...new Set(words.flatMap(w => importKeys(w, langCode)))];
+        const summary = { new: forms.filter(w => !known.has(w)).length, existing: forms.filter(w => known.has(w)).length };
+        if (!options['dry-run']) {
+            core.importWordList(userId, langCode, words, { makeTargetList: !!options.target, makeDueNow: !!options['due-now'] });
+        }
+        return {
+            summary,
+            columns: [{ key: 'new', label: 'new', align: 'right' }, { key: 'existing', label: 'already tracked', align: 'right' }]
+        };
+    },
+
+    csv: (context, content) => importDeck(context, { format: 'csv', content: content.toString('utf8') }),
+
+    apkg: (context, content) => importDeck(context, { format: 'apkg', content: content.toString('base64') }),
+
+    // A backup restores into the language it was made from.
+    backup: ({ core, userId, options }, content) => {
+        let backup;
+        try { backup = JSON.parse(content.toString('utf8')); } catch (e) { throw new CliError(`Not a JSON file: ${e.message}`); }
+        if (!core.isBackup(backup)) throw new CliError("Not a Syntagma backup file.");
+        if (backup.version > core.BACKUP_VERSION) throw new CliError("This backup was made by a newer version of Syntagma.");
+        const plan = core.planRestore(userId, backup);
+        const preview = core.previewRestore(plan);
+        const rows = ['vocabulary', 'translations', 'sessions'].map(section => ({ section, ...preview[section].summary }));
+        const applied = options['dry-run'] ? null : core.applyRestore(userId, plan, { onConflict: options['on-conflict'] || 'keep' });
+        return { langCode: backup.langCode, summary: rows, applied, columns: [{ key: 'section', label: 'section' }, ...SUMMARY_COLUMNS] };
+    }
+};
+
+const importDeck = ({ core, userId, langCode, options }, upload) => {
+    const { parseImport } = require('../importers');
+    let parsed;
+    try { parsed = parseImport(upload); } catch (e) { throw new CliError(e.message); }
+    const now = new Date();
+    const plan = core.planDeckImport(userId, langCode, parsed.records, now);
+    const applied = options['dry-run'] ? null : core.applyDeckImport(userId, langCode, plan, {
+        onConflict: options['on-conflict'] || 'keep',
+        makeTargetList: !!options.target
+    }, now);
+    return { mapping: parsed.mapping, summary: core.summarizePlan(plan), applied, columns: SUMMARY_COLUMNS };
+};
+
+const COMMANDS = {
+    import: (context) => {
+        const { options, positionals } = context;
+        const file = positionals[0];
+        const format = oneOf('format', options.format, Object.keys(IMPORTERS)) ||
+                       FORMAT_BY_EXTENSION[path.extname(file || '').toLowerCase()] || 'words';
+        oneOf('on-conflict', options['on-conflict'], ['keep', 'overwrite']);
+        const result = IMPORTERS[format](context, readInput(file));
+        const { columns, ...report } = result;
+        if (options.json) return printJson({ format, langCode: context.langCode, dryRun: !!options['dry-run'], ...report });
+
+        write(`${options['dry-run'] ? 'Would import' : 'Imported'} ${format === 'words' ? 'a word list' : `a ${format} file`} ` +
+              `into ${report.langCode || context.langCode}:`);
+        printTable([].concat(report.summary), columns);
+        if (report.applied) write(`\nApplied: ${Object.entries(report.applied).map(([k, v]) => `${v} ${k}`).join(', ')}`);
+    },
+
+    export: ({ core, userId, langCode, options }) => {
+        const format = oneOf('format', options.format, ['csv', 'json']) || (options.json ? 'json' : 'csv');
+        const text = format === 'json' ? `${JSON.stringify(core.buildBackup(userId, langCode), null, 2)}\n` : core.exportCsv(userId, langCode);
+        writeOutput(options.out, text);
+    },
+
+    stats: ({ core, userId, langCode, options }) => {
+        const window = positiveInteger('days', options.days, 30);
+        if (window > 365) throw new CliError('--days can be at most 365.');
+        const report = core.statsReport(userId, langCode, window);
+        const vocabulary = core.listVocabulary(userId, langCode);
+        const totals = {
+            words: vocabulary.length,
+            dueNow: vocabulary.filter(w => w.isDue).length,
+            targets: vocabulary.filter(w => w.isTarget).length,
+            // Same line as the dashboard: a word counts as known from step 6 on.
+            known: vocabulary.filter(w => w.step >= 6).length
+        };
+        if (options.json) return printJson({ langCode, vocabulary: totals, ...report });
+
+        const sum = (key) => report.activity.reduce((total, day) => total + day[key], 0);
+        write(`${langCode}: ${totals.words} words, ${totals.dueNow} due now, ${totals.targets} targets queued, ${totals.known} known`);
+        write(`Last ${window} days: ${sum('passed')} passed, ${sum('lookedUp')} looked up, ${sum('minutes')} minutes read\n`);
+        write('Due in the next 7 days:');
+        printTable(report.forecast.slice(0, 7), [{ key: 'day', label: 'day' }, { key: 'due', label: 'due', align: 'right' }]);
+        write('\nRetention by step:');
+        printTable(report.retention.byStep, [
+            { key: 'step', label: 'step', align: 'right' }, { key: 'reviews', label: 'reviews', align: 'right' },
+            { key: 'rate', label: 'read without lookup', align: 'right', format: percent }
+        ]);
+        write('\nRetention by interval:');
+        printTable(report.retention.byInterval.filter(b => b.reviews > 0), [
+            { key: 'bucket', label: 'interval' }, { key: 'reviews', label: 'reviews', align: 'right' },
+            { key: 'rate', label: 'read without lookup', align: 'right', format: percent }
+        ]);
+        write(`\nLeeches (looked up ${report.leechThreshold}+ times):`);
+        printTable(report.leeches.slice(0, 20), [
+            { key: 'word', label: 'word' }, { key: 'lookups', label: 'lookups', align: 'right' },
+            { key: 'passes', label: 'passes', align: 'right' }, { key: 'step', label: 'step', align: 'right' }
+        ]);
+    },
+
+    due: ({ core, userId, langCode, options }) => {
+        const words = core.listVocabulary(userId, langCode).filter(w => options.all || w.isDue);
+        const limit = positiveInteger('limit', options.limit, options.json ? Infinity : 50);
+        if (options.json) return printJson(words.slice(0, limit));
+
+        const now = new Date();
+        printTable(words.slice(0, limit), [
+            { key: 'word', label: 'word' }, { key: 'status', label: 'status' },
+            { key: 'step', label: 'step', align: 'right' }, { key: 'interval', label: 'interval', align: 'right', format: days },
+            { key: 'nextReview', label: 'due', format: (value, row) => (row.isTarget ? 'target' : relativeTime(value, now)) }
+        ]);
+        if (words.length > limit) write(`... and ${words.length - limit} more (--limit)`);
+    },
+
+    reset: (context) => changeWords(context, 'reset'),
+
+    delete: (context) => changeWords(context, 'delete'),
+
+    cache: ({ core, options, positionals }) => {
+        const action = oneOf('action', positionals[0], ['inspect', 'clear']);
+        if (!action) throw new CliError('Use "cache inspect" or "cache clear".');
+        const store = options.saved ? 'saved' : 'senses';
+        const filter = {
+            langCode: languageOption('lang', options.lang),
+            glossLang: languageOption('gloss', options.gloss),
+            word: options.word && options.word.trim().toLowerCase(),
+            provider: options.provider
+        };
+
+        if (action === 'clear') {
+            if (store === 'saved' && !options.yes) {
+                throw new CliError('Saved definitions come from imports and glossaries and are not fetched again. Add --yes to clear them.');
+            }
+            const removed = core.clearCache(store, filter);
+            return options.json ? printJson({ store, removed }) : write(`Removed ${removed} ${store === 'saved' ? 'saved definitions' : 'cached senses'}.`);
+        }
+
+        const { total, entries } = core.listCache(store, filter, positiveInteger('limit', options.limit, 100));
+        if (options.json) return printJson({ store, total, entries });
+        printTable(entries, store === 'saved'
+            ? [{ key: 'word', label: 'word' }, { key: 'langCode', label: 'lang' }, { key: 'glossLang', label: 'gloss' },
+               { key: 'definition', label: 'definition' }]
+            : [{ key: 'word', label: 'word' }, { key: 'langCode', label: 'lang' }, { key: 'glossLang', label: 'gloss' },
+               { key: 'provider', label: 'provider' }, { key: 'sense', label: 'sense' },
+               { key: 'contexts', label: 'sentences', align: 'right' }]);
+        if (total > entries.length) write(`... ${total} in all (--limit)`);
+    },
+
+    generate: async ({ core, userId, langCode, options }) => {
+        const level = oneOf('level', options.level, LEVELS);
+        if (options.quiz && options['no-quiz']) throw new CliError('Use --quiz or --no-quiz, not both.');
+        const quiz = options['no-quiz'] ? false : options.quiz;
+        const request = core.generationRequest(userId, langCode, { level, profile: options.profile, topic: options.topic, quiz });
+        if (!request) throw new CliError(`Unknown prompt profile "${options.profile}" for ${langCode}.`);
+        const result = await core.deliverPassage(userId, langCode, request);
+        if (options.json) return printJson({ langCode, ...request, ...result });
+
+        writeOutput(options.out, `${result.passage}\n`);
+        const coverage = result.coverage ? `, ${Math.round(result.coverage.ratio * 100)}% of its scheduled words used` : '';
+        console.error(`Session ${result.sessionId} (${request.profile}, ${request.level}${coverage}) is now the passage open in the web app.`);
+    }
+};
+
+// Words are matched as stored: normalized the way the reader and the importers store them.
+const changeWords = ({ core, userId, langCode, options, positionals }, action) => {
+    const tracked = new Set(core.listVocabulary(userId, langCode).map(w => w.word));
+    if (options.all && positionals.length > 0) throw new CliError('Name words or use --all, not both.');
+    if (options.all && action === 'delete' && !options.yes) {
+        throw new CliError(`This deletes all ${tracked.size} ${langCode} words and their review history. Add --yes to go ahead.`);
+    }
+    const words = options.all ? [...tracked] : positionals.map(w => normalizeWord(w, langCode)).filter(Boolean);
+    if (words.length === 0) throw new CliError(`Name the words to ${action}, or use --all.`);
+
+    const found = words.filter(w => tracked.has(w));
+    const missing = words.filter(w => !tracked.has(w));
+    core.db.transaction(() => {
+        found.forEach(word => (action === 'delete' ? core.deleteWord : core.resetWord)(userId, langCode, word));
+    })();
+    if (options.json) return printJson({ action, langCode, words: found, missing });
+    write(`${action === 'delete' ? 'Deleted' : 'Reset'} ${found.length} ${langCode} word${found.length === 1 ? '' : 's'}.`);
+    if (missing.length > 0) write(`Not tracked: ${missing.join(', ')}`);
+};
+
+const run = async (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (e) {
+        console.error(`syntagma: ${e.message}\nRun "syntagma --help" for usage.`);
+        return 2;
+    }
+    const { values: options, positionals } = parsed;
+    const [command, ...rest] = positionals;
+    if (options.help || !command || command === 'help') {
+        write(USAGE);
+        return command || options.help ? 0 : 2;
+    }
+    if (!COMMANDS[command]) {
+        console.error(`syntagma: unknown command "${command}". Run "syntagma --help" for usage.`);
+        return 2;
+    }
+
+    // Before the server module loads: it opens the database and reads the environment.
+    if (options.db) process.env.DB_PATH = options.db;
+    process.env.PREFETCH = 'false';
+    setLogger(options.verbose ? console.error : null);
+
+    try {
+        const core = require('../server');
+        const userId = resolveUser(core, options.user);
+        const langCode = languageOption('lang', options.lang) || core.getSettings(userId).langCode;
+        await COMMANDS[command]({ core, userId, langCode, options, positionals: rest });
+        return 0;
+    } catch (e) {
+        // A model that fails says why, the same way a wrong option does.
+        if (!(e instanceof CliError) && !isLLMError(e)) throw e;
+        console.error(`syntagma: ${e.message}`);
+        return 1;
+    }
+};
+
+module.exports = { run, USAGE };
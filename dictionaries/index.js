@@ -0,0 +1,57 @@
+const path = require('path');
+const createOfflineDictionary = require('./offline');
+const createLLMDictionary = require('./llm');
+const createMyMemoryDictionary = require('./mymemory');
+
+// Every dictionary backend exposes the same shape:
+//   { name, label, contextual, define(request) -> Promise<entry | null> }
+// `request` is { word, text, lemma, sentence, sourceLang, glossLang }: the normalized
+// form, the text as clicked, our lemma guess and the sentence it was clicked in.
+// `entry` is { sense, definition, lemma?, partOfSpeech?, senses?: [{ partOfSpeech, gloss }], example? }.
+// Contextual backends read `sentence`; the rest answer the same for every context.
+// null means "not in this dictionary"; errors are logged and the next backend is tried.
+const DICTIONARIES = {
+    offline: createOfflineDictionary,
+    llm: createLLMDictionary,
+    mymemory: createMyMemoryDictionary
+};
+
+const getDictionaryConfig = (env = process.env) => ({
+    providers: (env.DICTIONARY_PROVIDERS || 'offline,llm,mymemory').split(',').map(n => n.trim().toLowerCase()).filter(Boolean),
+    dir: env.DICTIONARY_DIR || path.join(__dirname, 'data')
+});
+
+// Tries each configured backend in order and returns the first entry, tagged with
+// `provider` and whether it was chosen for this sentence (`contextual`).
+const createDictionary = (config = getDictionaryConfig(), deps = {}) => {
+    const unknown = config.providers.filter(name => !DICTIONARIES[name]);
+    if (unknown.length > 0 || config.providers.length === 0) {
+        throw new Error(`Unknown DICTIONARY_PROVIDERS "${unknown.join(',')}". Use any of: ${Object.keys(DICTIONARIES).join(', ')}`);
+    }
+    const backends = config.providers.map(name => DICTIONARIES[name](config, deps));
+
+    return {
+        label: backends.map(b => b.name).join(' → '),
+
+        // Whether a context-free answer from `name` is as good as this chain would give
+        // for a sentence, i.e. no contextual backend is ranked above it.
+        standsForContext(name) {
+            const rank = backends.findIndex(b => b.name === name);
+            return rank >= 0 && !backends.slice(0, rank).some(b => b.contextual);
+        },
+
+        async define(request) {
+            for (const backend of backends) {
+                try {
+                    const entry = await backend.define(request);
+                    if (entry) return { ...entry, provider: backend.name, contextual: backend.contextual && !!request.sentence };
+                } catch (e) {
+                    console.error(`⚠️  ${backend.name} dictionary failed: ${e.message}`);
+                }
+            }
+            return null;
+        }
+    };
+};
+
+module.exports = { createDictionary, getDictionaryConfig, DICTIONARIES };
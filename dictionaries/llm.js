@@ -0,0 +1,35 @@
+const { parseModelJSON } = require('../providers/parse');
+const { languageName } = require('../prompts');
+
+const buildDefinitionPrompt = ({ text, word, sentence, sourceLang, glossLang }) => [
+    `You are a ${languageName(sourceLang)}-${languageName(glossLang)} learner's dictionary.`,
+    sentence
+        ? `The reader clicked "${text || word}" in this sentence:\n"${sentence}"\nDefine it as it is used in THIS sentence.`
+        : `Define the word "${text || word}".`,
+    `Write the sense and definition in ${languageName(glossLang)}.`,
+    'Return ONLY a valid JSON object, no commentary:',
+    `{"lemma": "dictionary form, in ${languageName(sourceLang)}", "partOfSpeech": "noun, verb, adjective, idiom...", ` +
+    '"sense": "a short gloss of 1-4 words", "definition": "one sentence explaining this sense"}'
+].join('\n');
+
+// Asks the passage model what the word means in the sentence it was clicked in,
+// so "banco" next to a river isn't glossed as the place that holds your money.
+const createLLMDictionary = (config, { llm }) => ({
+    name: 'llm',
+    label: `LLM (${llm.label})`,
+    contextual: true,
+
+    async define(request) {
+        const reply = await llm.complete(buildDefinitionPrompt(request), request, { temperature: 0.2 });
+        const data = parseModelJSON(reply);
+        if (!data || (!data.sense && !data.definition)) return null;
+        return {
+            lemma: data.lemma || null,
+            partOfSpeech: data.partOfSpeech || null,
+            sense: data.sense || data.definition,
+            definition: data.definition || data.sense
+        };
+    }
+});
+
+module.exports = createLLMDictionary;
@@ -0,0 +1,20 @@
+const axios = require('axios');
+
+// The public MyMemory translation memory. Translates the word on its own, so it
+// can't tell senses apart; it's the fallback when nothing better answers.
+const createMyMemoryDictionary = () => ({
+    name: 'mymemory',
+    label: 'MyMemory',
+    contextual: false,
+
+    async define({ text, word, sourceLang, glossLang }) {
+        const query = text || word;
+        const apiUrl = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(query)}&langpair=${sourceLang}|${glossLang}`;
+        const response = await axios.get(apiUrl, { timeout: 5000 });
+        const translated = response.data?.responseData?.translatedText;
+        if (!translated) return null;
+        return { sense: translated, definition: translated };
+    }
+});
+
+module.exports = createMyMemoryDictionary;
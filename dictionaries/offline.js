@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { normalizeWord } = require('../shared/text');
+const { stripHtml } = require('../importers/anki');
+const { info } = require('../logger');
+
+// Local dictionary files in DICTIONARY_DIR, one per language pair, named
+// "<source>-<gloss>.<ext>" (e.g. es-en.jsonl). Supported formats:
+//   .ifo    StarDict: the .ifo plus its .idx(.gz) and .dict(.dz) next to it
+//   .jsonl  Wiktextract / kaikki.org dumps, one { word, pos, senses } per line
+//   .tsv    StarDict tabfile: "headword<TAB>definition", \n escapes for line breaks
+// A file is indexed the first time its pair is looked up and kept in memory.
+// Multi-word headwords ("darse cuenta") are keyed like tracked expressions.
+const EXTENSIONS = ['.ifo', '.jsonl', '.tsv', '.txt'];
+const MAX_SENSES = 8;
+
+const addEntry = (index, headword, langCode, entry) => {
+    if (!headword) return;
+    const key = normalizeWord(headword, langCode);
+    if (!key) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({ headword: headword.trim(), ...entry });
+};
+
+const splitGlosses = (text) => text.split('\n').map(l => l.trim()).filter(Boolean);
+
+const eachLine = async (file, onLine) => {
+    const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line.trim()) onLine(line);
+    }
+};
+
+const loadWiktextract = async (file, langCode) => {
+    const index = new Map();
+    await eachLine(file, (line) => {
+        let data;
+        try { data = JSON.parse(line); } catch (e) { return; }
+        const senses = (data.senses || []).filter(s => Array.isArray(s.glosses) && s.glosses.length > 0);
+        if (senses.length === 0) return;
+        const formOf = senses.every(s => Array.isArray(s.form_of) && s.form_of.length > 0) ? senses[0].form_of[0].word : null;
+        const example = senses.map(s => (s.examples || [])[0]).find(e => e && e.text);
+        addEntry(index, data.word, langCode, {
+            partOfSpeech: data.pos || null,
+            glosses: senses.map(s => s.glosses[s.glosses.length - 1]),
+            example: example ? example.text : null,
+            formOf
+        });
+    });
+    return index;
+};
+
+const loadTabfile = async (file, langCode) => {
+    const index = new Map();
+    await eachLine(file, (line) => {
+        const tab = line.indexOf('\t');
+        if (tab < 0) return;
+        const text = line.slice(tab + 1).replace(/\\n/g, '\n');
+        addEntry(index, line.slice(0, tab), langCode, { partOfSpeech: null, glosses: splitGlosses(text), example: null, formOf: null });
+    });
+    return index;
+};
+
+const readMaybeGzipped = (base, gzExt) => {
+    if (fs.existsSync(base)) return fs.readFileSync(base);
+    if (fs.existsSync(base + gzExt)) return zlib.gunzipSync(fs.readFileSync(base + gzExt));
+    throw new Error(`Missing ${path.basename(base)} for StarDict dictionary.`);
+};
+
+// StarDict entry data is either one text in the type given by "sametypesequence",
+// or a run of (type char, text\0) pieces. Upper-case types are binary and skipped.
+const decodeStarDictEntry = (data, sameTypeSequence) => {
+    const textOf = (type, text) => (type === 'h' || type === 'g' || type === 'x') ? stripHtml(text) : text;
+    if (sameTypeSequence && sameTypeSequence.length === 1) return textOf(sameTypeSequence, data.toString('utf8'));
+
+    const parts = [];
+    let i = 0;
+    while (i < data.length) {
+        const type = String.fromCharCode(data[i++]);
+        if (type === type.toUpperCase() && type !== type.toLowerCase()) {
+            i += 4 + data.readUInt32BE(i);
+            continue;
+        }
+        let end = data.indexOf(0, i);
+        if (end < 0) end = data.length;
+        parts.push(textOf(type, data.toString('utf8', i, end)));
+        i = end + 1;
+    }
+    return parts.join('\n');
+};
+
+const loadStarDict = async (file, langCode) => {
+    const info = {};
+    fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+        const eq = line.indexOf('=');
+        if (eq > 0) info[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+    });
+    const base = file.slice(0, -'.ifo'.length);
+    const idx = readMaybeGzipped(`${base}.idx`, '.gz');
+    const dict = readMaybeGzipped(`${base}.dict`, '.dz');
+    const wide = info.idxoffsetbits === '64';
+
+    const index = new Map();
+    let i = 0;
+    while (i < idx.length) {
+        const end = idx.indexOf(0, i);
+        if (end < 0) break;
+        const headword = idx.toString('utf8', i, end);
+        i = end + 1;
+        const offset = wide ? Number(idx.readBigUInt64BE(i)) : idx.readUInt32BE(i);
+        i += wide ? 8 : 4;
+        const size = idx.readUInt32BE(i);
+        i += 4;
+        addEntry(index, headword, langCode, {
+            partOfSpeech: null,
+            glosses: null,
+            decode: () => splitGlosses(decodeStarDictEntry(dict.subarray(offset, offset + size), info.sametypesequence)),
+            example: null,
+            formOf: null
+        });
+    }
+    return index;
+};
+
+// StarDict entries are decoded only when looked up.
+const glossesOf = (entry) => entry.glosses || entry.decode();
+
+const LOADERS = { '.ifo': loadStarDict, '.jsonl': loadWiktextract, '.tsv': loadTabfile, '.txt': loadTabfile };
+
+const createOfflineDictionary = (config) => {
+    const indexes = new Map();
+
+    // Index for a language pair, or null if there's no file for it.
+    const indexFor = (sourceLang, glossLang) => {
+        const pair = `${sourceLang}-${glossLang}`;
+        if (!indexes.has(pair)) {
+            const ext = EXTENSIONS.find(e => fs.existsSync(path.join(config.dir, pair + e)));
+            const load = ext
+                ? LOADERS[ext](path.join(config.dir, pair + ext), sourceLang).then(index => {
+                    info(`📚 Loaded ${pair}${ext} dictionary (${index.size} headwords)`);
+                    return index;
+                })
+                : Promise.resolve(null);
+            indexes.set(pair, load.catch(e => {
+                console.error(`⚠️  Couldn't load ${pair} dictionary: ${e.message}`);
+                return null;
+            }));
+        }
+        return indexes.get(pair);
+    };
+
+    return {
+        name: 'offline',
+        label: `Offline files (${config.dir})`,
+        contextual: false,
+
+        async define({ word, lemma, sourceLang, glossLang }) {
+            const index = await indexFor(sourceLang, glossLang);
+            if (!index) return null;
+            const entries = index.get(word) || (lemma && index.get(lemma));
+            if (!entries) return null;
+
+            // Inflected forms ("comí") often only say which lemma they belong to; show the lemma's senses too.
+            const formOf = entries.every(e => e.formOf) ? entries[0].formOf : null;
+            const lemmaEntries = formOf ? index.get(normalizeWord(formOf, sourceLang)) : null;
+            const shown = lemmaEntries || entries;
+            const senses = shown.flatMap(e => glossesOf(e).map(gloss => ({ partOfSpeech: e.partOfSpeech, gloss }))).slice(0, MAX_SENSES);
+            if (senses.length === 0) return null;
+
+            return {
+                lemma: formOf || entries[0].headword,
+                partOfSpeech: senses[0].partOfSpeech,
+                sense: senses[0].gloss,
+                definition: formOf ? glossesOf(entries[0])[0] : senses[0].gloss,
+                senses,
+                example: (shown.find(e => e.example) || {}).example || null
+            };
+        }
+    };
+};
+
+module.exports = createOfflineDictionary;
@@ -0,0 +1,38 @@
+const { extractWords, extractExpressions, isExpression } = require('../shared/text');
+
+// Which scheduled words actually made it into a generated passage. A word counts
+// as present if any token in the passage is that word or one of its forms; an
+// expression if its words appear together, in any form ("me di cuenta" for "darse cuenta").
+const measureCoverage = (passage, langCode, { review = [], target = [] }, lemmaOf = w => w) => {
+    const seen = new Set();
+    extractWords(passage, langCode).forEach(w => {
+        seen.add(w);
+        seen.add(lemmaOf(w));
+    });
+    const expressions = [...review, ...target].filter(w => isExpression(w, langCode));
+    extractExpressions(passage, langCode, expressions, lemmaOf).forEach(e => seen.add(e));
+
+    const split = (words) => ({
+        present: words.filter(w => seen.has(w)),
+        missing: words.filter(w => !seen.has(w))
+    });
+    const reviewCoverage = split(review);
+    const targetCoverage = split(target);
+
+    const total = review.length + target.length;
+    const present = reviewCoverage.present.length + targetCoverage.present.length;
+    return {
+        review: reviewCoverage,
+        target: targetCoverage,
+        ratio: total > 0 ? present / total : 1
+    };
+};
+
+// Appended to the original prompt when a passage leaves too many words out.
+const buildRepairInstruction = (coverage) => {
+    const missing = [...coverage.review.missing, ...coverage.target.missing];
+    return `\n\nIMPORTANT: A previous attempt left out these required words: ${missing.join(', ')}. ` +
+        `Write the passage again and make sure every one of them appears (inflected forms are fine).`;
+};
+
+module.exports = { measureCoverage, buildRepairInstruction };
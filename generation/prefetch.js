@@ -0,0 +1,84 @@
+const { info } = require('../logger');
+
+// Builds the next passage in the background while the current one is being read.
+//
+// `request` is what the reader asked for ({ level, profile, topic }).
+// `predict(userId, langCode, request, current)` returns the queue ({ review, target }) as it
+// will look once the current passage is finished; `generate(userId, langCode, request, queue)`
+// builds a passage for it. One prefetch is kept per user and language. Lookups
+// change the predicted queue: once it drifts more than `tolerance` from the queue
+// the prefetch was built for, the prefetch is dropped and rebuilt after `delayMs`
+// without further lookups.
+
+// Share of words in either queue that aren't in both (0 = identical, 1 = disjoint).
+const queueDrift = (a, b) => {
+    const left = new Set([...a.review, ...a.target]);
+    const right = new Set([...b.review, ...b.target]);
+    const union = new Set([...left, ...right]);
+    if (union.size === 0) return 0;
+    let shared = 0;
+    left.forEach(w => { if (right.has(w)) shared++; });
+    return (union.size - shared) / union.size;
+};
+
+const sameRequest = (a, b) => Object.keys({ ...a, ...b }).every(key => (a[key] ?? null) === (b[key] ?? null));
+
+const createPrefetcher = ({ predict, generate, tolerance = 0.2, delayMs = 10000, enabled = true }) => {
+    const slots = new Map();
+    const keyOf = (userId, langCode) => `${userId}:${langCode}`;
+
+    const launch = (userId, langCode) => {
+        const slot = slots.get(keyOf(userId, langCode));
+        if (!slot) return;
+        const basis = predict(userId, langCode, slot.request, slot.current);
+        const job = { request: slot.request, basis, result: null };
+        info(`⏩ Prefetching next ${langCode} passage (${basis.review.length} reviews, ${basis.target.length} targets)`);
+        job.promise = generate(userId, langCode, slot.request, basis)
+            .then(result => { job.result = result; return result; })
+            .catch(e => { console.error(`⚠️  Prefetch failed: ${e.message}`); return null; });
+        slot.job = job;
+    };
+
+    const cancelTimer = (slot) => {
+        if (slot && slot.timer) clearTimeout(slot.timer);
+    };
+
+    // A passage is now in front of the reader; `current` is { since } (when it was delivered).
+    const start = (userId, langCode, request, current = { since: new Date() }) => {
+        if (!enabled) return;
+        const key = keyOf(userId, langCode);
+        cancelTimer(slots.get(key));
+        slots.set(key, { request, current, job: null, timer: null });
+        launch(userId, langCode);
+    };
+
+    // The due set may have changed (lookup or undo).
+    const refresh = (userId, langCode) => {
+        const slot = slots.get(keyOf(userId, langCode));
+        if (!slot) return;
+        if (slot.job && queueDrift(predict(userId, langCode, slot.request, slot.current), slot.job.basis) <= tolerance) return;
+
+        if (slot.job) info(`🗑️  Prefetched ${langCode} passage invalidated by lookups`);
+        slot.job = null;
+        cancelTimer(slot);
+        slot.timer = setTimeout(() => launch(userId, langCode), delayMs);
+        slot.timer.unref();
+    };
+
+    // The prefetched passage, if it was built for the same request and (roughly) `queue`.
+    // Waits for it if it's still being generated. Null means generate live.
+    const take = async (userId, langCode, request, queue) => {
+        const slot = slots.get(keyOf(userId, langCode));
+        if (!slot || !slot.job) return null;
+        const { job } = slot;
+        slot.job = null;
+        if (!sameRequest(job.request, request) || queueDrift(queue, job.basis) > tolerance) return null;
+        return job.promise;
+    };
+
+    const has = (userId, langCode) => slots.has(keyOf(userId, langCode));
+
+    return { start, refresh, take, has };
+};
+
+module.exports = { createPrefetcher, queueDrift };
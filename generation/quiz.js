@@ -0,0 +1,81 @@
+const { parseModelJSON } = require('../providers/parse');
+const { languageName } = require('../prompts');
+const { normalizeWord } = require('../shared/text');
+
+// Comprehension and cloze questions on a passage, each hinging on one of the
+// scheduled words it uses. Stored with their answers; readers only ever see
+// publicQuestion() and answers are graded here, on the server.
+//   comprehension: { type, word, question, options: [..], answer: index of the right option }
+//   cloze:         { type, word, question: a sentence with "___", answer: the form that was removed }
+const QUIZ_TYPES = ['comprehension', 'cloze'];
+const BLANK = '___';
+
+const buildQuizPrompt = ({ passage, langCode, level, words, count }) => [
+    `You are writing a short reading quiz in ${languageName(langCode)} for a ${level} learner who has just read this passage:`,
+    `"""\n${passage}\n"""`,
+    `KEY WORDS: ${words.join(', ')}`,
+    `Write ${count} questions. Each one must hinge on a different KEY WORD: answering it must require understanding that word as it is used in the passage.`,
+    'Mix two types:',
+    '- "comprehension": a question about the passage with 3 or 4 options, exactly one of them right.',
+    `- "cloze": one sentence from the passage with the key word's form replaced by ${BLANK}; the answer is the exact form removed.`,
+    'Return ONLY a valid JSON object, no commentary:',
+    '{"questions": [{"type": "comprehension", "word": "key word", "question": "...", "options": ["...", "..."], "answer": 0}, ' +
+    `{"type": "cloze", "word": "key word", "question": "A sentence with ${BLANK} in it.", "answer": "removed form"}]}`
+].join('\n');
+
+// Drops malformed questions; `word` is kept only when it's one of the key words (as a lemma).
+const parseQuiz = (reply, { langCode, words, lemmaOf }) => {
+    const data = parseModelJSON(reply);
+    const keyWords = new Set(words);
+    const questions = [];
+    (Array.isArray(data.questions) ? data.questions : []).forEach(q => {
+        if (!q || !QUIZ_TYPES.includes(q.type) || typeof q.question !== 'string' || !q.question.trim()) return;
+        const lemma = q.word ? lemmaOf(normalizeWord(q.word, langCode)) : null;
+        const word = keyWords.has(lemma) ? lemma : null;
+
+        if (q.type === 'comprehension') {
+            const options = Array.isArray(q.options) ? q.options.map(o => String(o).trim()).filter(Boolean) : [];
+            const answer = Number.isInteger(q.answer) ? q.answer : options.indexOf(String(q.answer).trim());
+            if (options.length < 2 || options.length > 6 || answer < 0 || answer >= options.length) return;
+            questions.push({ type: 'comprehension', word, question: q.question.trim(), options, answer });
+        } else {
+            const answer = String(q.answer || '').trim();
+            if (!normalizeWord(answer, langCode)) return;
+            let question = q.question.trim().replace(/_{2,}/g, BLANK);
+            if (!question.includes(BLANK)) {
+                if (!question.includes(answer)) return;
+                question = question.replace(answer, BLANK);
+            }
+            questions.push({ type: 'cloze', word, question, answer });
+        }
+    });
+    return questions;
+};
+
+const publicQuestion = (q) => ({ type: q.type, question: q.question, options: q.options });
+
+// A cloze answer is right if it's the removed form or another form of the same word.
+const isCorrect = (q, given, { langCode, lemmaOf }) => {
+    if (q.type === 'comprehension') return Number(given) === q.answer;
+    const form = normalizeWord(given || '', langCode);
+    if (!form) return false;
+    const expected = normalizeWord(q.answer, langCode);
+    return form === expected || (!!q.word && lemmaOf(form) === q.word);
+};
+
+// -> { score, total, results: [{ index, word, given, correct, expected }] }
+const gradeQuiz = (questions, answers, context) => {
+    const results = questions.map((q, index) => {
+        const given = Array.isArray(answers) ? answers[index] ?? null : null;
+        return {
+            index,
+            word: q.word,
+            given,
+            correct: given !== null && given !== '' && isCorrect(q, given, context),
+            expected: q.type === 'comprehension' ? q.options[q.answer] : q.answer
+        };
+    });
+    return { score: results.filter(r => r.correct).length, total: results.length, results };
+};
+
+module.exports = { buildQuizPrompt, parseQuiz, publicQuestion, gradeQuiz };
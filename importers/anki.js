@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { readZip } = require('./zip');
+
+const FIELD_SEPARATOR = '\x1f';
+
+const ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'" };
+
+// Anki fields are HTML. Keep the text, drop markup and [sound:...] references.
+const stripHtml = (html) => (html || '')
+    .replace(/<br\s*\/?>|<\/div>|<\/p>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/\[sound:[^\]]*\]/g, '')
+    .replace(/&([a-z]+|#39);/gi, (m, name) => ENTITIES[name.toLowerCase()] ?? m)
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+    .split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+
+// The collection inside the zip. "collection.anki21b" (zstd, Anki 2.1.50+) can't be
+// read without extra dependencies; such packages also carry a placeholder
+// "collection.anki2", so check for it first.
+const extractCollection = (zip) => {
+    if (zip.has('collection.anki21')) return zip.read('collection.anki21');
+    if (zip.has('collection.anki21b')) {
+        throw new Error("This deck uses Anki's newer compressed format. Re-export it with \"Support older Anki versions\" ticked.");
+    }
+    if (zip.has('collection.anki2')) return zip.read('collection.anki2');
+    throw new Error("No Anki collection found in this .apkg file.");
+};
+
+const fieldNames = (collection, modelId, fieldCount) => {
+    let names = [];
+    try {
+        const models = JSON.parse(collection.prepare('SELECT models FROM col').pluck().get() || '{}');
+        names = ((models[modelId] || {}).flds || []).map(f => f.name);
+    } catch (e) { /* schema 18 keeps note types in their own tables */ }
+    if (names.length === 0) {
+        try {
+            names = collection.prepare('SELECT name FROM fields WHERE ntid = ? ORDER BY ord').pluck().all(modelId);
+        } catch (e) { /* no field names available */ }
+    }
+    return Array.from({ length: fieldCount }, (_, i) => names[i] || `Field ${i + 1}`);
+};
+
+// Card type 0 is new (no schedule). Review cards are due on a day number counted
+// from the collection's creation; cards in (re)learning are due at an epoch second.
+const cardSchedule = (card, createdAt) => {
+    if (card.type === 0) return null;
+    const interval = card.ivl > 0 ? card.ivl : Math.abs(card.ivl || 0) / 86400;
+    let nextReview = null;
+    if (card.queue === 1) nextReview = new Date(card.due * 1000).toISOString();
+    else if (card.queue === 2 || card.queue === 3 || card.type === 2) nextReview = new Date((createdAt + card.due * 86400) * 1000).toISOString();
+    return {
+        interval,
+        nextReview,
+        reads: Math.max(0, (card.reps || 0) - (card.lapses || 0)),
+        lookups: card.lapses || 0
+    };
+};
+
+// Returns { header, rows } where each row is { cells, schedule } for the note's first card.
+const readApkg = (buffer) => {
+    const content = extractCollection(readZip(buffer));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'syntagma-apkg-'));
+    const file = path.join(dir, 'collection.sqlite');
+    fs.writeFileSync(file, content);
+
+    const collection = new Database(file, { readonly: true });
+    try {
+        const createdAt = collection.prepare('SELECT crt FROM col').pluck().get() || Date.now() / 1000;
+        const notes = collection.prepare(`
+            SELECT n.id as noteId, n.mid as modelId, n.flds as fields, c.type, c.queue, c.ivl, c.due, c.reps, c.lapses
+            FROM notes n JOIN cards c ON c.nid = n.id
+            ORDER BY n.id, c.ord
+        `).all();
+
+        const rows = [];
+        const seen = new Set();
+        let header = [];
+        notes.forEach(note => {
+            if (seen.has(note.noteId)) return;
+            seen.add(note.noteId);
+            const cells = note.fields.split(FIELD_SEPARATOR).map(stripHtml);
+            if (header.length === 0) header = fieldNames(collection, String(note.modelId), cells.length);
+            rows.push({ cells, schedule: cardSchedule(note, createdAt) });
+        });
+        return { header, rows };
+    } finally {
+        collection.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+};
+
+module.exports = { readApkg, stripHtml };
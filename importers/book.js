@@ -0,0 +1,117 @@
+const path = require('path');
+const { readZip } = require('./zip');
+const { segmentText } = require('../shared/text');
+
+// Turns a pasted text, a .txt file or an EPUB into chapters, then into parts of
+// at most `maxWords` words that are each read as one session:
+//   { title, parts: [{ title, text, words }] }
+
+const ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeEntities = (text) => text
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&([a-z]+);/gi, (m, name) => ENTITIES[name.toLowerCase()] ?? m);
+
+// XHTML to paragraphs separated by blank lines; block elements end a paragraph.
+const htmlToText = (html) => decodeEntities(html
+    .replace(/<(head|script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|blockquote|section|tr)>/gi, '\n\n')
+    .replace(/<[^>]*>/g, ''))
+    .split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n\n');
+
+const firstMatch = (text, pattern) => {
+    const match = text.match(pattern);
+    return match ? htmlToText(match[1]).replace(/\s+/g, ' ').trim() : '';
+};
+
+const attribute = (tag, name) => {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+    return match ? decodeEntities(match[2] ?? match[3]) : null;
+};
+
+// Chapters in reading (spine) order, from the package file META-INF/container.xml points to.
+const readEpub = (buffer) => {
+    const zip = readZip(buffer);
+    const container = zip.read('META-INF/container.xml');
+    if (!container) throw new Error("Not an EPUB: META-INF/container.xml is missing.");
+    const rootTag = container.toString('utf8').match(/<rootfile\b[^>]*>/i);
+    const opfPath = rootTag && attribute(rootTag[0], 'full-path');
+    if (!opfPath || !zip.has(opfPath)) throw new Error("Not an EPUB: its package file is missing.");
+
+    const opf = zip.read(opfPath).toString('utf8');
+    const base = path.posix.dirname(opfPath);
+    const manifest = new Map();
+    (opf.match(/<item\b[^>]*>/gi) || []).forEach(tag => {
+        const id = attribute(tag, 'id');
+        const href = attribute(tag, 'href');
+        if (id && href) manifest.set(id, { href, type: attribute(tag, 'media-type') || '' });
+    });
+    const spine = (opf.match(/<itemref\b[^>]*>/gi) || []).map(tag => manifest.get(attribute(tag, 'idref'))).filter(Boolean);
+
+    const chapters = [];
+    spine.forEach(item => {
+        if (!/html/i.test(item.type) && !/\.x?html?$/i.test(item.href)) return;
+        const name = path.posix.normalize(path.posix.join(base === '.' ? '' : base, decodeURIComponent(item.href)));
+        const file = zip.read(name);
+        if (!file) return;
+        const html = file.toString('utf8');
+        const text = htmlToText(html);
+        if (!text) return;
+        chapters.push({ title: firstMatch(html, /<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i) || firstMatch(html, /<title>([\s\S]*?)<\/title>/i), text });
+    });
+    if (chapters.length === 0) throw new Error("This EPUB has no readable text.");
+    return { title: firstMatch(opf, /<dc:title\b[^>]*>([\s\S]*?)<\/dc:title>/i), chapters };
+};
+
+const countWords = (text, langCode) => segmentText(text, langCode).filter(t => t.key).length;
+
+// Paragraphs are kept whole unless one alone is over the limit, which is then cut between sentences.
+const paginate = (text, maxWords, langCode) => {
+    const blocks = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+    const paragraphs = (blocks.length > 1 ? blocks : text.split('\n').map(p => p.trim()).filter(Boolean))
+        .flatMap(p => countWords(p, langCode) <= maxWords ? [p] : (p.match(/[^.!?。！？]+[.!?。！？]*\s*/g) || [p]).map(s => s.trim()));
+
+    const pages = [];
+    let page = [];
+    let words = 0;
+    paragraphs.forEach(p => {
+        const count = countWords(p, langCode);
+        if (page.length > 0 && words + count > maxWords) {
+            pages.push({ text: page.join('\n\n'), words });
+            page = [];
+            words = 0;
+        }
+        page.push(p);
+        words += count;
+    });
+    if (page.length > 0) pages.push({ text: page.join('\n\n'), words });
+    return pages;
+};
+
+const FORMATS = {
+    paste: ({ content }) => ({ title: '', chapters: [{ title: '', text: String(content || '') }] }),
+    txt: ({ content }) => ({ title: '', chapters: [{ title: '', text: String(content || '').replace(/\r\n?/g, '\n') }] }),
+    epub: ({ content }) => readEpub(Buffer.from(content || '', 'base64'))
+};
+
+const parseBook = ({ format = 'paste', content, title, langCode, maxWords }) => {
+    const read = FORMATS[format];
+    if (!read) throw new Error(`Unknown text format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+    const book = read({ content });
+
+    const parts = [];
+    book.chapters.forEach((chapter, c) => {
+        const pages = paginate(chapter.text, maxWords, langCode);
+        const name = chapter.title || (book.chapters.length > 1 ? `Chapter ${c + 1}` : '');
+        pages.forEach((page, p) => {
+            const suffix = pages.length > 1 ? `${p + 1}/${pages.length}` : '';
+            parts.push({ title: name ? [name, suffix].filter(Boolean).join(' · ') : `Part ${parts.length + 1}`, text: page.text, words: page.words });
+        });
+    });
+    if (parts.length === 0) throw new Error("There's no text to read.");
+    return { title: (title || '').trim() || book.title || parts[0].text.slice(0, 60).split('\n')[0], parts };
+};
+
+module.exports = { parseBook, readEpub, paginate, htmlToText };
@@ -0,0 +1,48 @@
+// RFC 4180-style CSV/TSV: quoted fields may contain delimiters, newlines and "" escapes.
+const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    if (firstLine.includes('\t')) return '\t';
+    const count = (ch) => firstLine.split(ch).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+};
+
+const parseDelimited = (text, delimiter = detectDelimiter(text)) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+const formatDelimited = (rows, delimiter = ',') => rows.map(row => row.map(value => {
+    const cell = value === null || value === undefined ? '' : String(value);
+    return /["\r\n]/.test(cell) || cell.includes(delimiter) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}).join(delimiter)).join('\r\n') + '\r\n';
+
+module.exports = { detectDelimiter, parseDelimited, formatDelimited };
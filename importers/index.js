@@ -0,0 +1,69 @@
+const { parseDelimited, detectDelimiter, formatDelimited } = require('./csv');
+const { readApkg } = require('./anki');
+
+// Every importer turns an upload into a table: { header: [names], rows: [{ cells, schedule }] }.
+// `schedule` is { interval (days), nextReview, reads, lookups } when the source knows it.
+const FORMATS = {
+    csv: ({ content, delimiter, hasHeader = true }) => {
+        const rows = parseDelimited(content || '', delimiter || detectDelimiter(content || ''));
+        const width = Math.max(0, ...rows.map(r => r.length));
+        const header = hasHeader && rows.length > 0
+            ? rows.shift().map((name, i) => name.trim() || `Column ${i + 1}`)
+            : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+        return { header, rows: rows.map(cells => ({ cells, schedule: null })) };
+    },
+    apkg: ({ content }) => readApkg(Buffer.from(content || '', 'base64'))
+};
+
+const MAPPING_FIELDS = ['word', 'definition', 'example', 'interval', 'due'];
+
+const HEADER_GUESSES = {
+    word: /^(word|front|term|expression|lemma|vocab)/i,
+    definition: /^(definition|back|meaning|translation|gloss)/i,
+    example: /^(example|sentence|context)/i,
+    interval: /^(interval|ivl)/i,
+    due: /^(due|next[ _]?review)/i
+};
+
+// Column indexes for each field. Header names are matched first, then the
+// first two columns are assumed to be word and definition.
+const guessMapping = (header) => {
+    const mapping = {};
+    MAPPING_FIELDS.forEach(field => {
+        const index = header.findIndex(name => HEADER_GUESSES[field].test(name.trim()));
+        mapping[field] = index >= 0 ? index : null;
+    });
+    if (mapping.word === null) mapping.word = 0;
+    if (mapping.definition === null && header.length > 1 && mapping.word !== 1) mapping.definition = 1;
+    return mapping;
+};
+
+const cellAt = (cells, index) => {
+    if (index === null || index === undefined || index === '') return '';
+    return (cells[Number(index)] || '').trim();
+};
+
+const scheduleFromCells = (cells, mapping) => {
+    const interval = parseFloat(cellAt(cells, mapping.interval));
+    if (!Number.isFinite(interval)) return null;
+    const due = new Date(cellAt(cells, mapping.due));
+    return { interval, nextReview: isNaN(due) ? null : due.toISOString(), reads: 0, lookups: 0 };
+};
+
+// -> { header, mapping, records: [{ word, definition, example, schedule }] }
+const parseImport = ({ format = 'csv', mapping, ...upload }) => {
+    const read = FORMATS[format];
+    if (!read) throw new Error(`Unknown import format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+    const table = read(upload);
+    const resolved = { ...guessMapping(table.header), ...(mapping || {}) };
+
+    const records = table.rows.map(({ cells, schedule }) => ({
+        word: cellAt(cells, resolved.word),
+        definition: cellAt(cells, resolved.definition) || null,
+        example: cellAt(cells, resolved.example) || null,
+        schedule: schedule || scheduleFromCells(cells, resolved)
+    }));
+    return { header: table.header, mapping: resolved, records };
+};
+
+module.exports = { parseImport, formatDelimited, FORMATS };
@@ -0,0 +1,56 @@
+const zlib = require('zlib');
+
+// Minimal ZIP reader for .apkg decks (and anything else we get as a zip).
+// Reads the central directory, so data descriptors are fine; Zip64 and
+// encrypted archives are not supported.
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const findEndOfCentralDirectory = (buffer) => {
+    // The EOCD record is 22 bytes plus an optional comment of up to 64KB.
+    const stop = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let i = buffer.length - 22; i >= stop; i--) {
+        if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+    }
+    throw new Error("Not a zip archive.");
+};
+
+const readZip = (buffer) => {
+    const eocd = findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    if (offset === 0xffffffff) throw new Error("Zip64 archives are not supported.");
+
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error("Corrupt zip central directory.");
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+        entries.set(name, { method, compressedSize, localOffset, encrypted: (flags & 1) === 1 });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    const read = (name) => {
+        const entry = entries.get(name);
+        if (!entry) return null;
+        if (entry.encrypted) throw new Error(`"${name}" is encrypted.`);
+        const local = entry.localOffset;
+        if (buffer.readUInt32LE(local) !== LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry "${name}".`);
+        const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+        const data = buffer.subarray(start, start + entry.compressedSize);
+        if (entry.method === 0) return Buffer.from(data);
+        if (entry.method === 8) return zlib.inflateRawSync(data);
+        throw new Error(`Unsupported zip compression method ${entry.method} for "${name}".`);
+    };
+
+    return { names: [...entries.keys()], has: (name) => entries.has(name), read };
+};
+
+module.exports = { readZip };
@@ -0,0 +1,63 @@
+// German: weak verb conjugation, ge-...-t participles, noun plurals and adjective endings.
+// Everything is matched lowercased, as word_text is stored lowercased.
+const forms = {};
+const add = (lemma, list) => list.split(' ').forEach(f => { forms[f] = lemma; });
+
+add('sein', 'bin bist ist sind seid war warst waren wart gewesen sei wäre wären');
+add('haben', 'habe hast hat haben habt hatte hattest hatten gehabt hätte hätten');
+add('werden', 'werde wirst wird werdet wurde wurdest wurden geworden würde würden');
+add('gehen', 'gehe gehst geht ging gingen gegangen');
+add('können', 'kann kannst könnt konnte konnten gekonnt könnte könnten');
+add('müssen', 'muss musst müsst musste mussten gemusst müsste');
+add('wollen', 'will willst wollt wollte wollten gewollt');
+add('sollen', 'soll sollst sollt sollte sollten');
+add('dürfen', 'darf darfst dürft durfte durften');
+add('mögen', 'mag magst mögt mochte mochten möchte möchten');
+add('wissen', 'weiß weißt wisst wusste wussten gewusst');
+add('sehen', 'sehe siehst sieht seht sah sahen gesehen');
+add('geben', 'gebe gibst gibt gebt gab gaben gegeben');
+add('kommen', 'komme kommst kommt kam kamen gekommen');
+add('nehmen', 'nehme nimmst nimmt nehmt nahm nahmen genommen');
+add('sprechen', 'spreche sprichst spricht sprecht sprach sprachen gesprochen');
+add('essen', 'esse isst esst aß aßen gegessen');
+add('fahren', 'fahre fährst fährt fahrt fuhr fuhren gefahren');
+add('lesen', 'lese liest lest las lasen gelesen');
+add('finden', 'finde findest findet fand fanden gefunden');
+add('stehen', 'stehe stehst steht stand standen gestanden');
+add('denken', 'denke denkst denkt dachte dachten gedacht');
+add('bringen', 'bringe bringst bringt brachte brachten gebracht');
+add('bleiben', 'bleibe bleibst bleibt blieb blieben geblieben');
+add('schreiben', 'schreibe schreibst schreibt schrieb schrieben geschrieben');
+add('trinken', 'trinke trinkst trinkt trank tranken getrunken');
+
+// Function words the suffix rules would otherwise mangle.
+('der die das den dem des ein eine einen einem einer eines kein keine keinen keinem keiner ' +
+'ich du er sie es wir ihr mich dich sich uns euch ihnen mein meine meinen meinem meiner dein deine sein seine ' +
+'und oder aber denn wenn dass weil als auch noch schon nicht nur sehr immer heute morgen gestern unter hinter ' +
+'welche welcher welches diese dieser dieses diesen diesem jeden jeder jedes andere anderen')
+    .split(' ').forEach(f => { if (!forms[f]) forms[f] = f; });
+
+const rules = [
+    // Present and weak past
+    { suffix: 'e', to: ['en', ''] }, { suffix: 'st', to: ['en'] }, { suffix: 't', to: ['en'] },
+    { suffix: 'et', to: ['en'] }, { suffix: 'est', to: ['en'] },
+    { suffix: 'te', to: ['en'] }, { suffix: 'test', to: ['en'] },
+    { suffix: 'ten', to: ['en'] }, { suffix: 'tet', to: ['en'] },
+
+    // Participles: ge-mach-t, ge-fahr-en
+    { prefix: 'ge', suffix: 't', to: ['en'], strong: true },
+    { prefix: 'ge', suffix: 'et', to: ['en'], strong: true },
+    { prefix: 'ge', suffix: 'en', to: ['en'] },
+    { suffix: 'end', to: ['en'], strong: true },
+
+    // Noun plurals and adjective endings
+    { suffix: 'en', to: [''] }, { suffix: 'n', to: [''] },
+    { suffix: 'er', to: [''] }, { suffix: 's', to: [''] },
+    { suffix: 'em', to: [''] }, { suffix: 'es', to: [''] },
+    { suffix: 'innen', to: ['in'], strong: true },
+    { suffix: 'ungen', to: ['ung'], strong: true },
+    { suffix: 'heiten', to: ['heit'], strong: true },
+    { suffix: 'keiten', to: ['keit'], strong: true },
+];
+
+module.exports = { forms, rules };
@@ -0,0 +1,83 @@
+// Spanish: regular -ar/-er/-ir conjugation, plurals and gender agreement.
+const forms = {};
+const add = (lemma, list) => list.split(' ').forEach(f => { forms[f] = lemma; });
+
+add('ser', 'soy eres es somos sois son era eras éramos eran sea seas seamos sean siendo sido fuera fueran');
+add('ir', 'voy vas va vamos vais van iba ibas íbamos iban fui fuiste fue fuimos fueron vaya vayan yendo ido');
+add('estar', 'estoy estás está estamos estáis están estaba estaban estuve estuvo estuvieron esté estado');
+add('tener', 'tengo tienes tiene tenemos tienen tenía tenían tuve tuvo tuvieron tenga tendrá tendría');
+add('haber', 'he has ha hemos han había habían hubo haya hay habrá habría');
+add('hacer', 'hago haces hace hacemos hacen hacía hice hizo hicieron haga hecho hará haría');
+add('poder', 'puedo puedes puede podemos pueden podía pude pudo pudieron pueda podrá podría');
+add('decir', 'digo dices dice decimos dicen decía dije dijo dijeron diga dicho diciendo dirá diría');
+add('ver', 'veo ves ve vemos ven veía vi vio vieron vea visto viendo');
+add('dar', 'doy das da damos dan daba di dio dieron dé dado');
+add('saber', 'sé sabes sabe sabemos saben sabía supe supo supieron sepa sabrá sabría');
+add('querer', 'quiero quieres quiere queremos quieren quería quise quiso quisieron quiera querrá querría');
+add('venir', 'vengo vienes viene venimos vienen venía vine vino vinieron venga viniendo vendrá vendría');
+add('poner', 'pongo pones pone ponemos ponen puse puso pusieron ponga puesto pondrá pondría');
+add('salir', 'salgo sales sale salimos salen salió salga saldrá saldría');
+add('pensar', 'pienso piensas piensa piensan piense');
+add('sentir', 'siento sientes siente sienten sintió sintieron sintiendo');
+add('dormir', 'duermo duermes duerme duermen durmió durmieron durmiendo');
+add('pedir', 'pido pides pide piden pidió pidieron pidiendo');
+add('encontrar', 'encuentro encuentras encuentra encuentran');
+add('volver', 'vuelvo vuelves vuelve vuelven vuelto');
+add('conocer', 'conozco conozca');
+add('leer', 'leyó leyeron leyendo');
+add('escribir', 'escrito');
+add('abrir', 'abierto');
+add('morir', 'muerto muere mueren murió');
+
+// Function words and nouns the suffix rules would otherwise mangle.
+('como para pero sobre entre hasta nada cada todo toda todos todas este esta esto estos estas ese esa eso esos esas ' +
+'nosotros vosotros ellos ellas mismo misma mientras entonces antes después ahora siempre nunca también tampoco lado ' +
+'vida idea mano día mapa ciudad mujer hombre niño niña casa cosa gente mundo tiempo año vez once doce trece ' +
+'cuando cuándo donde dónde contraste desastre base clase')
+    .split(' ').forEach(f => { if (!forms[f]) forms[f] = f; });
+forms.veces = 'vez';
+
+const rules = [
+    // Gerunds and participles
+    { suffix: 'ando', to: ['ar'] },
+    { suffix: 'iendo', to: ['er', 'ir'] },
+    { suffix: 'yendo', to: ['er', 'ir'] },
+    { suffix: 'ado', to: ['ar'] }, { suffix: 'ada', to: ['ar'] },
+    { suffix: 'ados', to: ['ar'] }, { suffix: 'adas', to: ['ar'] },
+    { suffix: 'ido', to: ['er', 'ir'] }, { suffix: 'ida', to: ['er', 'ir'] },
+    { suffix: 'idos', to: ['er', 'ir'] }, { suffix: 'idas', to: ['er', 'ir'] },
+
+    // Present
+    { suffix: 'o', to: ['ar', 'er', 'ir'] },
+    { suffix: 'as', to: ['ar', 'a', 'o'] }, { suffix: 'a', to: ['ar', 'o'] },
+    { suffix: 'amos', to: ['ar'], strong: true }, { suffix: 'áis', to: ['ar'], strong: true },
+    { suffix: 'an', to: ['ar'] },
+    { suffix: 'es', to: ['er', 'ir', '', 'e'] }, { suffix: 'e', to: ['er', 'ir', 'ar'] },
+    { suffix: 'emos', to: ['er'], strong: true }, { suffix: 'éis', to: ['er'], strong: true },
+    { suffix: 'imos', to: ['ir', 'er'] }, { suffix: 'ís', to: ['ir'], strong: true },
+    { suffix: 'en', to: ['er', 'ir', 'ar'] },
+
+    // Preterite
+    { suffix: 'é', to: ['ar'] }, { suffix: 'aste', to: ['ar'] },
+    { suffix: 'ó', to: ['ar'] }, { suffix: 'asteis', to: ['ar'], strong: true },
+    { suffix: 'aron', to: ['ar'], strong: true },
+    { suffix: 'í', to: ['er', 'ir'] }, { suffix: 'iste', to: ['er', 'ir'] },
+    { suffix: 'ió', to: ['er', 'ir'] }, { suffix: 'ieron', to: ['er', 'ir'] },
+
+    // Imperfect
+    { suffix: 'aba', to: ['ar'], strong: true }, { suffix: 'abas', to: ['ar'], strong: true },
+    { suffix: 'ábamos', to: ['ar'], strong: true }, { suffix: 'aban', to: ['ar'], strong: true },
+    { suffix: 'ía', to: ['er', 'ir'] }, { suffix: 'ías', to: ['er', 'ir'] },
+    { suffix: 'íamos', to: ['er', 'ir'] }, { suffix: 'ían', to: ['er', 'ir'] },
+
+    // Future and conditional keep the infinitive as the stem
+    ...['ar', 'er', 'ir'].flatMap(inf => ['é', 'ás', 'á', 'emos', 'án', 'ía', 'ías', 'íamos', 'ían']
+        .map(ending => ({ suffix: inf + ending, to: [inf], strong: true }))),
+
+    // Plurals and gender
+    { suffix: 's', to: [''] },
+    { suffix: 'ces', to: ['z'], strong: true },
+    { suffix: 'os', to: ['o'] },
+];
+
+module.exports = { forms, rules };
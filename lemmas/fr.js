@@ -0,0 +1,78 @@
+// French: -er/-ir/-re conjugation, plurals and feminine agreement.
+const forms = {};
+const add = (lemma, list) => list.split(' ').forEach(f => { forms[f] = lemma; });
+
+add('être', 'suis es est sommes êtes sont étais était étions étiez étaient été serai sera seront serait soit soient fus fut');
+add('avoir', 'ai as a avons avez ont avais avait avions aviez avaient eu aurai aura auront aurait ait aient eut');
+add('aller', 'vais vas va allons allez vont allait allé allée allés irai ira iront irait aille');
+add('faire', 'fais fait faisons faites font faisait fera feront ferait fasse');
+add('pouvoir', 'peux peut pouvons pouvez peuvent pouvait pu pourra pourrait puisse');
+add('vouloir', 'veux veut voulons voulez veulent voulait voulu voudra voudrait veuille');
+add('dire', 'dis dit disons dites disent disait dira dirait');
+add('voir', 'vois voit voyons voyez voient voyait vu verra verrait');
+add('savoir', 'sais sait savons savez savent savait su saura saurait sache');
+add('venir', 'viens vient venons venez viennent venait venu venue viendra viendrait');
+add('prendre', 'prends prend prenons prenez prennent prenait pris prise prendra');
+add('mettre', 'mets met mettons mettez mettent mettait mis mise');
+add('devoir', 'dois doit devons devez doivent devait dû devra devrait');
+add('partir', 'pars part partons partez partent parti partie');
+add('sortir', 'sors sort sortons sortez sortent sorti sortie');
+add('écrire', 'écris écrit écrivons écrivez écrivent écrivait');
+add('lire', 'lis lit lisons lisez lisent lisait lu');
+add('boire', 'bois boit buvons buvez boivent buvait bu');
+add('vivre', 'vis vit vivons vivez vivent vivait vécu');
+add('connaître', 'connais connaît connaissons connaissez connaissent connaissait connu');
+
+// Function words and nouns the suffix rules would otherwise mangle.
+('les des mes tes ses ces nous vous leurs mais plus moins très tous toutes tout toute autres après depuis sans sous dans ' +
+'alors avant pendant temps fois pays prix bras corps voix souris fils jours maison rue vie femme homme monde ' +
+'chez assez nez société liberté café année idée journée santé ville cité')
+    .split(' ').forEach(f => { if (!forms[f]) forms[f] = f; });
+forms.jours = 'jour';
+
+// Elided words ("l'homme", "qu'il") are credited to their full form.
+[['le', "l'"], ['de', "d'"], ['je', "j'"], ['me', "m'"], ['te', "t'"], ['se', "s'"], ['ce', "c'"], ['ne', "n'"],
+ ['que', "qu'"], ['jusque', "jusqu'"], ['lorsque', "lorsqu'"], ['puisque', "puisqu'"], ['quoique', "quoiqu'"]]
+    .forEach(([lemma, form]) => { forms[form] = lemma; });
+
+const rules = [
+    // Present
+    { suffix: 'e', to: ['er', ''] }, { suffix: 'es', to: ['er', '', 'e'] },
+    { suffix: 'ons', to: ['er', 'ir', 're'] }, { suffix: 'ez', to: ['er'] },
+    { suffix: 'ent', to: ['er', 're', 'ir'] },
+    { suffix: 'issons', to: ['ir'], strong: true }, { suffix: 'issez', to: ['ir'], strong: true },
+    { suffix: 'issent', to: ['ir'], strong: true },
+
+    // Imperfect
+    { suffix: 'ais', to: ['er', 're', 'ir'] }, { suffix: 'ait', to: ['er', 're', 'ir'] },
+    { suffix: 'ions', to: ['er', 're', 'ir'] }, { suffix: 'iez', to: ['er', 're', 'ir'] },
+    { suffix: 'aient', to: ['er', 're', 'ir'] },
+    { suffix: 'issait', to: ['ir'], strong: true }, { suffix: 'issaient', to: ['ir'], strong: true },
+
+    // Passé simple (written narrative)
+    { suffix: 'a', to: ['er'] }, { suffix: 'èrent', to: ['er'], strong: true },
+    { suffix: 'it', to: ['ir', 're'] }, { suffix: 'irent', to: ['ir', 're'] },
+
+    // Participles
+    { suffix: 'é', to: ['er'] }, { suffix: 'ée', to: ['er'] },
+    { suffix: 'és', to: ['er'] }, { suffix: 'ées', to: ['er'] },
+    { suffix: 'ant', to: ['er', 're', 'ir'] },
+    { suffix: 'issant', to: ['ir'], strong: true },
+    { suffix: 'i', to: ['ir'] }, { suffix: 'is', to: ['ir', 're'] }, { suffix: 'ie', to: ['ir'] },
+    { suffix: 'u', to: ['re', 'oir'] }, { suffix: 'ue', to: ['re', 'oir'] },
+
+    // Future and conditional keep the infinitive as the stem
+    ...['ai', 'as', 'a', 'ons', 'ez', 'ont', 'ais', 'ait', 'ions', 'iez', 'aient']
+        .map(ending => ({ suffix: 'er' + ending, to: ['er'], strong: true })),
+    ...['ai', 'as', 'a', 'ons', 'ez', 'ont', 'ais', 'ait', 'ions', 'iez', 'aient']
+        .map(ending => ({ suffix: 'ir' + ending, to: ['ir'], strong: true })),
+
+    // Plurals and feminine
+    { suffix: 's', to: [''] }, { suffix: 'x', to: [''] },
+    { suffix: 'aux', to: ['al'], strong: true },
+    { suffix: 'euse', to: ['eux'], strong: true }, { suffix: 'euses', to: ['eux'], strong: true },
+    { suffix: 'ive', to: ['if'] }, { suffix: 'ives', to: ['if'] },
+    { suffix: 'elle', to: ['el'] }, { suffix: 'elles', to: ['el'] },
+];
+
+module.exports = { forms, rules };
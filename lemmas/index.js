@@ -0,0 +1,73 @@
+const { isExpression } = require('../shared/text');
+
+// Offline lemmatizer. Each language file provides:
+//   forms: irregular / pinned surface forms -> lemma (checked first, always wins)
+//   rules: suffix rewrites { suffix, to: [endings], prefix?, strong? }
+// Rules only propose candidates. A candidate is used when the user already has
+// it in their vocabulary; otherwise we only trust a `strong` rule with a single
+// ending (e.g. es "-aron" -> "-ar"). Anything else stays keyed by its surface form.
+// Expressions ("darse cuenta") are never rewritten; their words are matched one by one.
+const LANGUAGES = {
+    es: require('./es'),
+    fr: require('./fr'),
+    de: require('./de'),
+    it: require('./it')
+};
+
+const MIN_STEM = 2;
+
+// Longest suffix first, so "-ábamos" is tried before "-os".
+Object.values(LANGUAGES).forEach(lang => {
+    lang.rules.sort((a, b) => (b.prefix || '').length + b.suffix.length - (a.prefix || '').length - a.suffix.length);
+});
+
+const matchingRules = (form, langCode) => {
+    const lang = LANGUAGES[langCode];
+    if (!lang) return [];
+    return lang.rules.filter(rule => {
+        const prefix = rule.prefix || '';
+        return form.startsWith(prefix) && form.endsWith(rule.suffix) &&
+               form.length - prefix.length - rule.suffix.length >= MIN_STEM;
+    });
+};
+
+const dictionaryLemma = (form, langCode) => {
+    const lang = LANGUAGES[langCode];
+    return lang && Object.prototype.hasOwnProperty.call(lang.forms, form) ? lang.forms[form] : null;
+};
+
+// Every lemma `form` could belong to. A dictionary entry is the only candidate.
+const lemmaCandidates = (form, langCode) => {
+    if (isExpression(form, langCode)) return [];
+    const pinned = dictionaryLemma(form, langCode);
+    if (pinned) return pinned === form ? [] : [pinned];
+
+    const candidates = [];
+    matchingRules(form, langCode).forEach(rule => {
+        const stem = form.slice((rule.prefix || '').length, form.length - rule.suffix.length);
+        rule.to.forEach(ending => {
+            const candidate = stem + ending;
+            if (candidate !== form && !candidates.includes(candidate)) candidates.push(candidate);
+        });
+    });
+    return candidates;
+};
+
+// `isKnown(word)` tells us whether the user already tracks `word`.
+const resolveLemma = (form, langCode, isKnown = () => false) => {
+    if (isExpression(form, langCode)) return form;
+    const pinned = dictionaryLemma(form, langCode);
+    if (pinned) return pinned;
+    if (isKnown(form)) return form;
+
+    const known = lemmaCandidates(form, langCode).find(c => isKnown(c));
+    if (known) return known;
+
+    const [best] = matchingRules(form, langCode);
+    if (best && best.strong && best.to.length === 1) {
+        return form.slice((best.prefix || '').length, form.length - best.suffix.length) + best.to[0];
+    }
+    return form;
+};
+
+module.exports = { resolveLemma, lemmaCandidates };
@@ -0,0 +1,66 @@
+// Italian: -are/-ere/-ire conjugation, plurals and gender agreement.
+const forms = {};
+const add = (lemma, list) => list.split(' ').forEach(f => { forms[f] = lemma; });
+
+add('essere', 'sono sei è siamo siete ero eri era eravamo erano fui fu furono stato stata stati sarò sarà saranno sarebbe sia siano');
+add('avere', 'ho hai ha abbiamo avete hanno avevo aveva avevano ebbi ebbe ebbero avuto avrò avrà avrebbe abbia');
+add('andare', 'vado vai va andiamo andate vanno andavo andava andò andato andata andrò andrà andrebbe vada');
+add('fare', 'faccio fai fa facciamo fate fanno facevo faceva fece fecero fatto farò farà farebbe faccia');
+add('stare', 'sto stai sta stiamo state stanno stavo stava stette stato starò starà stia');
+add('potere', 'posso puoi può possiamo potete possono potevo poteva poté potuto potrò potrà potrebbe possa');
+add('volere', 'voglio vuoi vuole vogliamo volete vogliono volevo voleva volle voluto vorrò vorrà vorrebbe voglia');
+add('dovere', 'devo devi deve dobbiamo dovete devono dovevo doveva dovette dovuto dovrò dovrà dovrebbe debba');
+add('dire', 'dico dici dice diciamo dite dicono dicevo diceva disse dissero detto dirò dirà direbbe dica');
+add('venire', 'vengo vieni viene veniamo venite vengono venivo veniva venne vennero venuto verrò verrà verrebbe venga');
+add('sapere', 'so sai sa sappiamo sapete sanno sapevo sapeva seppe saputo saprò saprà saprebbe sappia');
+add('dare', 'do dai dà diamo date danno davo dava diede dato darò darà');
+add('vedere', 'vedo vedi vede vediamo vedete vedono vide videro visto vedrò vedrà');
+add('prendere', 'presi prese presero preso');
+add('mettere', 'misi mise misero messo');
+add('scrivere', 'scrissi scrisse scrissero scritto');
+add('leggere', 'lessi lesse lessero letto');
+add('uscire', 'esco esci esce escono');
+
+// Function words and nouns the suffix rules would otherwise mangle.
+('come per però sopra sotto tra fra dopo prima questo questa questi queste quello quella quelli quelle ' +
+'tutto tutta tutti tutte molto molta molti molte niente sempre mai ancora anche allora mentre casa vita mano giorno anno tempo')
+    .split(' ').forEach(f => { if (!forms[f]) forms[f] = f; });
+
+const rules = [
+    // Present
+    { suffix: 'o', to: ['are', 'ere', 'ire'] }, { suffix: 'i', to: ['are', 'ere', 'ire', 'o', 'e'] },
+    { suffix: 'a', to: ['are', 'o'] }, { suffix: 'e', to: ['ere', 'ire', 'a'] },
+    { suffix: 'iamo', to: ['are', 'ere', 'ire'] },
+    { suffix: 'ate', to: ['are'], strong: true }, { suffix: 'ete', to: ['ere'], strong: true },
+    { suffix: 'ite', to: ['ire'] },
+    { suffix: 'ano', to: ['are'] }, { suffix: 'ono', to: ['ere', 'ire'] },
+    { suffix: 'isco', to: ['ire'], strong: true }, { suffix: 'isce', to: ['ire'], strong: true },
+    { suffix: 'iscono', to: ['ire'], strong: true },
+
+    // Imperfect
+    ...['vo', 'vi', 'va', 'vamo', 'vate', 'vano'].flatMap(ending => [
+        { suffix: 'a' + ending, to: ['are'], strong: true },
+        { suffix: 'e' + ending, to: ['ere'], strong: true },
+        { suffix: 'i' + ending, to: ['ire'], strong: true }
+    ]),
+
+    // Passato remoto
+    { suffix: 'ò', to: ['are'] }, { suffix: 'arono', to: ['are'], strong: true },
+    { suffix: 'é', to: ['ere'] }, { suffix: 'erono', to: ['ere'], strong: true },
+    { suffix: 'ì', to: ['ire'] }, { suffix: 'irono', to: ['ire'], strong: true },
+
+    // Gerunds and participles
+    { suffix: 'ando', to: ['are'], strong: true }, { suffix: 'endo', to: ['ere', 'ire'] },
+    { suffix: 'ato', to: ['are'] }, { suffix: 'ata', to: ['are'] }, { suffix: 'ati', to: ['are'] },
+    { suffix: 'uto', to: ['ere'], strong: true }, { suffix: 'uta', to: ['ere'], strong: true },
+    { suffix: 'uti', to: ['ere'], strong: true },
+    { suffix: 'ito', to: ['ire'] }, { suffix: 'ita', to: ['ire'] }, { suffix: 'iti', to: ['ire'] },
+
+    // Future and conditional: -are verbs switch to -er-
+    ...['ò', 'ai', 'à', 'emo', 'ete', 'anno', 'ei', 'ebbe', 'emmo', 'este', 'ebbero'].flatMap(ending => [
+        { suffix: 'er' + ending, to: ['are', 'ere'] },
+        { suffix: 'ir' + ending, to: ['ire'], strong: true }
+    ]),
+];
+
+module.exports = { forms, rules };
@@ -0,0 +1,14 @@
+// The server's progress lines ("🔍 Looking up: casa"), from server.js and the modules it
+// drives. They go to standard output unless something else is set: the CLI, whose standard
+// output is its own, sends them to standard error with --verbose and drops them otherwise.
+// Errors aren't progress; they always go to console.error.
+let sink = (...args) => console.log(...args);
+
+const info = (...args) => sink(...args);
+
+// `logger` is called like console.log; null silences the lines.
+const setLogger = (logger) => {
+    sink = logger || (() => {});
+};
+
+module.exports = { info, setLogger };
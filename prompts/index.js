@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { PROFILES, LANGUAGE_PROFILES } = require('./profiles');
+const { isExpression } = require('../shared/text');
+
+// Prompt profiles: a template plus the topic, length and word-budget settings
+// that go with it (see profiles.js). Templates are checked when they're loaded;
+// every {PLACEHOLDER} must be one of PLACEHOLDERS and is replaced everywhere it occurs.
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+const PLACEHOLDER_PATTERN = /\{([A-Z][A-Z0-9_]*)\}/g;
+const PLACEHOLDERS = [
+    'LANGUAGE_CODE', 'LANGUAGE_NAME', 'USER_LEVEL', 'TARGET_STYLE', 'TOPIC', 'MIN_LENGTH', 'MAX_LENGTH',
+    'LENGTH_UNIT', 'FORMULA_INSTRUCTION', 'REVIEW_WORDS_LIST', 'NEW_WORDS_LIST', 'GLOSS_LANGUAGE', 'EXPRESSION_INSTRUCTION'
+];
+// Without these the scheduled words never reach the model.
+const REQUIRED_PLACEHOLDERS = ['REVIEW_WORDS_LIST', 'NEW_WORDS_LIST'];
+
+const FORMULAS = {
+    introduction: "INTRODUCTION session: Focus on context for NEW_TEST_WORDS. Build strong first impressions.",
+    reinforcement: "REINFORCEMENT session: Prioritize HARD_REVIEW_WORDS to cement long-term memory."
+};
+
+// Empty unless the lists hold multi-word expressions; starts with a space so it can
+// follow a sentence in the template.
+const expressionInstruction = (words, langCode) => {
+    const expressions = words.filter(w => isExpression(w, langCode));
+    if (expressions.length === 0) return '';
+    return ` Some items are multi-word expressions (${expressions.map(e => `"${e}"`).join(', ')}): use each one whole, ` +
+        'with its idiomatic meaning, as a native speaker would, conjugating it or separating its words where the grammar calls for it.';
+};
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+const languageName = (code) => {
+    try { return languageNames.of(code) || code; } catch (e) { return code; }
+};
+
+const validateTemplate = (name, text) => {
+    const used = new Set(Array.from(text.matchAll(PLACEHOLDER_PATTERN), m => m[1]));
+    const unknown = [...used].filter(p => !PLACEHOLDERS.includes(p));
+    if (unknown.length > 0) {
+        throw new Error(`Prompt template "${name}" has unknown placeholders ${unknown.map(p => `{${p}}`).join(', ')}. ` +
+                        `Use any of: ${PLACEHOLDERS.map(p => `{${p}}`).join(', ')}`);
+    }
+    const missing = REQUIRED_PLACEHOLDERS.filter(p => !used.has(p));
+    if (missing.length > 0) {
+        throw new Error(`Prompt template "${name}" is missing ${missing.map(p => `{${p}}`).join(', ')}`);
+    }
+};
+
+const validateProfile = (key, profile) => {
+    const fail = (problem) => { throw new Error(`Prompt profile "${key}": ${problem}`); };
+    if (!profile.label || !profile.style || !profile.template) fail('needs a label, style and template.');
+    if (!Array.isArray(profile.topics) || profile.topics.length === 0) fail('needs at least one topic.');
+    const { min, max } = profile.length || {};
+    if (!(min > 0 && max >= min)) fail('length needs 0 < min <= max.');
+    const { review, target, total, reinforce } = profile.budget || {};
+    if (![review, target, total].every(n => Number.isInteger(n) && n >= 0) || total === 0) fail('budget review, target and total must be whole numbers, total above 0.');
+    if (!(reinforce >= 0 && reinforce <= 1)) fail('budget reinforce must be between 0 and 1.');
+};
+
+const mergeProfile = (base = {}, override = {}) => ({
+    ...base,
+    ...override,
+    length: { ...base.length, ...override.length },
+    budget: { ...base.budget, ...override.budget }
+});
+
+// `legacyTemplate` is a master_prompt.txt from before profiles; if it exists it's
+// offered as a "custom" profile with the story settings.
+const loadProfiles = ({ profiles = PROFILES, languages = LANGUAGE_PROFILES, dir = TEMPLATE_DIR, legacyTemplate } = {}) => {
+    const templates = new Map();
+    const readTemplate = (file) => {
+        const fullPath = path.resolve(dir, file);
+        if (!templates.has(fullPath)) {
+            const text = fs.readFileSync(fullPath, 'utf8');
+            validateTemplate(file, text);
+            templates.set(fullPath, text);
+        }
+        return templates.get(fullPath);
+    };
+
+    const base = { ...profiles };
+    if (legacyTemplate && fs.existsSync(legacyTemplate)) {
+        base.custom = { ...profiles.narrative, label: `Custom (${path.basename(legacyTemplate)})`, template: path.resolve(legacyTemplate) };
+    }
+
+    const build = (id, profile, langCode) => {
+        validateProfile(`${langCode}/${id}`, profile);
+        const scale = profile.lengthScale || 1;
+        const { lengthScale, ...rest } = profile;
+        return {
+            ...rest,
+            id,
+            length: { unit: 'words', ...profile.length, min: Math.round(profile.length.min * scale), max: Math.round(profile.length.max * scale) },
+            text: readTemplate(profile.template)
+        };
+    };
+
+    const byLanguage = new Map();
+    const forLanguage = (langCode) => {
+        if (!byLanguage.has(langCode)) {
+            const overrides = languages[langCode] || {};
+            const shared = overrides['*'] || {};
+            const ids = [...new Set([...Object.keys(base), ...Object.keys(overrides).filter(id => id !== '*')])];
+            const resolved = {};
+            ids.forEach(id => {
+                resolved[id] = build(id, mergeProfile(mergeProfile(base[id], shared), overrides[id]), langCode);
+            });
+            byLanguage.set(langCode, resolved);
+        }
+        return byLanguage.get(langCode);
+    };
+
+    // Load every profile up front so a broken template stops the server at startup.
+    forLanguage('*');
+    Object.keys(languages).forEach(forLanguage);
+
+    return {
+        list: (langCode) => Object.values(forLanguage(langCode)),
+        get: (langCode, id) => forLanguage(langCode)[id] || null,
+        ids: (langCode) => Object.keys(forLanguage(langCode))
+    };
+};
+
+const pickTopic = (profile, requested) => {
+    const topic = String(requested || '').trim();
+    return topic || profile.topics[Math.floor(Math.random() * profile.topics.length)];
+};
+
+// How many due reviews and new words a passage in this profile takes: reviews up
+// to their cap, then new words in what's left of the total.
+const queueLimits = (profile, dueCount) => {
+    const review = Math.min(dueCount, profile.budget.review, profile.budget.total);
+    return { review, target: Math.min(profile.budget.target, profile.budget.total - review) };
+};
+
+const renderPrompt = (profile, { langCode, level, topic, glossLang, queue }) => {
+    const reinforcing = queue.review.length >= profile.budget.reinforce * profile.budget.total;
+    const values = {
+        LANGUAGE_CODE: langCode,
+        LANGUAGE_NAME: languageName(langCode),
+        USER_LEVEL: level,
+        TARGET_STYLE: profile.style,
+        TOPIC: topic,
+        MIN_LENGTH: profile.length.min,
+        MAX_LENGTH: profile.length.max,
+        LENGTH_UNIT: profile.length.unit,
+        FORMULA_INSTRUCTION: reinforcing ? FORMULAS.reinforcement : FORMULAS.introduction,
+        REVIEW_WORDS_LIST: queue.review.join(', ') || 'None',
+        NEW_WORDS_LIST: queue.target.join(', ') || 'None',
+        GLOSS_LANGUAGE: languageName(glossLang),
+        EXPRESSION_INSTRUCTION: expressionInstruction([...queue.review, ...queue.target], langCode)
+    };
+    return profile.text.replace(PLACEHOLDER_PATTERN, (match, name) => String(values[name]));
+};
+
+module.exports = { loadProfiles, renderPrompt, pickTopic, queueLimits, languageName, validateTemplate, PLACEHOLDERS };
@@ -0,0 +1,74 @@
+// Passage styles the reader can pick from. Each profile has:
+//   label     shown in the sidebar
+//   style     fills {TARGET_STYLE}
+//   template  file in prompts/templates
+//   topics    offered in the sidebar; one is drawn at random when none is picked
+//   length    { min, max, unit } of the passage
+//   budget    scheduled words per passage:
+//               review     most due reviews
+//               target     most new words
+//               total      reviews + new words; new words give way first
+//               reinforce  share of `total` filled by reviews at which the session
+//                          switches from INTRODUCTION to REINFORCEMENT
+const PROFILES = {
+    narrative: {
+        label: 'Story',
+        style: 'narrative',
+        template: 'narrative.txt',
+        topics: ['everyday life', 'travel', 'a mystery', 'family', 'friendship', 'work', 'food and cooking',
+                 'nature', 'a historical event', 'science fiction'],
+        length: { min: 700, max: 750, unit: 'words' },
+        budget: { review: 60, target: 30, total: 75, reinforce: 0.8 }
+    },
+    dialogue: {
+        label: 'Dialogue',
+        style: 'dialogue',
+        template: 'dialogue.txt',
+        topics: ['ordering at a restaurant', 'a job interview', "at the doctor's", 'planning a trip', 'catching up with a friend',
+                 'shopping for clothes', 'checking into a hotel', 'a disagreement between neighbours'],
+        length: { min: 450, max: 550, unit: 'words' },
+        budget: { review: 40, target: 20, total: 50, reinforce: 0.8 }
+    },
+    news: {
+        label: 'News article',
+        style: 'news article',
+        template: 'news.txt',
+        topics: ['politics', 'economy', 'science', 'technology', 'sports', 'culture', 'environment', 'health', 'local news'],
+        length: { min: 400, max: 500, unit: 'words' },
+        budget: { review: 35, target: 15, total: 45, reinforce: 0.8 }
+    },
+    email: {
+        label: 'Email',
+        style: 'email',
+        template: 'email.txt',
+        topics: ['a formal request', 'a complaint to a company', 'an invitation', 'a job application', 'thanking a colleague',
+                 'an apology', 'booking accommodation', 'news for a friend'],
+        length: { min: 150, max: 250, unit: 'words' },
+        budget: { review: 15, target: 8, total: 20, reinforce: 0.8 }
+    },
+    technical: {
+        label: 'Technical text',
+        style: 'technical text',
+        template: 'technical.txt',
+        topics: ['how software is built', 'how a vaccine works', 'renewable energy', 'household appliance instructions',
+                 'personal finance', 'first aid', 'how the internet works'],
+        length: { min: 400, max: 500, unit: 'words' },
+        budget: { review: 35, target: 15, total: 45, reinforce: 0.8 }
+    }
+};
+
+// Per-language changes, merged over PROFILES. '*' applies to every profile of that
+// language. `lengthScale` multiplies the profile's length (e.g. counting characters
+// where words aren't space-separated); new profiles can be added outright.
+const LANGUAGE_PROFILES = {
+    ja: { '*': { length: { unit: 'characters' }, lengthScale: 1.5 } },
+    zh: { '*': { length: { unit: 'characters' }, lengthScale: 1.2 } },
+    es: {
+        news: { topics: ['politics', 'economy', 'science', 'technology', 'football', 'culture', 'environment', 'Latin America'] }
+    },
+    fr: {
+        news: { topics: ['politics', 'economy', 'science', 'technology', 'sports', 'culture', 'environment', 'the French-speaking world'] }
+    }
+};
+
+module.exports = { PROFILES, LANGUAGE_PROFILES };
@@ -0,0 +1,10 @@
+// Failures of the model or its API, as opposed to bugs in the server: a bad key, a used-up
+// quota, an endpoint that's down or a reply that isn't usable. Their messages are written
+// for the reader, so routes pass them on as 502 LLM_ERROR instead of hiding them.
+const LLM_ERROR = 'LLM_ERROR';
+
+const llmError = (message) => Object.assign(new Error(message), { code: LLM_ERROR });
+
+const isLLMError = (err) => !!err && err.code === LLM_ERROR;
+
+module.exports = { llmError, isLLMError, LLM_ERROR };
@@ -0,0 +1,65 @@
+const { GoogleGenAI } = require("@google/genai");
+const { parsePassageJSON } = require('./parse');
+const { llmError } = require('./errors');
+
+const mapGeminiError = (e) => {
+    const message = e.message || '';
+    if (message.includes('API_KEY_INVALID')) return llmError("Invalid API Key.");
+    if (message.includes('404')) return llmError("Model not found. Check API key.");
+    if (message.includes('quota')) return llmError("API quota exceeded.");
+    return llmError(message || "Gemini request failed.");
+};
+
+const createGeminiProvider = (config) => {
+    let ai = null;
+
+    const send = async (prompt, { onText, temperature = config.temperature } = {}) => {
+        if (!config.apiKey) {
+            throw llmError("GEMINI_API_KEY not found in .env file");
+        }
+        if (!ai) ai = new GoogleGenAI({ apiKey: config.apiKey });
+
+        const request = {
+            model: config.model,
+            contents: prompt,
+            config: {
+                maxOutputTokens: config.maxTokens,
+                temperature,
+                topK: 40,
+                topP: 0.95,
+            }
+        };
+
+        let text = '';
+        try {
+            if (onText) {
+                const stream = await ai.models.generateContentStream(request);
+                for await (const chunk of stream) {
+                    text += chunk.text || '';
+                    onText(text);
+                }
+            } else {
+                text = (await ai.models.generateContent(request)).text;
+            }
+        } catch (e) {
+            throw mapGeminiError(e);
+        }
+        return text;
+    };
+
+    return {
+        name: 'gemini',
+        model: config.model,
+        label: `Gemini (${config.model})`,
+
+        async generatePassage(prompt, context, { onText } = {}) {
+            return parsePassageJSON(await send(prompt, { onText }));
+        },
+
+        async complete(prompt, context, options = {}) {
+            return send(prompt, options);
+        }
+    };
+};
+
+module.exports = createGeminiProvider;
@@ -0,0 +1,52 @@
+const createGeminiProvider = require('./gemini');
+const createOpenAIProvider = require('./openai');
+const createMockProvider = require('./mock');
+const { parsePassageJSON, parseModelJSON, extractPartialPassage } = require('./parse');
+const { isLLMError } = require('./errors');
+
+// Every provider exposes the same shape:
+//   { name, model, label, generatePassage(prompt, context, { onText }) -> Promise<{ passage, glossary }> }
+// `context` carries the word lists that went into the prompt ({ langCode, level, reviewWords, newWords })
+// so providers that don't call a model (mock) can still build a sensible response.
+// When `onText` is given the response is streamed and it's called with the raw text received so far.
+// `complete(prompt, context, { temperature })` -> Promise<string> is the raw model reply, for
+// requests that aren't passages (e.g. dictionary definitions).
+// Both reject with an LLM error (providers/errors.js) when the model or its API fails.
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider
+};
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-2.5-flash-lite',
+    openai: 'llama3.1',
+    mock: 'mock'
+};
+
+const parseNumber = (value, fallback) => {
+    const num = parseFloat(value);
+    return isNaN(num) ? fallback : num;
+};
+
+const getProviderConfig = (env = process.env) => {
+    const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+    return {
+        provider: name,
+        model: env.LLM_MODEL || DEFAULT_MODELS[name],
+        temperature: parseNumber(env.LLM_TEMPERATURE, 0.8),
+        maxTokens: parseInt(env.LLM_MAX_TOKENS, 10) || 2048,
+        apiKey: name === 'gemini' ? env.GEMINI_API_KEY : env.OPENAI_API_KEY,
+        baseUrl: env.OPENAI_BASE_URL || 'http://localhost:11434/v1'
+    };
+};
+
+const createProvider = (config = getProviderConfig()) => {
+    const factory = PROVIDERS[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${config.provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory(config);
+};
+
+module.exports = { createProvider, getProviderConfig, parsePassageJSON, parseModelJSON, extractPartialPassage, isLLMError, PROVIDERS };
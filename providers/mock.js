@@ -0,0 +1,67 @@
+// Deterministic offline provider. It never touches the network and builds the
+// passage straight from the scheduled words, so the same queue always yields the
+// same passage and glossary. Useful for exercising generation -> glossary caching.
+// `complete` answers quiz requests (context.task 'quiz') with cloze questions cut
+// from the passage, and dictionary requests (context.word) with a placeholder entry.
+const createMockProvider = (config) => ({
+    name: 'mock',
+    model: config.model,
+    label: 'Mock (deterministic)',
+
+    async generatePassage(prompt, context = {}, { onText } = {}) {
+        const { langCode = 'xx', level = 'B1', reviewWords = [], newWords = [] } = context;
+        const words = [...reviewWords, ...newWords];
+
+        const sentences = [];
+        for (let i = 0; i < words.length; i += 6) {
+            const chunk = words.slice(i, i + 6).join(' ');
+            sentences.push(chunk.charAt(0).toUpperCase() + chunk.slice(1) + '.');
+        }
+        const passage = sentences.length > 0
+            ? sentences.join(' ')
+            : `Mock passage (${langCode}, ${level}).`;
+
+        const glossary = {};
+        newWords.forEach(w => { glossary[w] = `[mock] ${w}`; });
+
+        // Stream the JSON a few characters at a time, like a real model would.
+        if (onText) {
+            const raw = JSON.stringify({ passage, glossary });
+            for (let i = 16; i < raw.length + 16; i += 16) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                onText(raw.slice(0, i));
+            }
+        }
+        return { passage, glossary };
+    },
+
+    async complete(prompt, context = {}) {
+        if (context.task === 'quiz') {
+            const { passage = '', words = [], count = 3 } = context;
+            const sentences = passage.split(/(?<=[.!?])\s+/);
+            const questions = [];
+            words.forEach(word => {
+                const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const pattern = new RegExp(`(^|[^\\p{L}])(${escaped})(?=$|[^\\p{L}])`, 'iu');
+                const sentence = sentences.find(s => pattern.test(s));
+                if (!sentence || questions.length >= count) return;
+                const form = sentence.match(pattern)[2];
+                questions.push({ type: 'cloze', word, question: sentence.replace(pattern, '$1___'), answer: form });
+            });
+            if (words.length > 0) {
+                questions.push({ type: 'comprehension', word: words[0], question: 'Which word appears in the passage?',
+                                 options: [words[0], 'zzyzx'], answer: 0 });
+            }
+            return JSON.stringify({ questions });
+        }
+        const { word = '', lemma = word, glossLang = 'en' } = context;
+        return JSON.stringify({
+            lemma,
+            partOfSpeech: 'unknown',
+            sense: `[mock ${glossLang}] ${word}`,
+            definition: `[mock ${glossLang}] ${word}, as used in: ${context.sentence || '(no context)'}`
+        });
+    }
+});
+
+module.exports = createMockProvider;
@@ -0,0 +1,84 @@
+const axios = require('axios');
+const { parsePassageJSON } = require('./parse');
+const { llmError } = require('./errors');
+
+// Works against anything speaking the OpenAI chat completions API:
+// OpenAI itself, Ollama (http://localhost:11434/v1), llama.cpp server, LM Studio, vLLM...
+const mapOpenAIError = (e) => {
+    if (e.code === 'ECONNREFUSED') return llmError("LLM endpoint unreachable. Is the local server running?");
+    const status = e.response?.status;
+    if (status === 401 || status === 403) return llmError("Invalid API Key.");
+    if (status === 404) return llmError("Model not found. Check LLM_MODEL.");
+    if (status === 429) return llmError("API quota exceeded.");
+    return llmError(e.response?.data?.error?.message || e.message);
+};
+
+// Streamed completions arrive as SSE lines: "data: {chunk}" ... "data: [DONE]".
+const readChatStream = async (stream, onText) => {
+    let text = '';
+    let buffer = '';
+    for await (const chunk of stream) {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            const data = line.trim().replace(/^data:\s*/, '');
+            if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+            // Keep-alives and other chunks some servers interleave aren't JSON; skip them.
+            let delta;
+            try { delta = JSON.parse(data).choices?.[0]?.delta?.content; } catch (e) { continue; }
+            if (delta) {
+                text += delta;
+                onText(text);
+            }
+        }
+    }
+    return text;
+};
+
+const createOpenAIProvider = (config) => {
+    const baseUrl = config.baseUrl.replace(/\/+$/, '');
+
+    const send = async (prompt, { onText, temperature = config.temperature } = {}) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+        const body = {
+            model: config.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature,
+            max_tokens: config.maxTokens,
+            top_p: 0.95
+        };
+
+        let text = '';
+        try {
+            if (onText) {
+                const response = await axios.post(`${baseUrl}/chat/completions`, { ...body, stream: true },
+                                                  { headers, timeout: 300000, responseType: 'stream' });
+                text = await readChatStream(response.data, onText);
+            } else {
+                const response = await axios.post(`${baseUrl}/chat/completions`, body, { headers, timeout: 300000 });
+                text = response.data?.choices?.[0]?.message?.content;
+            }
+        } catch (e) {
+            throw mapOpenAIError(e);
+        }
+        return text;
+    };
+
+    return {
+        name: 'openai',
+        model: config.model,
+        label: `OpenAI-compatible (${config.model} @ ${baseUrl})`,
+
+        async generatePassage(prompt, context, { onText } = {}) {
+            return parsePassageJSON(await send(prompt, { onText }));
+        },
+
+        async complete(prompt, context, options = {}) {
+            return send(prompt, options);
+        }
+    };
+};
+
+module.exports = createOpenAIProvider;
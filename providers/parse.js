@@ -0,0 +1,55 @@
+const { llmError } = require('./errors');
+
+// Models like to wrap JSON in markdown fences; strip them before parsing.
+const parseModelJSON = (text) => {
+    const cleanJSON = (text || '').trim().replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+
+    try {
+        return JSON.parse(cleanJSON);
+    } catch (parseError) {
+        console.error("❌ JSON Parse Error:", parseError.message);
+        throw llmError("AI returned invalid JSON.");
+    }
+};
+
+const parsePassageJSON = (text) => {
+    const data = parseModelJSON(text);
+
+    if (!data.passage) {
+        throw llmError("AI response missing 'passage' field");
+    }
+    return data;
+};
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+// The "passage" string of a JSON response that is still arriving, decoded as far
+// as it goes. Stops at the closing quote or at an escape that hasn't fully arrived.
+const extractPartialPassage = (raw) => {
+    const match = /"passage"\s*:\s*"/.exec(raw || '');
+    if (!match) return '';
+
+    let out = '';
+    for (let i = match.index + match[0].length; i < raw.length; i++) {
+        const ch = raw[i];
+        if (ch === '"') break;
+        if (ch !== '\\') {
+            out += ch;
+            continue;
+        }
+        const next = raw[i + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+            const hex = raw.slice(i + 2, i + 6);
+            if (hex.length < 4) break;
+            out += String.fromCharCode(parseInt(hex, 16));
+            i += 5;
+        } else {
+            out += ESCAPES[next] ?? next;
+            i++;
+        }
+    }
+    return out;
+};
+
+module.exports = { parsePassageJSON, parseModelJSON, extractPartialPassage };
@@ -0,0 +1,82 @@
+// Keeps the reader usable offline: the app shell, the passage being read and the
+// definitions already looked up. Lookups, undos and finishes made offline are
+// queued by the page itself (see the outbox in index.html) and sent to /api/sync.
+const SHELL_CACHE = 'syntagma-shell-v1';
+const DATA_CACHE = 'syntagma-data';
+
+const SHELL = [
+    '/',
+    '/shared/text.js',
+    '/manifest.webmanifest',
+    '/icon.svg',
+    'https://unpkg.com/react@18/umd/react.production.min.js',
+    'https://unpkg.com/react-dom@18/umd/react-dom.production.min.js',
+    'https://unpkg.com/axios/dist/axios.min.js',
+    'https://unpkg.com/@babel/standalone/babel.min.js',
+    'https://cdn.jsdelivr.net/npm/remixicon@3.5.0/fonts/remixicon.css'
+];
+
+// Read-only API responses the reader needs offline, served fresh when the network answers.
+const NETWORK_FIRST = ['/api/load-session', '/api/vocabulary-list', '/api/settings', '/api/auth/me', '/api/prompt-profiles', '/api/stats'];
+// A definition is fixed by its URL: word, sentence, language and definition language are all in the query.
+const CACHE_FIRST = ['/api/define'];
+
+self.addEventListener('install', (event) => {
+    // One unreachable CDN file shouldn't keep the rest from being cached.
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => Promise.all(SHELL.map(url => cache.add(url).catch(() => {}))))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(k => k !== SHELL_CACHE && k !== DATA_CACHE).map(k => caches.delete(k))))
+        .then(() => self.clients.claim()));
+});
+
+const networkFirst = async (request) => {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (e) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw e;
+    }
+};
+
+const cacheFirst = async (request) => {
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+};
+
+// The shell is served from the cache and refreshed behind it, so a new version shows on the next load.
+const staleWhileRevalidate = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const refresh = fetch(request)
+        .then(response => { if (response.ok || response.type === 'opaque') cache.put(request, response.clone()); return response; })
+        .catch(() => cached);
+    return cached || refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) {
+        if (CACHE_FIRST.includes(url.pathname)) event.respondWith(cacheFirst(request));
+        else if (NETWORK_FIRST.includes(url.pathname) || url.pathname.startsWith('/api/sessions/')) event.respondWith(networkFirst(request));
+        return;
+    }
+    if (url.origin === self.location.origin || SHELL.includes(request.url) || url.hostname === 'cdn.jsdelivr.net') {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
@@ -0,0 +1,88 @@
+// The original fixed ladder. A pass moves a word one rung up, a lookup drops it
+// back to rung 0. Words read without a lookup on first sight (new or target words)
+// jump straight to the top rung.
+const SRS_STEPS = {
+    0: { interval: 1, unit: 'minute' }, 1: { interval: 10, unit: 'minute' },
+    2: { interval: 60, unit: 'minute' }, 3: { interval: 1, unit: 'day' },
+    4: { interval: 3, unit: 'day' }, 5: { interval: 7, unit: 'day' },
+    6: { interval: 21, unit: 'day' }, 7: { interval: 90, unit: 'day' },
+    8: { interval: 36500, unit: 'day' }
+};
+
+const MAX_STEP = 8;
+const LEARNED_STEP = 6;
+
+const getIntervalInDays = (step) => {
+    const srs = SRS_STEPS[step] || SRS_STEPS[MAX_STEP];
+    return srs.unit === 'minute' ? srs.interval / 1440 : srs.interval;
+};
+
+const getNextReviewDate = (step, fromDate = new Date()) => {
+    const srs = SRS_STEPS[step] || SRS_STEPS[MAX_STEP];
+    const date = new Date(fromDate);
+    if (srs.unit === 'minute') date.setMinutes(date.getMinutes() + srs.interval);
+    else date.setDate(date.getDate() + srs.interval);
+    return date.toISOString();
+};
+
+// Highest rung whose interval fits inside `days`. Lets other schedulers report a
+// step so the UI's "known" (step >= 6) colouring keeps working.
+const stepForInterval = (days) => {
+    let step = 0;
+    for (let s = 0; s <= MAX_STEP; s++) {
+        if (getIntervalInDays(s) <= days) step = s;
+    }
+    return step;
+};
+
+const statusForStep = (step) => step >= LEARNED_STEP ? 'learned' : 'learning';
+
+const classicScheduler = {
+    name: 'classic',
+
+    review(card, outcome, now = new Date()) {
+        if (outcome === 'lookup') {
+            return {
+                step: 0,
+                interval: getIntervalInDays(0),
+                nextReview: now.toISOString(),
+                status: 'learning',
+                stability: null,
+                difficulty: null
+            };
+        }
+        const step = (!card || card.isNew || card.isTarget) ? MAX_STEP : Math.min((card.step || 0) + 1, MAX_STEP);
+        return {
+            step,
+            interval: getIntervalInDays(step),
+            nextReview: getNextReviewDate(step, now),
+            status: statusForStep(step),
+            stability: null,
+            difficulty: null
+        };
+    },
+
+    // A word arriving with a schedule from elsewhere (e.g. an Anki deck) goes on
+    // the highest rung its interval has earned, keeping its due date if known.
+    importCard({ interval = 0, nextReview = null }, now = new Date()) {
+        const step = stepForInterval(interval);
+        return {
+            step,
+            interval: getIntervalInDays(step),
+            nextReview: nextReview || getNextReviewDate(step, now),
+            status: statusForStep(step),
+            stability: null,
+            difficulty: null
+        };
+    }
+};
+
+module.exports = {
+    classicScheduler,
+    SRS_STEPS,
+    MAX_STEP,
+    getIntervalInDays,
+    getNextReviewDate,
+    stepForInterval,
+    statusForStep
+};
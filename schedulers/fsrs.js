@@ -0,0 +1,108 @@
+const { getIntervalInDays, stepForInterval, statusForStep } = require('./classic');
+
+// FSRS-4.5 memory model (https://github.com/open-spaced-repetition/fsrs4anki/wiki/The-Algorithm)
+// with the published default weights. Syntagma only has a binary signal, so a
+// lookup is graded Again, a pass is graded Good, and a pass on first sight
+// (new or target word) is graded Easy.
+const W = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+    0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const GRADE = { again: 1, good: 3, easy: 4 };
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const initialStability = (grade) => W[grade - 1];
+const initialDifficulty = (grade) => clamp(W[4] - (grade - 3) * W[5], 1, 10);
+
+const retrievability = (elapsedDays, stability) => Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+
+const nextInterval = (stability, requestRetention) =>
+    stability / FACTOR * (Math.pow(requestRetention, 1 / DECAY) - 1);
+
+const nextDifficulty = (difficulty, grade) => {
+    const updated = difficulty - W[6] * (grade - 3);
+    return clamp(W[7] * initialDifficulty(GRADE.good) + (1 - W[7]) * updated, 1, 10);
+};
+
+const recallStability = (difficulty, stability, r, grade) => {
+    const easyBonus = grade === GRADE.easy ? W[16] : 1;
+    return stability * (Math.exp(W[8]) * (11 - difficulty) * Math.pow(stability, -W[9]) *
+        (Math.exp(W[10] * (1 - r)) - 1) * easyBonus + 1);
+};
+
+const forgetStability = (difficulty, stability, r) => Math.min(
+    stability,
+    W[11] * Math.pow(difficulty, -W[12]) * (Math.pow(stability + 1, W[13]) - 1) * Math.exp(W[14] * (1 - r))
+);
+
+const createFsrsScheduler = ({ requestRetention = 0.9, maximumInterval = 36500 } = {}) => ({
+    name: 'fsrs',
+
+    review(card, outcome, now = new Date()) {
+        const firstSight = !card || card.isNew || card.isTarget;
+        const grade = outcome === 'lookup' ? GRADE.again : (firstSight ? GRADE.easy : GRADE.good);
+
+        let stability;
+        let difficulty;
+        if (firstSight) {
+            stability = initialStability(grade);
+            difficulty = initialDifficulty(grade);
+        } else {
+            // Cards scheduled by the classic ladder have no memory state yet:
+            // treat their current interval as the stability at 90% retention,
+            // reviewed on time if we don't know when they were last seen.
+            const priorStability = card.stability || Math.max(card.interval || 0, initialStability(GRADE.again));
+            const priorDifficulty = card.difficulty || initialDifficulty(GRADE.good);
+            const elapsed = card.lastReview ? Math.max(0, (now - new Date(card.lastReview)) / DAY_MS) : (card.interval || 0);
+            const r = retrievability(elapsed, priorStability);
+
+            stability = grade === GRADE.again
+                ? forgetStability(priorDifficulty, priorStability, r)
+                : recallStability(priorDifficulty, priorStability, r, grade);
+            difficulty = nextDifficulty(priorDifficulty, grade);
+        }
+
+        if (grade === GRADE.again) {
+            // Failed words come straight back in the next passage, as with the ladder.
+            return {
+                step: 0,
+                interval: getIntervalInDays(0),
+                nextReview: now.toISOString(),
+                status: 'learning',
+                stability,
+                difficulty
+            };
+        }
+
+        const interval = clamp(nextInterval(stability, requestRetention), getIntervalInDays(0), maximumInterval);
+        const step = stepForInterval(interval);
+        return {
+            step,
+            interval,
+            nextReview: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+            status: statusForStep(step),
+            stability,
+            difficulty
+        };
+    },
+
+    // Imported intervals are taken as the stability at the requested retention,
+    // with an average difficulty until the word has been read here.
+    importCard({ interval = 0, nextReview = null }, now = new Date()) {
+        const step = stepForInterval(interval);
+        return {
+            step,
+            interval,
+            nextReview: nextReview || new Date(now.getTime() + interval * DAY_MS).toISOString(),
+            status: statusForStep(step),
+            stability: Math.max(interval, initialStability(GRADE.again)),
+            difficulty: initialDifficulty(GRADE.good)
+        };
+    }
+});
+
+module.exports = createFsrsScheduler;
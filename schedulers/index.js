@@ -0,0 +1,73 @@
+const { classicScheduler, getIntervalInDays, statusForStep } = require('./classic');
+const createFsrsScheduler = require('./fsrs');
+
+// A scheduler turns one review outcome into the word's next schedule:
+//   review(card, outcome, now) -> { step, interval, nextReview, status, stability, difficulty }
+// `card` is the word's current row (null for a word we've never seen), `outcome` is 'pass' or 'lookup'.
+//   importCard({ interval, nextReview }, now) -> same shape, for a schedule brought in from another SRS.
+const SCHEDULERS = {
+    classic: () => classicScheduler,
+    fsrs: (env) => createFsrsScheduler({
+        requestRetention: parseFloat(env.FSRS_RETENTION) || 0.9
+    })
+};
+
+const createScheduler = (name = process.env.SRS_SCHEDULER || 'classic', env = process.env) => {
+    const factory = SCHEDULERS[name.toLowerCase()];
+    if (!factory) {
+        throw new Error(`Unknown SRS_SCHEDULER "${name}". Use one of: ${Object.keys(SCHEDULERS).join(', ')}`);
+    }
+    return factory(env);
+};
+
+// Rebuild one word's schedule from its review_events, oldest first. The first
+// event's prior_* columns give the state the word had before logging began.
+// Undo events restore the card as it was before the most recent lookup;
+// reset events start the word over. Returns null if the history nets out
+// to a word we've never seen (e.g. a single lookup that was undone).
+const replayEvents = (events, scheduler) => {
+    let card;
+    const beforeLookup = [];
+
+    for (const event of events) {
+        const now = new Date(event.createdAt);
+        if (card === undefined) {
+            card = event.wasNew ? null : {
+                step: event.priorStep || 0,
+                interval: event.priorInterval || 0,
+                nextReview: event.priorNextReview,
+                status: statusForStep(event.priorStep || 0),
+                isTarget: event.wasTarget,
+                lastReview: null
+            };
+        }
+
+        if (event.type === 'undo') {
+            if (beforeLookup.length > 0) card = beforeLookup.pop();
+            continue;
+        }
+        if (event.type === 'reset') {
+            card = {
+                step: 0,
+                interval: getIntervalInDays(0),
+                nextReview: now.toISOString(),
+                status: 'learning',
+                stability: null,
+                difficulty: null,
+                lastReview: null,
+                isTarget: false
+            };
+            continue;
+        }
+
+        if (event.type === 'lookup') beforeLookup.push(card);
+        const input = card
+            ? { ...card, isNew: false, isTarget: event.wasTarget }
+            : { step: 0, interval: 0, isNew: true, isTarget: event.wasTarget };
+
+        card = { ...scheduler.review(input, event.type, now), lastReview: now.toISOString(), isTarget: false };
+    }
+    return card || null;
+};
+
+module.exports = { createScheduler, replayEvents, SCHEDULERS };
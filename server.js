@@ -2,10 +2,29 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
-const axios = require('axios');
 const Database = require('better-sqlite3');
-const { GoogleGenAI } = require("@google/genai");
+const { createProvider, extractPartialPassage, isLLMError } = require('./providers');
+const { createScheduler, replayEvents } = require('./schedulers');
+const { getIntervalInDays } = require('./schedulers/classic');
+const { resolveLemma, lemmaCandidates } = require('./lemmas');
+const { normalizeWord, importKeys, extractWords, extractExpressions, isExpression, segmentText } = require('./shared/text');
+const { measureCoverage, buildRepairInstruction } = require('./generation/coverage');
+const { createPrefetcher } = require('./generation/prefetch');
+const { buildQuizPrompt, parseQuiz, publicQuestion, gradeQuiz } = require('./generation/quiz');
+const { createAuth, hashPassword, verifyPassword } = require('./auth');
+const { createStats } = require('./stats');
+const { parseImport, formatDelimited } = require('./importers');
+const { parseBook } = require('./importers/book');
+const { info } = require('./logger');
+const { createDictionary } = require('./dictionaries');
+const { loadProfiles, renderPrompt, pickTopic, queueLimits } = require('./prompts');
+const { ROUTES, SCHEMAS, LIMITS, LANG_CODE_PATTERN } = require('./api/contract');
+const { createValidator } = require('./api/schema');
+const { buildOpenApi } = require('./api/openapi');
+const { sendError, serverError, errorHandler, routeNotFound, STATUS_CODES, INTERNAL_MESSAGE } = require('./api/errors');
+const { version } = require('./package.json');
 
 const app = express();
 
@@ -17,11 +36,57 @@ app.use((req, res, next) => {
     next();
 });
 
-app.use(express.json({ limit: '10mb' }));
+// Large enough for a base64 .apkg deck or a full JSON backup.
+app.use(express.json({ limit: '50mb' }));
+
+// Every /api route passes `validate` first: its params, query and body are checked
+// against the route's entry in api/contract.js, which is also served as OpenAPI.
+const validate = createValidator(ROUTES, sendError);
+const openApiDocument = buildOpenApi(ROUTES, SCHEMAS, {
+    title: 'Syntagma API',
+    version,
+    description: 'Errors are always JSON: { error, code, details? }. Every route except registration, login and this document needs a Bearer token.'
+});
 
 const PORT = process.env.PORT || 3000;
-const MOCK_USER_ID = '00000000-0000-0000-0000-000000000001';
-const DB_PATH = 'syntagma.db';
+// Owner of every row written before accounts existed; claimed by the first account registered.
+const LEGACY_USER_ID = '00000000-0000-0000-0000-000000000001';
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION !== 'false';
+const DB_PATH = process.env.DB_PATH || 'syntagma.db';
+
+// Generated passages below this share of scheduled words are re-prompted, up to GENERATION_ATTEMPTS tries.
+const COVERAGE_THRESHOLD = parseFloat(process.env.COVERAGE_THRESHOLD) || 0.8;
+const GENERATION_ATTEMPTS = parseInt(process.env.GENERATION_ATTEMPTS, 10) || 2;
+// While a passage is being read the next one is generated in the background. It's thrown
+// away once lookups move the queue it was built for by more than PREFETCH_TOLERANCE.
+const PREFETCH_ENABLED = process.env.PREFETCH !== 'false';
+const PREFETCH_TOLERANCE = parseFloat(process.env.PREFETCH_TOLERANCE) || 0.2;
+// Comprehension/cloze questions written for each passage (when the reader has quizzes on).
+const QUIZ_QUESTIONS = parseInt(process.env.QUIZ_QUESTIONS, 10) || 4;
+// Your own texts are split into parts of about this many words, each read as one session.
+const TEXT_PART_WORDS = parseInt(process.env.TEXT_PART_WORDS, 10) || 600;
+// How many of a text's unknown words (seen at least twice) are offered for the target queue.
+const TEXT_UNKNOWN_LIMIT = 100;
+// Words looked up at least this often are listed as leeches on the dashboard.
+const LEECH_THRESHOLD = parseInt(process.env.LEECH_THRESHOLD, 10) || 4;
+// Rows returned by an import/restore dry run; the summary counts cover everything.
+const IMPORT_PREVIEW_ROWS = 500;
+
+// What a pass does to words in the passage that weren't scheduled for it:
+//   review: credit them only if they were already due or queued as targets
+//   ignore: credit scheduled words only
+//   master: legacy behaviour, unseen words are created as mastered
+const INCIDENTAL_POLICIES = ['review', 'ignore', 'master'];
+const INCIDENTAL_POLICY = (process.env.INCIDENTAL_WORDS || 'review').toLowerCase();
+if (!INCIDENTAL_POLICIES.includes(INCIDENTAL_POLICY)) {
+    throw new Error(`Unknown INCIDENTAL_WORDS "${INCIDENTAL_POLICY}". Use one of: ${INCIDENTAL_POLICIES.join(', ')}`);
+}
+
+const llm = createProvider();
+const scheduler = createScheduler();
+const dictionary = createDictionary(undefined, { llm });
+// A master_prompt.txt from before prompt profiles still works, as the "custom" profile.
+const promptProfiles = loadProfiles({ legacyTemplate: 'master_prompt.txt' });
 
 const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
@@ -60,415 +125,2126 @@ const initDB = () => {
             created_at TEXT DEFAULT CURRENT_TIMESTAMP,
             updated_at TEXT DEFAULT CURRENT_TIMESTAMP
         );
+        CREATE TABLE IF NOT EXISTS review_events (
+            event_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT NOT NULL,
+            language_code TEXT NOT NULL,
+            word_text TEXT NOT NULL,
+            event_type TEXT NOT NULL,
+            prior_step INTEGER,
+            prior_interval REAL,
+            prior_next_review TEXT,
+            was_target INTEGER DEFAULT 0,
+            was_new INTEGER DEFAULT 0,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_review_events_word 
+            ON review_events (user_id, language_code, word_text, event_id);
+        CREATE TABLE IF NOT EXISTS users (
+            user_id TEXT PRIMARY KEY,
+            username TEXT NOT NULL UNIQUE,
+            password_hash TEXT NOT NULL,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS auth_tokens (
+            token_hash TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            expires_at TEXT NOT NULL,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS user_settings (
+            user_id TEXT PRIMARY KEY,
+            settings TEXT NOT NULL DEFAULT '{}'
+        );
+        CREATE TABLE IF NOT EXISTS daily_activity (
+            user_id TEXT NOT NULL,
+            language_code TEXT NOT NULL,
+            day TEXT NOT NULL,
+            passed INTEGER DEFAULT 0,
+            looked_up INTEGER DEFAULT 0,
+            reading_seconds INTEGER DEFAULT 0,
+            PRIMARY KEY (user_id, language_code, day)
+        );
+        CREATE TABLE IF NOT EXISTS sync_events (
+            user_id TEXT NOT NULL,
+            event_id TEXT NOT NULL,
+            event_type TEXT NOT NULL,
+            language_code TEXT NOT NULL,
+            session_id INTEGER,
+            word TEXT,
+            status TEXT NOT NULL,
+            result TEXT,
+            occurred_at TEXT NOT NULL,
+            applied_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, event_id)
+        );
+        CREATE TABLE IF NOT EXISTS texts (
+            text_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT NOT NULL,
+            language_code TEXT NOT NULL,
+            title TEXT NOT NULL,
+            source TEXT NOT NULL,
+            position INTEGER DEFAULT 0,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS text_parts (
+            text_id INTEGER NOT NULL,
+            part_index INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            content TEXT NOT NULL,
+            word_count INTEGER NOT NULL,
+            session_id INTEGER,
+            PRIMARY KEY (text_id, part_index)
+        );
+        CREATE TABLE IF NOT EXISTS vocabulary_forms (
+            user_id TEXT NOT NULL,
+            language_code TEXT NOT NULL,
+            form TEXT NOT NULL,
+            lemma TEXT NOT NULL,
+            seen_count INTEGER DEFAULT 1,
+            PRIMARY KEY (user_id, language_code, form)
+        );
+        CREATE TABLE IF NOT EXISTS dictionary_senses (
+            sense_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            word TEXT NOT NULL,
+            source_lang TEXT NOT NULL,
+            target_lang TEXT NOT NULL,
+            provider TEXT NOT NULL,
+            sense TEXT NOT NULL,
+            definition TEXT,
+            lemma TEXT,
+            part_of_speech TEXT,
+            senses TEXT DEFAULT NULL,
+            example TEXT DEFAULT NULL,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (word, source_lang, target_lang, provider, sense)
+        );
+        CREATE TABLE IF NOT EXISTS dictionary_contexts (
+            word TEXT NOT NULL,
+            source_lang TEXT NOT NULL,
+            target_lang TEXT NOT NULL,
+            context_key TEXT NOT NULL,
+            sense_id INTEGER NOT NULL,
+            PRIMARY KEY (word, source_lang, target_lang, context_key)
+        );
     `);
+
+    // Memory-model state for schedulers other than the classic ladder.
+    addColumnIfMissing('user_vocabulary_progress', 'stability', 'REAL DEFAULT NULL');
+    addColumnIfMissing('user_vocabulary_progress', 'difficulty', 'REAL DEFAULT NULL');
+    addColumnIfMissing('user_vocabulary_progress', 'last_review_date', 'TEXT DEFAULT NULL');
+    
+    // Words a generated passage was built around, and which of them it actually used.
+    addColumnIfMissing('reading_sessions', 'intended_words', 'TEXT DEFAULT NULL');
+    addColumnIfMissing('reading_sessions', 'coverage', 'TEXT DEFAULT NULL');
+    
+    // Example sentences brought in by deck imports.
+    addColumnIfMissing('translation_cache', 'example', 'TEXT DEFAULT NULL');
+    
+    // Every passage is its own session. state: active (being read, one per language),
+    // finished or abandoned. mode: normal, or practice (re-reading, no SRS effect).
+    addColumnIfMissing('reading_sessions', 'level', 'TEXT DEFAULT NULL');
+    addColumnIfMissing('reading_sessions', 'model', 'TEXT DEFAULT NULL');
+    addColumnIfMissing('reading_sessions', 'prompt_variant', 'TEXT DEFAULT NULL');
+    addColumnIfMissing('reading_sessions', 'mode', "TEXT DEFAULT 'normal'");
+    addColumnIfMissing('reading_sessions', 'lookup_log', "TEXT DEFAULT '[]'");
+    addColumnIfMissing('reading_sessions', 'time_spent', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('reading_sessions', 'finished_at', 'TEXT DEFAULT NULL');
+    addColumnIfMissing('reading_sessions', 'source_session_id', 'INTEGER DEFAULT NULL');
+    // prompt_variant holds the prompt profile a passage was written with; topic is the one it was given.
+    addColumnIfMissing('reading_sessions', 'topic', 'TEXT DEFAULT NULL');
+    // Comprehension quiz: whether it's on for this session, its questions (with answers) and how it went.
+    addColumnIfMissing('reading_sessions', 'quiz_enabled', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('reading_sessions', 'quiz', 'TEXT DEFAULT NULL');
+    addColumnIfMissing('reading_sessions', 'quiz_results', 'TEXT DEFAULT NULL');
+    // Sessions reading a part of one of the user's own texts.
+    addColumnIfMissing('reading_sessions', 'text_id', 'INTEGER DEFAULT NULL');
+    addColumnIfMissing('reading_sessions', 'part_index', 'INTEGER DEFAULT NULL');
+    if (addColumnIfMissing('reading_sessions', 'state', "TEXT DEFAULT 'active'")) {
+        // The old single-row sessions were blanked out when a passage was finished.
+        db.prepare("UPDATE reading_sessions SET state = 'finished' WHERE passage_text = ''").run();
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS idx_reading_sessions_user ON reading_sessions (user_id, language_code, session_id)');
+};
+
+// Returns true if the column had to be added.
+const addColumnIfMissing = (table, column, definition) => {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    if (columns.includes(column)) return false;
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
 };
 initDB();
 
-const SRS_STEPS = {
-    0: { interval: 1, unit: 'minute' }, 1: { interval: 10, unit: 'minute' },
-    2: { interval: 60, unit: 'minute' }, 3: { interval: 1, unit: 'day' },
-    4: { interval: 3, unit: 'day' }, 5: { interval: 7, unit: 'day' },
-    6: { interval: 21, unit: 'day' }, 7: { interval: 90, unit: 'day' },
-    8: { interval: 36500, unit: 'day' }
+const auth = createAuth(db);
+const stats = createStats(db);
+
+// Hand everything written under LEGACY_USER_ID (pre-accounts databases) to `userId`.
+const claimLegacyRows = (userId) => {
+    const tables = ['user_vocabulary_progress', 'reading_sessions', 'review_events', 'vocabulary_forms'];
+    let claimed = 0;
+    tables.forEach(table => {
+        claimed += db.prepare(`UPDATE ${table} SET user_id = ? WHERE user_id = ?`).run(userId, LEGACY_USER_ID).changes;
+    });
+    if (claimed > 0) info(`📦 Assigned ${claimed} existing rows to the first account`);
 };
 
-const getIntervalInDays = (step) => {
-    const srs = SRS_STEPS[step] || SRS_STEPS[8];
-    return srs.unit === 'minute' ? srs.interval / 1440 : srs.interval;
+// glossLang: the language definitions are written in.
+// profile/topic: the prompt profile passages are written with, and its topic ('' picks one at random).
+// quiz: whether new passages come with comprehension questions.
+const DEFAULT_SETTINGS = { langCode: 'es', level: 'B1', glossLang: 'en', profile: 'narrative', topic: '', quiz: true };
+
+const getSettings = (userId) => {
+    const row = db.prepare('SELECT settings FROM user_settings WHERE user_id = ?').get(userId);
+    return { ...DEFAULT_SETTINGS, ...JSON.parse((row && row.settings) || '{}') };
 };
 
-const getNextReviewDate = (step, fromDate = new Date()) => {
-    const srs = SRS_STEPS[step] || SRS_STEPS[8];
-    const date = new Date(fromDate);
-    if (srs.unit === 'minute') date.setMinutes(date.getMinutes() + srs.interval);
-    else date.setDate(date.getDate() + srs.interval);
-    return date.toISOString();
+const getCard = (userId, langCode, word, at = new Date()) => db.prepare(`
+    SELECT current_step as step, srs_interval as interval, next_review_date as nextReview, 
+           status, is_target_word as isTarget, stability, difficulty, last_review_date as lastReview,
+           (datetime(next_review_date) <= datetime(?)) as isDue 
+    FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ? AND word_text = ?
+`).get(at.toISOString(), userId, langCode, word);
+
+// Every pass, lookup, undo and reset lands here, so schedules can be rebuilt later.
+const logReviewEvent = (userId, langCode, word, type, prior, { wasNew = false, at = new Date() } = {}) => {
+    db.prepare(`
+        INSERT INTO review_events 
+        (user_id, language_code, word_text, event_type, prior_step, prior_interval, prior_next_review, was_target, was_new, created_at) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(userId, langCode, word, type, 
+           prior ? prior.step : null, prior ? prior.interval : null, prior ? prior.nextReview : null, 
+           prior && prior.isTarget ? 1 : 0, wasNew ? 1 : 0, at.toISOString());
 };
 
-app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+// Surface forms are credited to their lemma. Resolution prefers lemmas the user
+// already tracks, so "comí" lands on "comer" once "comer" is in the vocabulary.
+const getLemmaResolver = (userId, langCode) => {
+    const known = new Set(db.prepare('SELECT word_text FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ?')
+        .pluck().all(userId, langCode));
+    return (form) => resolveLemma(form, langCode, w => known.has(w));
+};
 
-app.get('/api/vocabulary-list', (req, res) => {
-    try {
-        const { langCode = 'es' } = req.query;
-        const rows = db.prepare(`
-            SELECT word_text as word, srs_interval as interval, next_review_date as nextReview, 
-                   status, current_step as step, is_target_word as isTarget, target_order as targetOrder,
-                   (datetime(next_review_date) <= datetime('now')) as isDue 
-            FROM user_vocabulary_progress 
-            WHERE user_id = ? AND language_code = ? 
-            ORDER BY next_review_date ASC
-        `).all(MOCK_USER_ID, langCode);
-        res.json(rows.map(r => ({ ...r, isDue: r.isDue === 1, isTarget: r.isTarget === 1 })));
-    } catch (err) { res.status(500).json({ error: err.message }); }
+// Tracked entries that span several words ("darse cuenta", "il y a"), to be found in passages.
+const getExpressions = (userId, langCode) => db.prepare('SELECT word_text FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ?')
+    .pluck().all(userId, langCode).filter(w => isExpression(w, langCode));
+
+const recordForm = (userId, langCode, form, lemma) => {
+    if (form === lemma) return;
+    db.prepare(`
+        INSERT INTO vocabulary_forms (user_id, language_code, form, lemma) VALUES (?, ?, ?, ?)
+        ON CONFLICT(user_id, language_code, form) DO UPDATE SET lemma = excluded.lemma, seen_count = seen_count + 1
+    `).run(userId, langCode, form, lemma);
+};
+
+// Time is reported by the client in increments; anything longer than this between
+// two reports is treated as the reader having walked away.
+const MAX_SESSION_TICK_SECONDS = 300;
+
+const SESSION_COLUMNS = `session_id, user_id, language_code, passage_text, looked_up_words, intended_words, coverage, 
+    level, model, prompt_variant, topic, state, mode, lookup_log, time_spent, finished_at, source_session_id, 
+    quiz_enabled, quiz, quiz_results, text_id, part_index, created_at, updated_at`;
+
+// The passage being read right now in this language.
+const getActiveSession = (userId, langCode) => db.prepare(`
+    SELECT ${SESSION_COLUMNS} FROM reading_sessions 
+    WHERE user_id = ? AND language_code = ? AND state = 'active' 
+    ORDER BY updated_at DESC, session_id DESC LIMIT 1
+`).get(userId, langCode);
+
+const getSession = (userId, sessionId) => db.prepare(`
+    SELECT ${SESSION_COLUMNS} FROM reading_sessions WHERE user_id = ? AND session_id = ?
+`).get(userId, sessionId);
+
+// The session a request is about: the one it names, or else the active one.
+const resolveSession = (userId, langCode, sessionId) =>
+    sessionId ? getSession(userId, sessionId) : getActiveSession(userId, langCode);
+
+// Only one session per language is active; starting or resuming another leaves the rest unfinished.
+const abandonActiveSessions = (userId, langCode, exceptId = null) => db.prepare(`
+    UPDATE reading_sessions SET state = 'abandoned', updated_at = datetime('now') 
+    WHERE user_id = ? AND language_code = ? AND state = 'active' AND session_id IS NOT ?
+`).run(userId, langCode, exceptId);
+
+const createSession = (userId, langCode, { passage, intended = null, coverage = null, level = null, model = null,
+                                           promptVariant = null, topic = null, mode = 'normal', sourceSessionId = null,
+                                           quizEnabled = false, quiz = null, textId = null, partIndex = null }) => {
+    abandonActiveSessions(userId, langCode);
+    return db.prepare(`
+        INSERT INTO reading_sessions 
+        (user_id, language_code, passage_text, looked_up_words, intended_words, coverage, level, model, prompt_variant, topic, mode, 
+         source_session_id, quiz_enabled, quiz, text_id, part_index) 
+        VALUES (?, ?, ?, '[]', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(userId, langCode, passage, intended && JSON.stringify(intended), coverage && JSON.stringify(coverage),
+           level, model, promptVariant, topic, mode, sourceSessionId, quizEnabled ? 1 : 0, quiz && JSON.stringify(quiz),
+           textId, partIndex).lastInsertRowid;
+};
+
+const addSessionTime = (session, seconds) => {
+    const elapsed = Math.min(Math.max(Math.round(Number(seconds) || 0), 0), MAX_SESSION_TICK_SECONDS);
+    if (session && elapsed > 0) {
+        db.prepare('UPDATE reading_sessions SET time_spent = time_spent + ? WHERE session_id = ?').run(elapsed, session.session_id);
+        stats.recordActivity(session.user_id, session.language_code, { seconds: elapsed });
+    }
+};
+
+// Lookups are kept per session with their time; an undo removes the latest one for that word.
+// looked_up_words follows: a word stays in it while any lookup of it is left.
+const logSessionLookup = (session, entry) => {
+    if (!session) return;
+    const log = JSON.parse(session.lookup_log || '[]');
+    const lookedUp = new Set(JSON.parse(session.looked_up_words || '[]'));
+    if (entry.undo) {
+        const index = log.map(l => l.word).lastIndexOf(entry.word);
+        if (index >= 0) log.splice(index, 1);
+        if (!log.some(l => l.word === entry.word)) lookedUp.delete(entry.word);
+    } else {
+        log.push({ word: entry.word, form: entry.form, at: entry.at.toISOString() });
+        lookedUp.add(entry.word);
+    }
+    db.prepare("UPDATE reading_sessions SET lookup_log = ?, looked_up_words = ?, updated_at = datetime('now') WHERE session_id = ?")
+      .run(JSON.stringify(log), JSON.stringify([...lookedUp]), session.session_id);
+};
+
+const sessionSummary = (row) => {
+    const intended = JSON.parse(row.intended_words || 'null');
+    const coverage = JSON.parse(row.coverage || 'null');
+    const quizResults = JSON.parse(row.quiz_results || 'null');
+    return {
+        id: row.session_id,
+        langCode: row.language_code,
+        state: row.state,
+        mode: row.mode,
+        level: row.level,
+        model: row.model,
+        promptVariant: row.prompt_variant,
+        topic: row.topic,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        finishedAt: row.finished_at,
+        timeSpent: row.time_spent || 0,
+        lookups: JSON.parse(row.lookup_log || '[]').length,
+        quizEnabled: !!row.quiz_enabled,
+        quizScore: quizResults ? { score: quizResults.score, total: quizResults.total } : null,
+        textId: row.text_id,
+        partIndex: row.part_index,
+        intendedCount: intended ? intended.review.length + intended.target.length : 0,
+        coverage: coverage ? coverage.ratio : null,
+        preview: (row.passage_text || '').slice(0, 160)
+    };
+};
+
+const sessionDetail = (row) => ({
+    ...sessionSummary(row),
+    passage: row.passage_text,
+    lookedUpWords: JSON.parse(row.looked_up_words || '[]'),
+    lookupLog: JSON.parse(row.lookup_log || '[]'),
+    intended: JSON.parse(row.intended_words || 'null'),
+    coverage: JSON.parse(row.coverage || 'null'),
+    sourceSessionId: row.source_session_id,
+    // Questions only once answered: until then the stored ones still carry their answers.
+    quiz: row.quiz_results ? JSON.parse(row.quiz).map(publicQuestion) : null,
+    quizResults: JSON.parse(row.quiz_results || 'null'),
+    text: textContext(row)
 });
 
-app.post('/api/pass-words-batch', (req, res) => {
-    try {
-        const { words, langCode = 'es' } = req.body;
-        const txTime = new Date();
-        db.transaction((list) => {
-            for (const word of list) {
-                const cleanWord = word.toLowerCase().trim();
-                const check = db.prepare(`
-                    SELECT current_step, is_target_word, (datetime(next_review_date) <= datetime(?)) as is_due_db 
-                    FROM user_vocabulary_progress 
-                    WHERE user_id = ? AND language_code = ? AND word_text = ?
-                `).get(txTime.toISOString(), MOCK_USER_ID, langCode, cleanWord);
-                
-                if (!check) {
-                    // New word encountered and understood: mark as Mastered (Step 8)
-                    const nextStep = 8;
-                    db.prepare(`
-                        INSERT INTO user_vocabulary_progress 
-                        (user_id, language_code, word_text, current_step, srs_interval, next_review_date, status, successful_reads) 
-                        VALUES (?, ?, ?, ?, ?, ?, 'learned', 1)
-                    `).run(MOCK_USER_ID, langCode, cleanWord, nextStep, getIntervalInDays(nextStep), getNextReviewDate(nextStep, txTime));
-                } else if (check.is_due_db === 1 || check.is_target_word === 1) {
-                    // If target word is read without lookup, jump to mastered.
-                    // Otherwise, proceed to next SRS step.
-                    const nextStep = check.is_target_word === 1 ? 8 : Math.min((check.current_step || 0) + 1, 8);
-                    
-                    db.prepare(`
-                        UPDATE user_vocabulary_progress 
-                        SET current_step = ?, srs_interval = ?, next_review_date = ?, 
-                            status = ?, successful_reads = successful_reads + 1,
-                            is_target_word = 0, target_order = NULL
-                        WHERE user_id = ? AND language_code = ? AND word_text = ?
-                    `).run(nextStep, getIntervalInDays(nextStep), getNextReviewDate(nextStep, txTime), 
-                           nextStep >= 6 ? 'learned' : 'learning', MOCK_USER_ID, langCode, cleanWord);
+// Which of the user's texts a session reads, and where in it.
+const textContext = (row) => {
+    if (row.text_id === null || row.text_id === undefined) return null;
+    const text = db.prepare(`
+        SELECT t.text_id as id, t.title, p.title as partTitle, 
+               (SELECT COUNT(*) FROM text_parts WHERE text_id = t.text_id) as partCount
+        FROM texts t JOIN text_parts p ON p.text_id = t.text_id AND p.part_index = ?
+        WHERE t.text_id = ?
+    `).get(row.part_index, row.text_id);
+    return text ? { ...text, partIndex: row.part_index } : null;
+};
+
+// Rows created before their lemma was imported (e.g. "comí" read before "comer"
+// was queued) are folded into the lemma so future reads credit it.
+const createInflectionFolder = (userId, langCode, importedWords) => {
+    const inflectionsOf = new Map();
+    db.prepare('SELECT word_text FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ?')
+      .pluck().all(userId, langCode).forEach(existing => {
+          lemmaCandidates(existing, langCode).forEach(candidate => {
+              if (!inflectionsOf.has(candidate)) inflectionsOf.set(candidate, []);
+              inflectionsOf.get(candidate).push(existing);
+          });
+      });
+    const imported = new Set(importedWords);
+    const folded = new Set();
+    
+    const fold = (word) => {
+        (inflectionsOf.get(word) || []).forEach(form => {
+            if (imported.has(form) || folded.has(form)) return;
+            deleteWord(userId, langCode, form);
+            recordForm(userId, langCode, form, word);
+            folded.add(form);
+        });
+    };
+    return { fold, folded };
+};
+
+// Deck imports are planned before they're applied so the Import tab can preview
+// them. Each record becomes one of: new, updated (only fills in missing data),
+// conflict (schedule differs from ours), unchanged or skipped.
+// Definitions are taken to be in the user's gloss language. translation_cache is shared
+// between accounts, so a deck only adds definitions for words that have none yet.
+const planDeckImport = (userId, langCode, records, now = new Date()) => {
+    const { glossLang } = getSettings(userId);
+    const cacheStmt = db.prepare('SELECT translation, example FROM translation_cache WHERE word = ? AND source_lang = ? AND target_lang = ?');
+    const seen = new Set();
+    
+    return records.map(record => {
+        const raw = (record.word || '').trim();
+        const keys = importKeys(raw, langCode);
+        if (keys.length === 0) return { word: raw, action: 'skipped', reason: 'No word in this row.' };
+        // Its definition and schedule are for the whole, so it can't be split like a word list entry.
+        if (keys.length > 1) return { word: raw, action: 'skipped', reason: `Passages read this as ${keys.length} words (${keys.join(', ')}); give each its own row.` };
+        const [word] = keys;
+        if (seen.has(word)) return { word, action: 'skipped', reason: 'Duplicate of an earlier row.' };
+        seen.add(word);
+        
+        const incoming = record.schedule ? scheduler.importCard(record.schedule, now) : null;
+        const existing = getCard(userId, langCode, word, now);
+        const cached = cacheStmt.get(word, langCode, glossLang);
+        const entry = { word, record, incoming, cached, changes: [], conflicts: [] };
+        
+        if (!cached && record.definition) {
+            entry.changes.push('definition');
+            if (record.example) entry.changes.push('example');
+        }
+        if (!existing) return { ...entry, action: 'new' };
+        
+        entry.existing = existing;
+        if (incoming && (existing.step !== incoming.step || Math.abs(existing.interval - incoming.interval) > 1e-6)) {
+            entry.conflicts.push('schedule');
+        }
+        const action = entry.conflicts.length > 0 ? 'conflict' : (entry.changes.length > 0 ? 'updated' : 'unchanged');
+        return { ...entry, action };
+    });
+};
+
+const summarizePlan = (plan) => {
+    const summary = { new: 0, updated: 0, conflict: 0, unchanged: 0, skipped: 0 };
+    plan.forEach(entry => { summary[entry.action]++; });
+    return summary;
+};
+
+// `onConflict` is 'keep' (leave our data, still fill gaps) or 'overwrite'.
+const applyDeckImport = (userId, langCode, plan, { onConflict = 'keep', makeTargetList = false } = {}, now = new Date()) => {
+    const overwrite = onConflict === 'overwrite';
+    const { glossLang } = getSettings(userId);
+    const maxOrder = db.prepare('SELECT COALESCE(MAX(target_order), -1) as max FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ?').get(userId, langCode);
+    let order = maxOrder.max + 1;
+    
+    const insertStmt = db.prepare(`
+        INSERT INTO user_vocabulary_progress 
+        (user_id, language_code, word_text, current_step, srs_interval, next_review_date, status, 
+         successful_reads, lookup_count, is_target_word, target_order, stability, difficulty, last_review_date) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const scheduleStmt = db.prepare(`
+        UPDATE user_vocabulary_progress 
+        SET current_step = ?, srs_interval = ?, next_review_date = ?, status = ?, 
+            stability = ?, difficulty = ?, last_review_date = ?, is_target_word = 0, target_order = NULL
+        WHERE user_id = ? AND language_code = ? AND word_text = ?
+    `);
+    const cacheStmt = db.prepare(`
+        INSERT INTO translation_cache (word, source_lang, target_lang, translation, example) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(word, source_lang, target_lang) DO NOTHING
+    `);
+    // Imported schedules were last reviewed one interval before they fall due.
+    const lastReviewOf = (card) => new Date(new Date(card.nextReview).getTime() - card.interval * 24 * 60 * 60 * 1000).toISOString();
+    
+    const { fold, folded } = createInflectionFolder(userId, langCode, plan.map(entry => entry.word));
+    const applied = { new: 0, updated: 0, conflict: 0 };
+    db.transaction(() => {
+        plan.forEach(entry => {
+            if (!['new', 'updated', 'conflict'].includes(entry.action)) return;
+            const { word, record, incoming } = entry;
+            const wins = (field) => entry.changes.includes(field) || (overwrite && entry.conflicts.includes(field));
+            
+            if (entry.action === 'new') {
+                const schedule = record.schedule || {};
+                if (incoming) {
+                    insertStmt.run(userId, langCode, word, incoming.step, incoming.interval, incoming.nextReview, incoming.status,
+                                   schedule.reads || 0, schedule.lookups || 0, 0, null,
+                                   incoming.stability, incoming.difficulty, lastReviewOf(incoming));
+                } else {
+                    // No schedule in the source: queue it like a plain word-list import.
+                    const nextReview = makeTargetList
+                        ? new Date(now.getTime() + 365 * 24 * 60 * 60 * 1000).toISOString()
+                        : new Date(now.getTime() + 60 * 1000).toISOString();
+                    insertStmt.run(userId, langCode, word, 0, getIntervalInDays(0), nextReview, 'learning',
+                                   0, 0, makeTargetList ? 1 : 0, makeTargetList ? order++ : null, null, null, null);
                 }
+                fold(word);
+            } else if (incoming && wins('schedule')) {
+                scheduleStmt.run(incoming.step, incoming.interval, incoming.nextReview, incoming.status,
+                                 incoming.stability, incoming.difficulty, lastReviewOf(incoming), userId, langCode, word);
             }
-        })(words);
-        res.json({ success: true });
-    } catch (err) { res.status(500).json({ error: err.message }); }
+            
+            if (entry.changes.includes('definition')) {
+                cacheStmt.run(word, langCode, glossLang, record.definition, record.example || null);
+            }
+            applied[entry.action]++;
+        });
+    })();
+    return { ...applied, folded: folded.size };
+};
+
+const planPreview = (plan) => plan.slice(0, IMPORT_PREVIEW_ROWS).map(entry => ({
+    word: entry.word,
+    action: entry.action,
+    reason: entry.reason,
+    definition: entry.record ? entry.record.definition : null,
+    changes: entry.changes,
+    conflicts: entry.conflicts,
+    current: entry.existing ? { step: entry.existing.step, interval: entry.existing.interval, definition: entry.cached ? entry.cached.translation : null } : null,
+    incoming: entry.incoming ? { step: entry.incoming.step, interval: entry.incoming.interval } : null
+}));
+
+// Full per-language backup. Translations are limited to the user's own words
+// and their inflected forms, since translation_cache is shared between accounts.
+const BACKUP_VERSION = 1;
+const BACKUP_COLUMNS = {
+    vocabulary: ['word_text', 'current_step', 'srs_interval', 'next_review_date', 'status', 'successful_reads', 'lookup_count',
+                 'is_target_word', 'target_order', 'created_at', 'stability', 'difficulty', 'last_review_date'],
+    translations: ['word', 'target_lang', 'translation', 'example'],
+    sessions: ['passage_text', 'looked_up_words', 'intended_words', 'coverage', 'created_at', 'updated_at',
+               'level', 'model', 'prompt_variant', 'topic', 'state', 'mode', 'lookup_log', 'time_spent', 'finished_at',
+               'quiz_enabled', 'quiz', 'quiz_results']
+};
+
+const buildBackup = (userId, langCode) => ({
+    app: 'syntagma',
+    version: BACKUP_VERSION,
+    langCode,
+    exportedAt: new Date().toISOString(),
+    vocabulary: db.prepare(`
+        SELECT ${BACKUP_COLUMNS.vocabulary.join(', ')} FROM user_vocabulary_progress 
+        WHERE user_id = ? AND language_code = ? ORDER BY word_id
+    `).all(userId, langCode),
+    translations: db.prepare(`
+        SELECT ${BACKUP_COLUMNS.translations.join(', ')} FROM translation_cache 
+        WHERE source_lang = ? AND (
+            word IN (SELECT word_text FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ?) OR 
+            word IN (SELECT form FROM vocabulary_forms WHERE user_id = ? AND language_code = ?)
+        ) ORDER BY word
+    `).all(langCode, userId, langCode, userId, langCode),
+    sessions: db.prepare(`
+        SELECT ${BACKUP_COLUMNS.sessions.join(', ')} FROM reading_sessions 
+        WHERE user_id = ? AND language_code = ? ORDER BY session_id
+    `).all(userId, langCode)
 });
 
-app.post('/api/lookup-word', async (req, res) => {
-    const { word, langCode = 'es' } = req.body;
-    const clean = word.toLowerCase().trim();
+const isBackup = (backup) => !!backup && backup.app === 'syntagma' && typeof backup.langCode === 'string' &&
+    ['vocabulary', 'translations', 'sessions'].every(section => Array.isArray(backup[section]));
+
+const sameRow = (a, b, columns) => columns.every(column => (a[column] ?? null) === (b[column] ?? null));
+
+// Same actions as a deck import, per backup section. Vocabulary rows conflict when
+// their schedule differs; sessions are matched on creation time and text, so restoring
+// twice adds nothing. translation_cache is shared between accounts, so a backup only adds
+// definitions that are missing, and only for its own words and their inflected forms.
+const planRestore = (userId, backup) => {
+    const { langCode } = backup;
+    const vocabStmt = db.prepare(`SELECT ${BACKUP_COLUMNS.vocabulary.join(', ')} FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ? AND word_text = ?`);
+    const cacheStmt = db.prepare('SELECT translation, example FROM translation_cache WHERE word = ? AND source_lang = ? AND target_lang = ?');
+    const sessionStmt = db.prepare('SELECT 1 FROM reading_sessions WHERE user_id = ? AND language_code = ? AND created_at = ? AND passage_text = ?');
+    const scheduleColumns = ['current_step', 'srs_interval', 'next_review_date', 'status', 'is_target_word'];
+    
+    const vocabulary = backup.vocabulary.filter(row => row && row.word_text).map(row => {
+        const existing = vocabStmt.get(userId, langCode, row.word_text);
+        if (!existing) return { word: row.word_text, action: 'new', row };
+        if (sameRow(existing, row, BACKUP_COLUMNS.vocabulary)) return { word: row.word_text, action: 'unchanged', row };
+        return { word: row.word_text, action: sameRow(existing, row, scheduleColumns) ? 'updated' : 'conflict', row, existing };
+    });
+    const own = new Set([
+        ...backup.vocabulary.filter(row => row && row.word_text).map(row => row.word_text),
+        ...db.prepare('SELECT word_text FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ?').pluck().all(userId, langCode),
+        ...db.prepare('SELECT form FROM vocabulary_forms WHERE user_id = ? AND language_code = ?').pluck().all(userId, langCode)
+    ]);
+    const isOwn = (word) => own.has(word) || own.has(resolveLemma(word, langCode, w => own.has(w)));
+    const translations = backup.translations.filter(row => row && row.word && row.translation).map(row => {
+        const existing = cacheStmt.get(row.word, langCode, row.target_lang || 'en');
+        if (existing) {
+            if (sameRow(existing, row, ['translation', 'example'])) return { word: row.word, action: 'unchanged', row };
+            return { word: row.word, action: 'skipped', reason: 'A definition for this word is already saved.', row, existing };
+        }
+        if (!isOwn(row.word)) return { word: row.word, action: 'skipped', reason: 'Not a word of this backup or a form of one.', row };
+        return { word: row.word, action: 'new', row };
+    });
+    const sessions = backup.sessions.filter(row => row && typeof row.passage_text === 'string').map(row => ({
+        action: sessionStmt.get(userId, langCode, row.created_at, row.passage_text) ? 'unchanged' : 'new', row
+    }));
+    return { langCode, vocabulary, translations, sessions };
+};
+
+const applyRestore = (userId, plan, { onConflict = 'keep' } = {}) => {
+    const { langCode } = plan;
+    const takes = (entry) => entry.action === 'new' || entry.action === 'updated' || (entry.action === 'conflict' && onConflict === 'overwrite');
+    const pick = (row, columns) => columns.map(column => row[column] ?? null);
     
-    console.log(`🔍 Looking up: ${clean}`);
-    const previousState = db.prepare(`
-        SELECT current_step as step, srs_interval as interval, next_review_date as nextReview, 
-               status, is_target_word as isTarget 
-        FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ? AND word_text = ?
-    `).get(MOCK_USER_ID, langCode, clean);
+    const vocabColumns = BACKUP_COLUMNS.vocabulary;
+    const vocabStmt = db.prepare(`
+        INSERT INTO user_vocabulary_progress (user_id, language_code, ${vocabColumns.join(', ')}) 
+        VALUES (?, ?, ${vocabColumns.map(() => '?').join(', ')})
+        ON CONFLICT(user_id, language_code, word_text) DO UPDATE SET 
+            ${vocabColumns.filter(c => c !== 'word_text').map(c => `${c} = excluded.${c}`).join(', ')}
+    `);
+    const cacheStmt = db.prepare(`
+        INSERT INTO translation_cache (word, source_lang, target_lang, translation, example) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(word, source_lang, target_lang) DO NOTHING
+    `);
+    const sessionColumns = BACKUP_COLUMNS.sessions;
+    const sessionStmt = db.prepare(`
+        INSERT INTO reading_sessions (user_id, language_code, ${sessionColumns.join(', ')}) 
+        VALUES (?, ?, ${sessionColumns.map(() => '?').join(', ')})
+    `);
     
-    // Reset to learning on lookup, remove target status
+    const applied = { vocabulary: 0, translations: 0, sessions: 0 };
+    db.transaction(() => {
+        plan.vocabulary.filter(takes).forEach(entry => {
+            vocabStmt.run(userId, langCode, ...pick(entry.row, vocabColumns));
+            applied.vocabulary++;
+        });
+        plan.translations.filter(entry => entry.action === 'new').forEach(entry => {
+            const { word, target_lang: targetLang, translation, example } = entry.row;
+            applied.translations += cacheStmt.run(word, langCode, targetLang || 'en', translation, example ?? null).changes;
+        });
+        plan.sessions.filter(entry => entry.action === 'new').forEach(entry => {
+            // Restored sessions go into history; they don't displace what's being read now.
+            const createdAt = entry.row.created_at || new Date().toISOString();
+            const row = { mode: 'normal', lookup_log: '[]', time_spent: 0, ...entry.row, created_at: createdAt, 
+                          updated_at: entry.row.updated_at || createdAt,
+                          state: entry.row.state === 'finished' ? 'finished' : 'abandoned' };
+            sessionStmt.run(userId, langCode, ...pick(row, sessionColumns));
+            applied.sessions++;
+        });
+    })();
+    return applied;
+};
+
+const previewRestore = (plan) => {
+    const section = (entries) => ({
+        summary: summarizePlan(entries),
+        rows: entries.filter(entry => entry.action !== 'unchanged').slice(0, IMPORT_PREVIEW_ROWS)
+            .map(({ word, action, reason }) => ({ word, action, reason }))
+    });
+    return { vocabulary: section(plan.vocabulary), translations: section(plan.translations), sessions: { summary: summarizePlan(plan.sessions) } };
+};
+
+// A lookup fails the word: the scheduler resets it and any target status is dropped.
+// Returns the card as it was before, for undo.
+const failWord = (userId, langCode, word, form, now = new Date()) => {
+    const previousState = getCard(userId, langCode, word, now);
+    const next = scheduler.review(previousState ? { ...previousState, isTarget: previousState.isTarget === 1 } : null, 'lookup', now);
     db.prepare(`
         INSERT INTO user_vocabulary_progress 
-        (user_id, language_code, word_text, current_step, srs_interval, next_review_date, status, lookup_count, is_target_word, target_order) 
-        VALUES (?, ?, ?, 0, ?, datetime('now'), 'learning', 1, 0, NULL) 
+        (user_id, language_code, word_text, current_step, srs_interval, next_review_date, status, lookup_count, is_target_word, target_order,
+         stability, difficulty, last_review_date) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, 1, 0, NULL, ?, ?, ?) 
         ON CONFLICT(user_id, language_code, word_text) DO UPDATE SET 
-            current_step = 0, 
-            srs_interval = ?, 
-            next_review_date = datetime('now'), 
-            status = 'learning', 
+            current_step = excluded.current_step, 
+            srs_interval = excluded.srs_interval, 
+            next_review_date = excluded.next_review_date, 
+            status = excluded.status, 
             lookup_count = lookup_count + 1,
             is_target_word = 0,
-            target_order = NULL
-    `).run(MOCK_USER_ID, langCode, clean, getIntervalInDays(0), getIntervalInDays(0));
-    
-    const cached = db.prepare('SELECT translation FROM translation_cache WHERE word = ? AND source_lang = ?').get(clean, langCode);
+            target_order = NULL,
+            stability = excluded.stability,
+            difficulty = excluded.difficulty,
+            last_review_date = excluded.last_review_date
+    `).run(userId, langCode, word, next.step, next.interval, next.nextReview, next.status,
+           next.stability, next.difficulty, now.toISOString());
+    logReviewEvent(userId, langCode, word, 'lookup', previousState, { wasNew: !previousState, at: now });
+    stats.recordActivity(userId, langCode, { lookedUp: 1 }, now);
+    if (form) recordForm(userId, langCode, form, word);
+    prefetcher.refresh(userId, langCode);
+    return previousState;
+};
+
+// Dictionary entries are cached once per sense in dictionary_senses. Contextual
+// answers are reached through the sentence they were given for (a hash of it in
+// dictionary_contexts), context-free ones through context_key ''. Different
+// sentences that land on the same sense share its row.
+const contextKeyOf = (sentence) => sentence
+    ? crypto.createHash('sha1').update(sentence.normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trim()).digest('hex').slice(0, 16)
+    : '';
+
+const senseEntry = (row) => ({
+    sense: row.sense,
+    definition: row.definition,
+    lemma: row.lemma,
+    partOfSpeech: row.part_of_speech,
+    senses: row.senses ? JSON.parse(row.senses) : null,
+    example: row.example,
+    provider: row.provider
+});
+
+const findCachedSense = (word, sourceLang, glossLang, sentence) => {
+    const stmt = db.prepare(`
+        SELECT s.* FROM dictionary_contexts c JOIN dictionary_senses s ON s.sense_id = c.sense_id
+        WHERE c.word = ? AND c.source_lang = ? AND c.target_lang = ? AND c.context_key = ?
+    `);
+    const contextual = sentence && stmt.get(word, sourceLang, glossLang, contextKeyOf(sentence));
+    if (contextual) return senseEntry(contextual);
+    const general = stmt.get(word, sourceLang, glossLang, '');
+    if (general && (!sentence || dictionary.standsForContext(general.provider))) return senseEntry(general);
+    return null;
+};
+
+const cacheSense = db.transaction((word, sourceLang, glossLang, sentence, entry) => {
+    const { sense_id: senseId } = db.prepare(`
+        INSERT INTO dictionary_senses (word, source_lang, target_lang, provider, sense, definition, lemma, part_of_speech, senses, example)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(word, source_lang, target_lang, provider, sense) DO UPDATE SET
+            definition = excluded.definition, lemma = excluded.lemma, part_of_speech = excluded.part_of_speech,
+            senses = excluded.senses, example = excluded.example
+        RETURNING sense_id
+    `).get(word, sourceLang, glossLang, entry.provider, entry.sense, entry.definition || null, entry.lemma || null,
+           entry.partOfSpeech || null, entry.senses ? JSON.stringify(entry.senses) : null, entry.example || null);
+    db.prepare(`
+        INSERT OR REPLACE INTO dictionary_contexts (word, source_lang, target_lang, context_key, sense_id) VALUES (?, ?, ?, ?, ?)
+    `).run(word, sourceLang, glossLang, entry.contextual ? contextKeyOf(sentence) : '', senseId);
+});
+
+// The dictionary entry for `form` as used in `sentence`, from the cache or the configured backends.
+const defineWord = async ({ form, text, lemma, sentence, sourceLang, glossLang }) => {
+    const cached = findCachedSense(form, sourceLang, glossLang, sentence);
     if (cached) {
-        console.log(`✅ Cache hit: ${cached.translation}`);
-        return res.json({ definition: cached.translation, previousState });
+        info(`✅ Cache hit (${cached.provider}): ${cached.sense}`);
+        return cached;
     }
-    
+    const entry = await dictionary.define({ word: form, text, lemma, sentence, sourceLang, glossLang });
+    if (!entry) return null;
+    cacheSense(form, sourceLang, glossLang, sentence, entry);
+    info(`💾 Cached ${entry.provider} ${entry.contextual ? 'contextual ' : ''}definition for "${form}": ${entry.sense}`);
+    return entry;
+};
+
+// Both definition stores, as the CLI inspects and clears them:
+//   senses  dictionary answers, which are fetched again when missing
+//   saved   translation_cache: definitions from deck imports and passage glossaries,
+//           which are data rather than cache and can't be fetched again
+// Filters: { langCode, glossLang, word, provider (senses only) }, all optional.
+const cacheWhere = (filter, alias = '') => {
+    const columns = { langCode: 'source_lang', glossLang: 'target_lang', word: 'word', provider: 'provider' };
+    const keys = Object.keys(columns).filter(key => filter[key]);
+    return {
+        where: keys.length > 0 ? `WHERE ${keys.map(key => `${alias}${columns[key]} = ?`).join(' AND ')}` : '',
+        params: keys.map(key => filter[key])
+    };
+};
+
+const listCache = (store, filter = {}, limit = 100) => {
+    if (store === 'saved') {
+        const { where, params } = cacheWhere({ ...filter, provider: null });
+        return {
+            total: db.prepare(`SELECT COUNT(*) FROM translation_cache ${where}`).pluck().get(...params),
+            entries: db.prepare(`
+                SELECT word, source_lang as langCode, target_lang as glossLang, translation as definition, example
+                FROM translation_cache ${where} ORDER BY source_lang, word LIMIT ?
+            `).all(...params, limit)
+        };
+    }
+    const { where, params } = cacheWhere(filter, 's.');
+    return {
+        total: db.prepare(`SELECT COUNT(*) FROM dictionary_senses s ${where}`).pluck().get(...params),
+        entries: db.prepare(`
+            SELECT s.word, s.source_lang as langCode, s.target_lang as glossLang, s.provider, s.sense, s.definition,
+                   s.part_of_speech as partOfSpeech, s.created_at as createdAt,
+                   (SELECT COUNT(*) FROM dictionary_contexts c WHERE c.sense_id = s.sense_id) as contexts
+            FROM dictionary_senses s ${where} ORDER BY s.source_lang, s.word, s.sense_id LIMIT ?
+        `).all(...params, limit)
+    };
+};
+
+// -> how many entries were removed
+const clearCache = (store, filter = {}) => db.transaction(() => {
+    if (store === 'saved') {
+        const { where, params } = cacheWhere({ ...filter, provider: null });
+        return db.prepare(`DELETE FROM translation_cache ${where}`).run(...params).changes;
+    }
+    const { where, params } = cacheWhere(filter);
+    db.prepare(`DELETE FROM dictionary_contexts WHERE sense_id IN (SELECT sense_id FROM dictionary_senses ${where})`).run(...params);
+    return db.prepare(`DELETE FROM dictionary_senses ${where}`).run(...params).changes;
+})();
+
+// A pass: the scheduler moves the word on and any target status is dropped.
+// `card` is the word's current row; a word we've never seen is created, first sight counting as a pass.
+const passWord = (userId, langCode, word, card, now = new Date()) => {
+    if (!card) {
+        const next = scheduler.review(null, 'pass', now);
+        db.prepare(`
+            INSERT INTO user_vocabulary_progress 
+            (user_id, language_code, word_text, current_step, srs_interval, next_review_date, status, successful_reads,
+             stability, difficulty, last_review_date) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+        `).run(userId, langCode, word, next.step, next.interval, next.nextReview, next.status,
+               next.stability, next.difficulty, now.toISOString());
+        logReviewEvent(userId, langCode, word, 'pass', null, { wasNew: true, at: now });
+        stats.recordActivity(userId, langCode, { passed: 1 }, now);
+        return;
+    }
+    const next = scheduler.review({ ...card, isTarget: card.isTarget === 1 }, 'pass', now);
+    db.prepare(`
+        UPDATE user_vocabulary_progress 
+        SET current_step = ?, srs_interval = ?, next_review_date = ?, 
+            status = ?, successful_reads = successful_reads + 1,
+            is_target_word = 0, target_order = NULL,
+            stability = ?, difficulty = ?, last_review_date = ?
+        WHERE user_id = ? AND language_code = ? AND word_text = ?
+    `).run(next.step, next.interval, next.nextReview, next.status, 
+           next.stability, next.difficulty, now.toISOString(),
+           userId, langCode, word);
+    logReviewEvent(userId, langCode, word, 'pass', card, { at: now });
+    stats.recordActivity(userId, langCode, { passed: 1 }, now);
+};
+
+const resetWord = (userId, langCode, word) => {
+    const prior = getCard(userId, langCode, word);
+    if (!prior) return;
+    db.prepare(`
+        UPDATE user_vocabulary_progress 
+        SET current_step = 0, srs_interval = ?, next_review_date = datetime('now'), 
+            status = 'learning', is_target_word = 0, target_order = NULL,
+            stability = NULL, difficulty = NULL, last_review_date = NULL
+        WHERE user_id = ? AND language_code = ? AND word_text = ?
+    `).run(getIntervalInDays(0), userId, langCode, word);
+    logReviewEvent(userId, langCode, word, 'reset', prior);
+};
+
+const deleteWord = (userId, langCode, word) => {
+    db.prepare('DELETE FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ? AND word_text = ?')
+      .run(userId, langCode, word);
+    db.prepare('DELETE FROM review_events WHERE user_id = ? AND language_code = ? AND word_text = ?')
+      .run(userId, langCode, word);
+    db.prepare('DELETE FROM vocabulary_forms WHERE user_id = ? AND language_code = ? AND lemma = ?')
+      .run(userId, langCode, word);
+};
+
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.get('/api/openapi.json', validate, (req, res) => res.json(openApiDocument));
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
+// Web app manifest, icon and service worker, served from the root so the worker's scope is the whole app.
+app.use(express.static(path.join(__dirname, 'pwa')));
+
+app.post('/api/auth/register', validate, (req, res) => {
     try {
-        const apiUrl = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(clean)}&langpair=${langCode}|en`;
-        const transRes = await axios.get(apiUrl, { timeout: 5000 });
+        const { username, password } = req.body;
+        const name = String(username || '').trim().toLowerCase();
+        if (!/^[a-z0-9_.-]{3,32}$/.test(name)) {
+            return sendError(res, 400, 'INVALID_USERNAME', "Username must be 3-32 letters, digits, '.', '_' or '-'.");
+        }
+        if (typeof password !== 'string' || password.length < 8) {
+            return sendError(res, 400, 'WEAK_PASSWORD', "Password must be at least 8 characters.");
+        }
         
-        let def = "Translation unavailable.";
-        if (transRes.data && transRes.data.responseData && transRes.data.responseData.translatedText) {
-            def = transRes.data.responseData.translatedText;
-            db.prepare('INSERT OR REPLACE INTO translation_cache (word, source_lang, translation) VALUES (?, ?, ?)').run(clean, langCode, def);
-            console.log(`💾 Cached definition for "${clean}": ${def}`);
+        const isFirstAccount = db.prepare('SELECT COUNT(*) FROM users').pluck().get() === 0;
+        if (!isFirstAccount && !ALLOW_REGISTRATION) {
+            return sendError(res, 403, 'REGISTRATION_DISABLED', "Registration is disabled on this server.");
         }
-        return res.json({ definition: def, previousState });
-    } catch (e) { 
-        console.error("Translation API error:", e.message);
-        res.json({ definition: "Translation unavailable.", previousState }); 
+        if (db.prepare('SELECT 1 FROM users WHERE username = ?').get(name)) {
+            return sendError(res, 409, 'USERNAME_TAKEN', "That username is taken.");
+        }
+        
+        const userId = crypto.randomUUID();
+        db.transaction(() => {
+            db.prepare('INSERT INTO users (user_id, username, password_hash) VALUES (?, ?, ?)').run(userId, name, hashPassword(password));
+            if (isFirstAccount) claimLegacyRows(userId);
+        })();
+        
+        info(`👤 Registered ${name}`);
+        res.json({ token: auth.issueToken(userId), user: { username: name } });
+    } catch (err) { serverError(res, err); }
+});
+
+app.post('/api/auth/login', validate, (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const name = String(username || '').trim().toLowerCase();
+        const user = db.prepare('SELECT user_id, password_hash FROM users WHERE username = ?').get(name);
+        if (!user || !verifyPassword(String(password || ''), user.password_hash)) {
+            return sendError(res, 401, 'INVALID_CREDENTIALS', "Invalid username or password.");
+        }
+        res.json({ token: auth.issueToken(user.user_id), user: { username: name } });
+    } catch (err) { serverError(res, err); }
+});
+
+// Every /api route below this line needs a valid token and is scoped to req.userId.
+app.use('/api', auth.authenticate);
+
+app.post('/api/auth/logout', validate, (req, res) => {
+    auth.revokeToken(req.token);
+    res.json({ success: true });
+});
+
+app.get('/api/auth/me', validate, (req, res) => res.json({ user: { username: req.username } }));
+
+app.get('/api/settings', validate, (req, res) => {
+    try {
+        res.json(getSettings(req.userId));
+    } catch (err) { serverError(res, err); }
+});
+
+app.put('/api/settings', validate, (req, res) => {
+    const { userId } = req;
+    try {
+        const settings = getSettings(userId);
+        Object.keys(DEFAULT_SETTINGS).forEach(key => {
+            if (req.body[key] !== undefined) settings[key] = req.body[key];
+        });
+        db.prepare(`
+            INSERT INTO user_settings (user_id, settings) VALUES (?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET settings = excluded.settings
+        `).run(userId, JSON.stringify(settings));
+        res.json(settings);
+    } catch (err) { serverError(res, err); }
+});
+
+// Dashboard analytics for one language: due load over the next `days` days, what was
+// read over the last `days`, retention by step and interval, and the leech list.
+const statsReport = (userId, langCode, days, now = new Date()) => ({
+    days,
+    forecast: stats.forecast(userId, langCode, days, now),
+    activity: stats.activity(userId, langCode, days, now),
+    retention: stats.retention(userId, langCode),
+    leeches: stats.leeches(userId, langCode, LEECH_THRESHOLD, 50),
+    leechThreshold: LEECH_THRESHOLD
+});
+
+app.get('/api/stats', validate, (req, res) => {
+    try {
+        const { langCode = 'es' } = req.query;
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+        res.json(statsReport(req.userId, langCode, days));
+    } catch (err) { serverError(res, err); }
+});
+
+// Every tracked word of a language, soonest due first, with the forms it was met in.
+const listVocabulary = (userId, langCode) => {
+    const rows = db.prepare(`
+        SELECT word_text as word, srs_interval as interval, next_review_date as nextReview, 
+               status, current_step as step, is_target_word as isTarget, target_order as targetOrder,
+               (datetime(next_review_date) <= datetime('now')) as isDue 
+        FROM user_vocabulary_progress 
+        WHERE user_id = ? AND language_code = ? 
+        ORDER BY next_review_date ASC
+    `).all(userId, langCode);
+    
+    const formsByLemma = new Map();
+    db.prepare(`
+        SELECT lemma, form FROM vocabulary_forms 
+        WHERE user_id = ? AND language_code = ? 
+        ORDER BY seen_count DESC
+    `).all(userId, langCode).forEach(({ lemma, form }) => {
+        if (!formsByLemma.has(lemma)) formsByLemma.set(lemma, []);
+        formsByLemma.get(lemma).push(form);
+    });
+    
+    return rows.map(r => ({ ...r, isDue: r.isDue === 1, isTarget: r.isTarget === 1, forms: formsByLemma.get(r.word) || [] }));
+};
+
+app.get('/api/vocabulary-list', validate, (req, res) => {
+    try {
+        const { langCode = 'es' } = req.query;
+        res.json(listVocabulary(req.userId, langCode));
+    } catch (err) { serverError(res, err); }
+});
+
+app.post('/api/resolve-lemmas', validate, (req, res) => {
+    const { userId } = req;
+    try {
+        const { words, langCode = 'es' } = req.body;
+        const lemmaOf = getLemmaResolver(userId, langCode);
+        const lemmas = {};
+        words.forEach(w => {
+            const form = normalizeWord(w, langCode);
+            const lemma = lemmaOf(form);
+            if (lemma !== form) lemmas[form] = lemma;
+        });
+        res.json({ lemmas });
+    } catch (err) { serverError(res, err); }
+});
+
+// Closes a session and passes every word read in it that wasn't looked up.
+// `at` is when the reader finished (earlier than now for an event synced late): words
+// reviewed since, e.g. on another device, keep that newer review.
+const finishSession = (userId, langCode, { sessionId, words = [], elapsedSeconds, at = new Date() }) => {
+    const lemmaOf = getLemmaResolver(userId, langCode);
+    
+    const session = resolveSession(userId, langCode, sessionId);
+    if (session) {
+        addSessionTime(session, elapsedSeconds);
+        db.prepare("UPDATE reading_sessions SET state = 'finished', finished_at = ?, updated_at = datetime('now') WHERE session_id = ?")
+          .run(at.toISOString(), session.session_id);
+    }
+    // Practice re-reads are recorded but never touch the schedule.
+    if (session && session.mode === 'practice') {
+        return { practice: true, credited: { scheduled: 0, incidental: 0 } };
     }
+    
+    const intended = JSON.parse((session && session.intended_words) || '{}');
+    const scheduled = new Set([...(intended.review || []), ...(intended.target || [])]);
+    const credited = { scheduled: 0, incidental: 0 };
+    // Words the session's quiz already failed or reinforced have had their review,
+    // and nothing looked up in the session passes, whichever device it was looked up on.
+    const quizResults = JSON.parse((session && session.quiz_results) || 'null');
+    const quizGraded = new Set(quizResults ? [...quizResults.failed, ...quizResults.reinforced] : []);
+    const lookedUp = new Set(JSON.parse((session && session.looked_up_words) || '[]'));
+    
+    // Several forms of one lemma in a passage are a single review of that lemma.
+    const lemmas = new Map();
+    for (const word of words) {
+        const form = normalizeWord(word, langCode);
+        if (!form) continue;
+        const lemma = lemmaOf(form);
+        if (!lemmas.has(lemma)) lemmas.set(lemma, []);
+        lemmas.get(lemma).push(form);
+    }
+    
+    db.transaction((list) => {
+        for (const [cleanWord, forms] of list) {
+            if (quizGraded.has(cleanWord) || lookedUp.has(cleanWord)) continue;
+            const card = getCard(userId, langCode, cleanWord, at);
+            if (card && card.lastReview && new Date(card.lastReview) > at) continue;
+            const incidental = !scheduled.has(cleanWord);
+            if (incidental && (INCIDENTAL_POLICY === 'ignore' || (!card && INCIDENTAL_POLICY !== 'master'))) continue;
+            
+            forms.forEach(form => recordForm(userId, langCode, form, cleanWord));
+            // Only new, due and target words are reviewed; the scheduler decides how far they move.
+            if (card && card.isDue !== 1 && card.isTarget !== 1) continue;
+            credited[incidental ? 'incidental' : 'scheduled']++;
+            
+            passWord(userId, langCode, cleanWord, card, at);
+        }
+    })(lemmas);
+    return { practice: false, credited };
+};
+
+app.post('/api/pass-words-batch', validate, (req, res) => {
+    const { userId } = req;
+    try {
+        const { words, langCode = 'es', sessionId, elapsedSeconds } = req.body;
+        const { practice, credited } = finishSession(userId, langCode, { sessionId, words, elapsedSeconds });
+        res.json(practice ? { success: true, practice, credited } : { success: true, credited });
+    } catch (err) { serverError(res, err); }
 });
 
-app.post('/api/undo-lookup', (req, res) => {
-    const { word, langCode = 'es', previousState } = req.body;
-    const clean = word.toLowerCase().trim();
+// A click on a word: logged with its session and, outside practice, failed.
+// Returns the card as it was before, for undo.
+const applyLookup = (userId, langCode, { word, sessionId, elapsedSeconds, at = new Date() }) => {
+    const form = normalizeWord(word, langCode);
+    const clean = getLemmaResolver(userId, langCode)(form);
+    
+    info(`🔍 Looking up: ${form}${form !== clean ? ` (lemma: ${clean})` : ''}`);
+    const session = resolveSession(userId, langCode, sessionId);
+    logSessionLookup(session, { word: clean, form, at });
+    addSessionTime(session, elapsedSeconds);
+    const practice = !!session && session.mode === 'practice';
+    const previousState = practice ? null : failWord(userId, langCode, clean, form, at);
+    return { form, clean, session, practice, previousState };
+};
+
+// Restores the card a lookup replaced (`previousState`; none means the lookup created it).
+const applyUndo = (userId, langCode, { word, sessionId, previousState }) => {
+    const clean = getLemmaResolver(userId, langCode)(normalizeWord(word, langCode));
+    const session = resolveSession(userId, langCode, sessionId);
+    logSessionLookup(session, { word: clean, undo: true });
+    if (session && session.mode === 'practice') return clean;
+    const card = getCard(userId, langCode, clean);
+    logReviewEvent(userId, langCode, clean, 'undo', card);
+    // The lookup being taken back is the card's last review, and counted on the day it was made.
+    stats.recordActivity(userId, langCode, { lookedUp: -1 }, new Date((card && card.lastReview) || Date.now()));
     
     if (previousState) {
         db.prepare(`
             UPDATE user_vocabulary_progress 
             SET current_step = ?, srs_interval = ?, next_review_date = ?, status = ?, 
-                lookup_count = MAX(0, lookup_count - 1), is_target_word = ?, target_order = NULL
+                lookup_count = MAX(0, lookup_count - 1), is_target_word = ?, target_order = NULL,
+                stability = ?, difficulty = ?, last_review_date = ?
             WHERE user_id = ? AND language_code = ? AND word_text = ?
         `).run(previousState.step, previousState.interval, previousState.nextReview, previousState.status, 
-               previousState.isTarget ? 1 : 0, MOCK_USER_ID, langCode, clean);
+               previousState.isTarget ? 1 : 0, previousState.stability ?? null, previousState.difficulty ?? null,
+               previousState.lastReview ?? null, userId, langCode, clean);
     } else {
         db.prepare('DELETE FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ? AND word_text = ?')
-          .run(MOCK_USER_ID, langCode, clean);
+          .run(userId, langCode, clean);
     }
-    res.json({ success: true });
+    prefetcher.refresh(userId, langCode);
+    return clean;
+};
+
+// What a word means, for the reader's popup. `form` is the normalized form, `lemma` what it's credited to;
+// `glossLang` defaults to the account's setting.
+const describeWord = async (userId, langCode, { form, lemma, text, sentence, glossLang = getSettings(userId).glossLang }) => {
+    // Saved definitions (deck imports, passage glossaries) are shown next to the dictionary's;
+    // the surface form's own is the most precise, then the lemma's.
+    const savedStmt = db.prepare('SELECT translation, example FROM translation_cache WHERE word = ? AND source_lang = ? AND target_lang = ?');
+    const saved = savedStmt.get(form, langCode, glossLang) || savedStmt.get(lemma, langCode, glossLang);
+    
+    const entry = await defineWord({ form, text: text || form, lemma, sentence: String(sentence || '').slice(0, 1000), sourceLang: langCode, glossLang });
+    return {
+        definition: entry ? entry.sense : (saved ? saved.translation : "Translation unavailable."),
+        explanation: entry && entry.definition !== entry.sense ? entry.definition : null,
+        partOfSpeech: entry ? entry.partOfSpeech : null,
+        dictionaryLemma: entry ? entry.lemma : null,
+        senses: entry ? entry.senses : null,
+        example: (saved && saved.example) || (entry && entry.example) || null,
+        saved: entry && saved && saved.translation !== entry.sense ? saved.translation : null,
+        source: entry ? entry.provider : (saved ? 'saved' : null),
+        glossLang,
+        lemma
+    };
+};
+
+// `sentence` is the sentence the word was clicked in, so contextual dictionaries
+// can pick the right sense; `text` is the word as it appears there.
+app.post('/api/lookup-word', validate, async (req, res) => {
+    const { userId } = req;
+    const { word, text, sentence = '', langCode = 'es', sessionId, elapsedSeconds } = req.body;
+    try {
+        const { form, clean, previousState } = applyLookup(userId, langCode, { word, sessionId, elapsedSeconds });
+        const description = await describeWord(userId, langCode, { form, lemma: clean, text: text || word, sentence });
+        res.json({ ...description, previousState });
+    } catch (err) { serverError(res, err); }
+});
+
+// The definition alone, without failing the word: lookups themselves go through /api/sync.
+// A GET, so the service worker can keep definitions for offline reading; the page sends
+// glossLang so a cached definition is never one in another language.
+app.get('/api/define', validate, async (req, res) => {
+    const { userId } = req;
+    const { word = '', text, sentence = '', langCode = 'es', glossLang } = req.query;
+    try {
+        const form = normalizeWord(word, langCode);
+        if (!form) return sendError(res, 400, 'WORD_REQUIRED', "word has no letters in it.");
+        const lemma = getLemmaResolver(userId, langCode)(form);
+        res.json(await describeWord(userId, langCode, { form, lemma, text: text || word, sentence, glossLang }));
+    } catch (err) { serverError(res, err); }
 });
 
-app.post('/api/bulk-action', (req, res) => {
+app.post('/api/undo-lookup', validate, (req, res) => {
+    const { userId } = req;
+    const { word, langCode = 'es', previousState, sessionId } = req.body;
+    try {
+        applyUndo(userId, langCode, { word, sessionId, previousState });
+        res.json({ success: true });
+    } catch (err) { serverError(res, err); }
+});
+
+// Offline clients queue lookups, undos and finishes as events with ids they generate
+// and send them here in the order they happened. Each id is applied once: a repeat
+// gets the first outcome back as 'duplicate'. When a change made since on another
+// device wins, the event is recorded as a 'conflict' and not applied:
+//   lookup  always applies; a word missed anywhere isn't known, so it's failed as of `at`
+//   undo    takes back this session's latest lookup of the word, unless the word has
+//           been reviewed again since
+//   finish  conflicts if the session was finished elsewhere; words reviewed after `at`
+//           or looked up in the session on any device don't pass
+
+const SYNC_HANDLERS = {
+    lookup: (userId, event) => {
+        const { clean, session, practice, previousState } = applyLookup(userId, event.langCode, event);
+        const card = practice ? null : getCard(userId, event.langCode, clean);
+        return {
+            status: 'applied',
+            word: clean,
+            sessionId: session ? session.session_id : null,
+            practice,
+            previousState,
+            reviewedAt: card ? card.lastReview : null
+        };
+    },
+    
+    undo: (userId, event) => {
+        const { langCode } = event;
+        const clean = getLemmaResolver(userId, langCode)(normalizeWord(event.word, langCode));
+        const session = resolveSession(userId, langCode, event.sessionId);
+        const sessionId = session ? session.session_id : null;
+        const lookup = db.prepare(`
+            SELECT event_id, result FROM sync_events 
+            WHERE user_id = ? AND event_type = 'lookup' AND status = 'applied' AND word = ? AND session_id IS ? 
+            ORDER BY rowid DESC LIMIT 1
+        `).get(userId, clean, sessionId);
+        if (!lookup) return { status: 'skipped', word: clean, reason: "No lookup of this word left to undo." };
+        
+        db.prepare("UPDATE sync_events SET status = 'undone' WHERE user_id = ? AND event_id = ?").run(userId, lookup.event_id);
+        const applied = JSON.parse(lookup.result);
+        const card = getCard(userId, langCode, clean);
+        if (!applied.practice && (!card || card.lastReview !== applied.reviewedAt)) {
+            logSessionLookup(session, { word: clean, undo: true });
+            return { status: 'conflict', word: clean, reason: "The word was reviewed again after this lookup." };
+        }
+        applyUndo(userId, langCode, { word: clean, sessionId, previousState: applied.previousState });
+        return { status: 'applied', word: clean };
+    },
+    
+    finish: (userId, event) => {
+        const session = resolveSession(userId, event.langCode, event.sessionId);
+        if (session && session.state === 'finished') {
+            return { status: 'conflict', reason: "This session was already finished." };
+        }
+        const { practice, credited } = finishSession(userId, event.langCode, {
+            sessionId: session ? session.session_id : null,
+            words: Array.isArray(event.words) ? event.words : [],
+            elapsedSeconds: event.elapsedSeconds,
+            at: event.at
+        });
+        return { status: 'applied', practice, credited };
+    }
+};
+
+// -> { event } with `at` as a Date no later than now, or { error }.
+const parseSyncEvent = (raw) => {
+    if (!raw || typeof raw.id !== 'string' || !/^[\w-]{8,64}$/.test(raw.id)) {
+        return { error: "Every event needs an id of 8-64 letters, digits, '-' or '_'." };
+    }
+    if (!Object.prototype.hasOwnProperty.call(SYNC_HANDLERS, raw.type)) {
+        return { error: `Unknown event type "${raw.type}". Use any of: ${Object.keys(SYNC_HANDLERS).join(', ')}` };
+    }
+    if (typeof raw.langCode !== 'string' || !new RegExp(LANG_CODE_PATTERN).test(raw.langCode)) {
+        return { error: "langCode must be a language code such as \"es\" or \"pt-BR\"." };
+    }
+    if (raw.type !== 'finish' && !normalizeWord(String(raw.word || ''), raw.langCode)) return { error: "word is required." };
+    
+    const now = new Date();
+    const at = new Date(raw.at);
+    return { event: { ...raw, at: isNaN(at) || at > now ? now : at } };
+};
+
+const applySyncEvent = (userId, raw) => {
+    const { event, error } = parseSyncEvent(raw);
+    if (error) return { id: raw && raw.id, status: 'rejected', error };
+    
+    const done = db.prepare('SELECT status, result FROM sync_events WHERE user_id = ? AND event_id = ?').get(userId, event.id);
+    if (done) return { id: event.id, status: 'duplicate', ...JSON.parse(done.result) };
+    
+    try {
+        return db.transaction(() => {
+            const { status, ...result } = SYNC_HANDLERS[event.type](userId, event);
+            db.prepare(`
+                INSERT INTO sync_events (user_id, event_id, event_type, language_code, session_id, word, status, result, occurred_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(userId, event.id, event.type, event.langCode, result.sessionId ?? event.sessionId ?? null, result.word ?? null,
+                   status, JSON.stringify(result), event.at.toISOString());
+            return { id: event.id, status, ...result };
+        })();
+    } catch (e) {
+        // Not recorded, so the client keeps the event and tries again.
+        console.error(`❌ Sync event ${event.id} (${event.type}) failed:`, e.message);
+        return { id: event.id, status: 'error', error: e.message };
+    }
+};
+
+// -> { results: [{ id, status: applied | duplicate | conflict | skipped | rejected | error, ... }] }
+// Clients can drop every event except those with status 'error'.
+app.post('/api/sync', validate, (req, res) => {
+    const { userId } = req;
+    const { events } = req.body;
+    try {
+        const results = events.map(raw => applySyncEvent(userId, raw));
+        const applied = results.filter(r => r.status === 'applied').length;
+        if (events.length > 0) info(`🔄 Synced ${events.length} events (${applied} applied)`);
+        res.json({ results });
+    } catch (err) { serverError(res, err); }
+});
+
+app.post('/api/bulk-action', validate, (req, res) => {
+    const { userId } = req;
     const { words, action, langCode = 'es' } = req.body;
-    db.transaction((list) => {
-        for (const word of list) {
-            const clean = word.toLowerCase().trim();
-            if (action === 'delete') {
-                db.prepare('DELETE FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ? AND word_text = ?')
-                  .run(MOCK_USER_ID, langCode, clean);
-            } else {
-                db.prepare(`
-                    UPDATE user_vocabulary_progress 
-                    SET current_step = 0, srs_interval = ?, next_review_date = datetime('now'), 
-                        status = 'learning', is_target_word = 0, target_order = NULL
-                    WHERE user_id = ? AND language_code = ? AND word_text = ?
-                `).run(getIntervalInDays(0), MOCK_USER_ID, langCode, clean);
+    try {
+        db.transaction((list) => {
+            for (const word of list) {
+                const clean = normalizeWord(word, langCode);
+                if (!clean) continue;
+                if (action === 'delete') deleteWord(userId, langCode, clean);
+                else resetWord(userId, langCode, clean);
             }
-        }
-    })(words);
-    res.json({ success: true });
+        })(words);
+        res.json({ success: true });
+    } catch (err) { serverError(res, err); }
 });
 
-app.post('/api/reset-word', (req, res) => {
+app.post('/api/reset-word', validate, (req, res) => {
+    const { userId } = req;
     const { word, resetType, langCode = 'es' } = req.body;
-    const clean = word.toLowerCase().trim();
-    if (resetType === 'delete') {
-        db.prepare('DELETE FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ? AND word_text = ?')
-          .run(MOCK_USER_ID, langCode, clean);
-    } else {
-        db.prepare(`
+    try {
+        const clean = normalizeWord(word, langCode);
+        if (resetType === 'delete') deleteWord(userId, langCode, clean);
+        else resetWord(userId, langCode, clean);
+        res.json({ success: true });
+    } catch (err) { serverError(res, err); }
+});
+
+// Recompute every word's schedule from review_events with the active scheduler.
+// Run this after switching SRS_SCHEDULER so existing words follow the new model.
+app.post('/api/replay-schedule', validate, (req, res) => {
+    const { userId } = req;
+    try {
+        const { langCode = 'es' } = req.body;
+        const events = db.prepare(`
+            SELECT word_text as word, event_type as type, prior_step as priorStep, prior_interval as priorInterval,
+                   prior_next_review as priorNextReview, was_target as wasTarget, was_new as wasNew, created_at as createdAt
+            FROM review_events 
+            WHERE user_id = ? AND language_code = ? 
+            ORDER BY event_id ASC
+        `).all(userId, langCode);
+        
+        const byWord = new Map();
+        events.forEach(e => {
+            if (!byWord.has(e.word)) byWord.set(e.word, []);
+            byWord.get(e.word).push({ ...e, wasTarget: e.wasTarget === 1, wasNew: e.wasNew === 1 });
+        });
+        
+        const updateStmt = db.prepare(`
             UPDATE user_vocabulary_progress 
-            SET current_step = 0, srs_interval = ?, next_review_date = datetime('now'), 
-                status = 'learning', is_target_word = 0, target_order = NULL
+            SET current_step = ?, srs_interval = ?, next_review_date = ?, status = ?,
+                stability = ?, difficulty = ?, last_review_date = ?,
+                is_target_word = ?, target_order = CASE WHEN ? = 1 THEN target_order ELSE NULL END
             WHERE user_id = ? AND language_code = ? AND word_text = ?
-        `).run(getIntervalInDays(0), MOCK_USER_ID, langCode, clean);
-    }
-    res.json({ success: true });
+        `);
+        let updated = 0;
+        db.transaction(() => {
+            byWord.forEach((wordEvents, word) => {
+                const card = replayEvents(wordEvents, scheduler);
+                if (!card) return;
+                const targetFlag = card.isTarget ? 1 : 0;
+                const result = updateStmt.run(card.step, card.interval, card.nextReview, card.status,
+                                              card.stability ?? null, card.difficulty ?? null, card.lastReview ?? null,
+                                              targetFlag, targetFlag, userId, langCode, word);
+                updated += result.changes;
+            });
+        })();
+        
+        info(`🔁 Replayed ${events.length} events with "${scheduler.name}" scheduler (${updated} words)`);
+        res.json({ success: true, scheduler: scheduler.name, events: events.length, words: updated });
+    } catch (err) { serverError(res, err); }
 });
 
-app.post('/api/import-words', (req, res) => {
+// A plain list of words: new ones start at step 0, due in a minute, or as targets
+// (queued to be introduced) or due now. Known words only change for those two.
+// An entry passages read as several words ("勉強する") is imported as those words.
+const importWordList = (userId, langCode, words, { makeTargetList = false, makeDueNow = false } = {}) => {
+    const maxOrder = db.prepare('SELECT COALESCE(MAX(target_order), -1) as max FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ?').get(userId, langCode);
+    let currentOrder = maxOrder.max + 1;
+    const now = Date.now();
+    let calculatedDate;
+    
+    if (makeDueNow) {
+        calculatedDate = new Date(now - 10 * 60 * 1000).toISOString(); // Backdated 10 mins
+    } else if (makeTargetList) {
+        calculatedDate = new Date(now + 365 * 24 * 60 * 60 * 1000).toISOString(); // 1 year future
+    } else {
+        calculatedDate = new Date(now + 60 * 1000).toISOString(); // 1 minute future
+    }
+
+    const stmt = db.prepare(`
+        INSERT INTO user_vocabulary_progress 
+        (user_id, language_code, word_text, current_step, srs_interval, next_review_date, status, is_target_word, target_order) 
+        VALUES (?, ?, ?, 0, ?, ?, 'learning', ?, ?) 
+        ON CONFLICT(user_id, language_code, word_text) DO UPDATE SET 
+            is_target_word = CASE WHEN ? = 1 THEN 1 ELSE is_target_word END,
+            target_order = CASE WHEN ? = 1 AND target_order IS NULL THEN excluded.target_order ELSE target_order END,
+            next_review_date = CASE WHEN ? = 1 THEN ? ELSE next_review_date END,
+            current_step = CASE WHEN ? = 1 THEN 0 ELSE current_step END,
+            status = CASE WHEN ? = 1 THEN 'learning' ELSE status END
+    `);
+    
+    const keys = [...new Set(words.flatMap(w => importKeys(w, langCode)))];
+    const { fold, folded } = createInflectionFolder(userId, langCode, keys);
+    
+    const interval = getIntervalInDays(0);
+    db.transaction((list) => {
+        list.forEach((word) => {
+            const targetFlag = makeTargetList ? 1 : 0;
+            const isDue = makeDueNow ? 1 : 0;
+            const order = makeTargetList ? currentOrder++ : null;
+            
+            stmt.run(
+                userId, langCode, word, interval, calculatedDate, 
+                targetFlag, order,
+                targetFlag, targetFlag, 
+                isDue, calculatedDate, 
+                isDue, isDue
+            );
+            fold(word);
+        });
+    })(keys);
+    
+    info(`✅ Imported ${keys.length} words (Target: ${makeTargetList}, DueNow: ${makeDueNow}, folded ${folded.size} forms)`);
+    return { words: keys.length, folded: folded.size };
+};
+
+app.post('/api/import-words', validate, (req, res) => {
     try {
         const { words, langCode = 'es', makeTargetList = false, makeDueNow = false } = req.body;
-        const maxOrder = db.prepare('SELECT COALESCE(MAX(target_order), -1) as max FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ?').get(MOCK_USER_ID, langCode);
-        let currentOrder = maxOrder.max + 1;
-        const now = Date.now();
-        let calculatedDate;
+        importWordList(req.userId, langCode, words, { makeTargetList, makeDueNow });
+        res.json({ success: true });
+    } catch (err) { 
+        console.error("Import error:", err);
+        serverError(res, err); 
+    }
+});
+
+app.post('/api/import-deck', validate, (req, res) => {
+    const { userId } = req;
+    const { langCode = 'es', dryRun = false, onConflict = 'keep', makeTargetList = false, ...upload } = req.body;
+    let parsed;
+    try {
+        parsed = parseImport(upload);
+    } catch (err) {
+        return sendError(res, 400, 'INVALID_IMPORT', err.message);
+    }
+    try {
+        const now = new Date();
+        const plan = planDeckImport(userId, langCode, parsed.records, now);
+        const preview = { header: parsed.header, mapping: parsed.mapping, summary: summarizePlan(plan), rows: planPreview(plan) };
+        if (dryRun) return res.json({ ...preview, dryRun: true });
         
-        if (makeDueNow) {
-            calculatedDate = new Date(now - 10 * 60 * 1000).toISOString(); // Backdated 10 mins
-        } else if (makeTargetList) {
-            calculatedDate = new Date(now + 365 * 24 * 60 * 60 * 1000).toISOString(); // 1 year future
-        } else {
-            calculatedDate = new Date(now + 60 * 1000).toISOString(); // 1 minute future
-        }
+        const applied = applyDeckImport(userId, langCode, plan, { onConflict, makeTargetList }, now);
+        info(`📥 Deck import (${upload.format || 'csv'}): ${applied.new} new, ${applied.updated} updated, ${applied.conflict} conflicts (${onConflict})`);
+        res.json({ ...preview, applied });
+    } catch (err) { 
+        console.error("Deck import error:", err);
+        serverError(res, err); 
+    }
+});
 
-        const stmt = db.prepare(`
-            INSERT INTO user_vocabulary_progress 
-            (user_id, language_code, word_text, current_step, srs_interval, next_review_date, status, is_target_word, target_order) 
-            VALUES (?, ?, ?, 0, ?, ?, 'learning', ?, ?) 
-            ON CONFLICT(user_id, language_code, word_text) DO UPDATE SET 
-                is_target_word = CASE WHEN ? = 1 THEN 1 ELSE is_target_word END,
-                target_order = CASE WHEN ? = 1 AND target_order IS NULL THEN excluded.target_order ELSE target_order END,
-                next_review_date = CASE WHEN ? = 1 THEN ? ELSE next_review_date END,
-                current_step = CASE WHEN ? = 1 THEN 0 ELSE current_step END,
-                status = CASE WHEN ? = 1 THEN 'learning' ELSE status END
-        `);
+// One row per word with its definition (in the user's gloss language) and schedule.
+// Target words haven't been seen yet, so they go out without a schedule and come
+// back in as plain words rather than as step-0 reviews.
+const exportCsv = (userId, langCode) => {
+    const rows = db.prepare(`
+        SELECT v.word_text as word, t.translation as definition, t.example, v.status, v.current_step as step, 
+               v.srs_interval as interval, v.next_review_date as nextReview, v.is_target_word as isTarget
+        FROM user_vocabulary_progress v 
+        LEFT JOIN translation_cache t ON t.word = v.word_text AND t.source_lang = v.language_code AND t.target_lang = ?
+        WHERE v.user_id = ? AND v.language_code = ? ORDER BY v.word_id
+    `).all(getSettings(userId).glossLang, userId, langCode);
+    const table = [['word', 'definition', 'example', 'status', 'step', 'interval', 'next_review', 'is_target']]
+        .concat(rows.map(r => [r.word, r.definition, r.example, r.status, r.step,
+                               r.isTarget ? '' : r.interval, r.isTarget ? '' : r.nextReview, r.isTarget]));
+    return formatDelimited(table);
+};
+
+app.get('/api/export', validate, (req, res) => {
+    const { userId } = req;
+    try {
+        const { langCode = 'es', format = 'csv' } = req.query;
+        const stamp = new Date().toISOString().slice(0, 10);
         
-        const interval = getIntervalInDays(0);
-        db.transaction((list) => {
-            list.forEach((w) => {
-                const word = w.trim().toLowerCase();
-                if (!word) return;
-                const targetFlag = makeTargetList ? 1 : 0;
-                const isDue = makeDueNow ? 1 : 0;
-                const order = makeTargetList ? currentOrder++ : null;
+        if (format === 'json') {
+            res.setHeader('Content-Disposition', `attachment; filename="syntagma-${langCode}-${stamp}.json"`);
+            return res.json(buildBackup(userId, langCode));
+        }
                 
-                stmt.run(
-                    MOCK_USER_ID, langCode, word, interval, calculatedDate, 
-                    targetFlag, order,
-                    targetFlag, targetFlag, 
-                    isDue, calculatedDate, 
-                    isDue, isDue
-                );
-            });
-        })(words);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="syntagma-${langCode}-${stamp}.csv"`);
+        res.send(exportCsv(userId, langCode));
+    } catch (err) { serverError(res, err); }
+});
+
+app.post('/api/restore', validate, (req, res) => {
+    const { userId } = req;
+    const { backup, dryRun = false, onConflict = 'keep' } = req.body;
+    if (!isBackup(backup)) return sendError(res, 400, 'INVALID_BACKUP', "Not a Syntagma backup file.");
+    if (backup.version > BACKUP_VERSION) return sendError(res, 400, 'INVALID_BACKUP', "This backup was made by a newer version of Syntagma.");
+    try {
+        const plan = planRestore(userId, backup);
+        const preview = { langCode: backup.langCode, ...previewRestore(plan) };
+        if (dryRun) return res.json({ ...preview, dryRun: true });
         
-        console.log(`✅ Imported ${words.length} words (Target: ${makeTargetList}, DueNow: ${makeDueNow})`);
-        res.json({ success: true });
+        const applied = applyRestore(userId, plan, { onConflict });
+        info(`♻️ Restored ${backup.langCode} backup: ${applied.vocabulary} words, ${applied.translations} translations, ${applied.sessions} sessions`);
+        res.json({ ...preview, applied });
     } catch (err) { 
-        console.error("Import error:", err);
-        res.status(500).json({ error: err.message }); 
+        console.error("Restore error:", err);
+        serverError(res, err); 
     }
 });
 
-app.post('/api/save-session', (req, res) => {
+// Progress on the session being read: its lookups (as lemmas) and the reading time since the last save.
+// A passage without a session (e.g. pasted in by an older client) starts one.
+app.post('/api/save-session', validate, (req, res) => {
+    const { userId } = req;
     try {
-        const { passage, lookedUpWords, langCode = 'es' } = req.body;
-        const existing = db.prepare(`
-            SELECT session_id FROM reading_sessions 
-            WHERE user_id = ? AND language_code = ? 
-            ORDER BY updated_at DESC LIMIT 1
-        `).get(MOCK_USER_ID, langCode);
+        const { passage, lookedUpWords = [], langCode = 'es', sessionId, elapsedSeconds } = req.body;
+        const session = resolveSession(userId, langCode, sessionId);
         
-        if (existing) {
-            db.prepare(`
-                UPDATE reading_sessions 
-                SET passage_text = ?, looked_up_words = ?, updated_at = datetime('now') 
-                WHERE session_id = ?
-            `).run(passage, JSON.stringify(lookedUpWords), existing.session_id);
-        } else {
-            db.prepare(`
-                INSERT INTO reading_sessions (user_id, language_code, passage_text, looked_up_words) 
-                VALUES (?, ?, ?, ?)
-            `).run(MOCK_USER_ID, langCode, passage, JSON.stringify(lookedUpWords));
+        if (session) {
+            db.prepare("UPDATE reading_sessions SET looked_up_words = ?, updated_at = datetime('now') WHERE session_id = ?")
+              .run(JSON.stringify(lookedUpWords), session.session_id);
+            addSessionTime(session, elapsedSeconds);
+            return res.json({ success: true, sessionId: session.session_id });
         }
-        res.json({ success: true });
-    } catch (err) { res.status(500).json({ error: err.message }); }
+        if (!passage) return res.json({ success: true, sessionId: null });
+        
+        const id = createSession(userId, langCode, { passage });
+        db.prepare('UPDATE reading_sessions SET looked_up_words = ? WHERE session_id = ?').run(JSON.stringify(lookedUpWords), id);
+        res.json({ success: true, sessionId: id });
+    } catch (err) { serverError(res, err); }
 });
 
-app.get('/api/load-session', (req, res) => {
+app.get('/api/load-session', validate, (req, res) => {
+    const { userId } = req;
     try {
         const { langCode = 'es' } = req.query;
-        const session = db.prepare(`
-            SELECT passage_text, looked_up_words 
-            FROM reading_sessions 
-            WHERE user_id = ? AND language_code = ? 
-            ORDER BY updated_at DESC LIMIT 1
-        `).get(MOCK_USER_ID, langCode);
+        const session = getActiveSession(userId, langCode);
+        
+        // After a restart or on another device, start prefetching the passage after this one.
+        if (session && session.mode === 'normal' && session.intended_words && !prefetcher.has(userId, langCode)) {
+            const { quiz, ...request } = generationRequest(userId, langCode);
+            prefetcher.start(userId, langCode, request);
+        }
         
         if (session) {
             res.json({
+                sessionId: session.session_id,
+                mode: session.mode,
                 passage: session.passage_text,
-                lookedUpWords: JSON.parse(session.looked_up_words || '[]')
+                lookedUpWords: JSON.parse(session.looked_up_words || '[]'),
+                coverage: JSON.parse(session.coverage || 'null'),
+                quizEnabled: !!session.quiz_enabled,
+                text: textContext(session)
             });
         } else {
-            res.json({ passage: null, lookedUpWords: [] });
+            res.json({ sessionId: null, passage: null, lookedUpWords: [], coverage: null });
         }
-    } catch (err) { res.status(500).json({ error: err.message }); }
+    } catch (err) { serverError(res, err); }
 });
 
-app.post('/api/generate-passage', async (req, res) => {
-    const { langCode, level } = req.body;
-    console.log("📚 Fetching vocabulary for AI generation...");
-    const startTime = Date.now();
-    
+app.get('/api/sessions', validate, (req, res) => {
+    const { userId } = req;
+    try {
+        const { langCode = 'es' } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = parseInt(req.query.offset, 10) || 0;
+        const rows = db.prepare(`
+            SELECT ${SESSION_COLUMNS} FROM reading_sessions 
+            WHERE user_id = ? AND language_code = ? AND passage_text != '' 
+            ORDER BY session_id DESC LIMIT ? OFFSET ?
+        `).all(userId, langCode, limit, offset);
+        const total = db.prepare(`
+            SELECT COUNT(*) FROM reading_sessions WHERE user_id = ? AND language_code = ? AND passage_text != ''
+        `).pluck().get(userId, langCode);
+        res.json({ sessions: rows.map(sessionSummary), total });
+    } catch (err) { serverError(res, err); }
+});
+
+app.get('/api/sessions/:id', validate, (req, res) => {
+    try {
+        const session = getSession(req.userId, req.params.id);
+        if (!session) return sendError(res, 404, 'SESSION_NOT_FOUND', "Session not found.");
+        res.json(sessionDetail(session));
+    } catch (err) { serverError(res, err); }
+});
+
+// Picks up an unfinished session where it was left, lookups included.
+app.post('/api/sessions/:id/resume', validate, (req, res) => {
+    const { userId } = req;
     try {
-        if (!process.env.GEMINI_API_KEY) {
-            throw new Error("GEMINI_API_KEY not found in .env file");
+        const session = getSession(userId, req.params.id);
+        if (!session) return sendError(res, 404, 'SESSION_NOT_FOUND', "Session not found.");
+        if (session.state === 'finished') {
+            return sendError(res, 409, 'SESSION_FINISHED', "This session is finished. Re-read it in practice mode instead.");
         }
+        abandonActiveSessions(userId, session.language_code, session.session_id);
+        db.prepare("UPDATE reading_sessions SET state = 'active', updated_at = datetime('now') WHERE session_id = ?").run(session.session_id);
+        res.json(sessionDetail(getSession(userId, session.session_id)));
+    } catch (err) { serverError(res, err); }
+});
 
-        const review = db.prepare(`
-            SELECT word_text 
-            FROM user_vocabulary_progress 
-            WHERE user_id = ? AND language_code = ? 
-              AND datetime(next_review_date) <= datetime('now') 
-            LIMIT 60
-        `).all(MOCK_USER_ID, langCode);
-        
-        const targetLimit = review.length < 30 ? 30 : 15;
-        const newWords = db.prepare(`
-            SELECT word_text 
-            FROM user_vocabulary_progress 
-            WHERE user_id = ? AND language_code = ? 
-              AND is_target_word = 1 
-              AND datetime(next_review_date) > datetime('now')
-            ORDER BY target_order ASC 
-            LIMIT ?
-        `).all(MOCK_USER_ID, langCode, targetLimit);
-        
-        console.log(`📊 Session: ${review.length} reviews, ${newWords.length} targets.`);
-        
-        const formulaInstruction = review.length < 60 ? 
-            "INTRODUCTION session: Focus on context for NEW_TEST_WORDS. Build strong first impressions." : 
-            "REINFORCEMENT session: Prioritize HARD_REVIEW_WORDS to cement long-term memory.";
+// Re-reads a past passage as a new practice session: lookups show definitions
+// and are logged, but nothing is passed or failed.
+app.post('/api/sessions/:id/practice', validate, (req, res) => {
+    const { userId } = req;
+    try {
+        const source = getSession(userId, req.params.id);
+        if (!source) return sendError(res, 404, 'SESSION_NOT_FOUND', "Session not found.");
+        const id = createSession(userId, source.language_code, {
+            passage: source.passage_text,
+            intended: JSON.parse(source.intended_words || 'null'),
+            coverage: JSON.parse(source.coverage || 'null'),
+            level: source.level,
+            model: source.model,
+            promptVariant: source.prompt_variant,
+            topic: source.topic,
+            quizEnabled: !!source.quiz_enabled,
+            quiz: source.quiz ? JSON.parse(source.quiz) : null,
+            textId: source.text_id,
+            partIndex: source.part_index,
+            mode: 'practice',
+            sourceSessionId: source.source_session_id || source.session_id
+        });
+        res.json(sessionDetail(getSession(userId, id)));
+    } catch (err) { serverError(res, err); }
+});
 
-        const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-        
-        let template = "Generate a story in {LANGUAGE_CODE} at {USER_LEVEL} level.\n{FORMULA_INSTRUCTION}\nInclude these review words: {REVIEW_WORDS_LIST}. Include these new words: {NEW_WORDS_LIST}.\nOutput ONLY JSON: { \"passage\": \"...\", \"glossary\": {} } where glossary ONLY contains NEW_TEST_WORDS definitions.";
-        
-        try { 
-            template = fs.readFileSync('master_prompt.txt', 'utf8'); 
-            console.log("✅ Using custom master_prompt.txt");
-        } catch (e) {
-            console.log("⚠️  Using default prompt");
+// Known-word coverage of a text against the reader's vocabulary, counted by token:
+// known (tracked and not waiting in the target queue), queued (in the target queue)
+// and unknown. `unknownWords` lists the unknown lemmas seen at least twice, most frequent first.
+const textCoverage = (userId, langCode, parts) => {
+    const targets = new Map(db.prepare('SELECT word_text, is_target_word FROM user_vocabulary_progress WHERE user_id = ? AND language_code = ?')
+        .all(userId, langCode).map(r => [r.word_text, r.is_target_word === 1]));
+    const resolve = getLemmaResolver(userId, langCode);
+    const lemmaOf = new Map();
+    const unknownCounts = new Map();
+    const counts = { tokens: 0, known: 0, queued: 0, unknown: 0 };
+    
+    parts.forEach(part => segmentText(part.text, langCode).forEach(token => {
+        if (!token.key) return;
+        if (!lemmaOf.has(token.key)) lemmaOf.set(token.key, resolve(token.key));
+        const lemma = lemmaOf.get(token.key);
+        counts.tokens++;
+        if (!targets.has(lemma)) {
+            counts.unknown++;
+            unknownCounts.set(lemma, (unknownCounts.get(lemma) || 0) + 1);
+        } else if (targets.get(lemma)) {
+            counts.queued++;
+        } else {
+            counts.known++;
         }
+    }));
+    const unknown = [...unknownCounts].map(([word, count]) => ({ word, count }))
+        .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word));
+    return {
+        ...counts,
+        ratio: counts.tokens > 0 ? counts.known / counts.tokens : 0,
+        distinctUnknown: unknown.length,
+        unknownWords: unknown.filter(u => u.count >= 2).slice(0, TEXT_UNKNOWN_LIMIT)
+    };
+};
+
+// Progress through a text: each part's session state, and how many are finished.
+const textParts = (textId) => db.prepare(`
+    SELECT p.part_index as "index", p.title, p.word_count as words, p.session_id as sessionId, s.state
+    FROM text_parts p LEFT JOIN reading_sessions s ON s.session_id = p.session_id
+    WHERE p.text_id = ? ORDER BY p.part_index
+`).all(textId).map(p => ({ ...p, state: p.state || 'unread' }));
+
+const textSummary = (row) => {
+    const parts = textParts(row.text_id);
+    return {
+        id: row.text_id,
+        title: row.title,
+        source: row.source,
+        position: row.position,
+        partCount: parts.length,
+        finishedParts: parts.filter(p => p.state === 'finished').length,
+        words: parts.reduce((sum, p) => sum + p.words, 0),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+};
+
+const getText = (userId, textId) => db.prepare('SELECT * FROM texts WHERE user_id = ? AND text_id = ?').get(userId, textId);
+
+// Pasted text, a .txt file (content as text) or an EPUB (content as base64), split into
+// parts. With dryRun nothing is stored: the parts and coverage are shown before reading.
+app.post('/api/texts', validate, (req, res) => {
+    const { userId } = req;
+    const { langCode = 'es', format = 'paste', content, title, dryRun = false } = req.body;
+    let book;
+    try {
+        book = parseBook({ format, content, title, langCode, maxWords: TEXT_PART_WORDS });
+    } catch (e) {
+        return sendError(res, 400, 'INVALID_TEXT', e.message);
+    }
+    try {
+        const analysis = {
+            title: book.title,
+            source: format,
+            parts: book.parts.map((p, index) => ({ index, title: p.title, words: p.words })),
+            coverage: textCoverage(userId, langCode, book.parts)
+        };
+        if (dryRun) return res.json(analysis);
         
-        const prompt = template
-            .replace('{LANGUAGE_CODE}', langCode)
-            .replace('{USER_LEVEL}', level)
-            .replace('{TARGET_STYLE}', 'narrative')
-            .replace('{FORMULA_INSTRUCTION}', formulaInstruction)
-            .replace('{REVIEW_WORDS_LIST}', review.map(w => w.word_text).join(', ') || 'None')
-            .replace('{NEW_WORDS_LIST}', newWords.map(w => w.word_text).join(', ') || 'None');
-        
-        console.log("🤖 Sending to Gemini 2.5 Flash Lite...");
+        const id = db.transaction(() => {
+            const textId = db.prepare('INSERT INTO texts (user_id, language_code, title, source) VALUES (?, ?, ?, ?)')
+                .run(userId, langCode, book.title, format).lastInsertRowid;
+            const insertPart = db.prepare('INSERT INTO text_parts (text_id, part_index, title, content, word_count) VALUES (?, ?, ?, ?, ?)');
+            book.parts.forEach((p, index) => insertPart.run(textId, index, p.title, p.text, p.words));
+            return textId;
+        })();
+        info(`📚 Added "${book.title}" (${format}, ${book.parts.length} parts)`);
+        res.json({ id, ...analysis });
+    } catch (err) { serverError(res, err); }
+});
+
+app.get('/api/texts', validate, (req, res) => {
+    const { userId } = req;
+    try {
+        const { langCode = 'es' } = req.query;
+        const rows = db.prepare('SELECT * FROM texts WHERE user_id = ? AND language_code = ? ORDER BY updated_at DESC, text_id DESC')
+            .all(userId, langCode);
+        res.json({ texts: rows.map(textSummary) });
+    } catch (err) { serverError(res, err); }
+});
+
+app.get('/api/texts/:id', validate, (req, res) => {
+    const { userId } = req;
+    try {
+        const text = getText(userId, req.params.id);
+        if (!text) return sendError(res, 404, 'TEXT_NOT_FOUND', "Text not found.");
+        res.json({ ...textSummary(text), parts: textParts(text.text_id) });
+    } catch (err) { serverError(res, err); }
+});
+
+// Makes a part the session being read: its unfinished session is resumed, an unread part
+// gets one, and a finished part is re-read in practice mode.
+app.post('/api/texts/:id/parts/:index/open', validate, (req, res) => {
+    const { userId } = req;
+    try {
+        const text = getText(userId, req.params.id);
+        if (!text) return sendError(res, 404, 'TEXT_NOT_FOUND', "Text not found.");
+        const part = db.prepare('SELECT * FROM text_parts WHERE text_id = ? AND part_index = ?').get(text.text_id, Number(req.params.index));
+        if (!part) return sendError(res, 404, 'PART_NOT_FOUND', "This text has no such part.");
         
-        const response = await ai.models.generateContent({
-            model: 'gemini-2.5-flash-lite',
-            contents: prompt,
-            generationConfig: {
-                maxOutputTokens: 1200,
-                temperature: 0.8,
-                topK: 40,
-                topP: 0.95,
+        const langCode = text.language_code;
+        const existing = part.session_id ? getSession(userId, part.session_id) : null;
+        let sessionId;
+        db.transaction(() => {
+            if (existing && existing.state !== 'finished') {
+                abandonActiveSessions(userId, langCode, existing.session_id);
+                db.prepare("UPDATE reading_sessions SET state = 'active', updated_at = datetime('now') WHERE session_id = ?").run(existing.session_id);
+                sessionId = existing.session_id;
+            } else {
+                sessionId = createSession(userId, langCode, {
+                    passage: part.content,
+                    textId: text.text_id,
+                    partIndex: part.part_index,
+                    mode: existing ? 'practice' : 'normal',
+                    sourceSessionId: existing ? existing.session_id : null
+                });
+                if (!existing) db.prepare('UPDATE text_parts SET session_id = ? WHERE text_id = ? AND part_index = ?').run(sessionId, text.text_id, part.part_index);
             }
+            db.prepare("UPDATE texts SET position = ?, updated_at = datetime('now') WHERE text_id = ?").run(part.part_index, text.text_id);
+        })();
+        res.json(sessionDetail(getSession(userId, sessionId)));
+    } catch (err) { serverError(res, err); }
+});
+
+// The text goes; sessions already read from it stay in the history.
+app.delete('/api/texts/:id', validate, (req, res) => {
+    const { userId } = req;
+    try {
+        const text = getText(userId, req.params.id);
+        if (!text) return sendError(res, 404, 'TEXT_NOT_FOUND', "Text not found.");
+        db.transaction(() => {
+            db.prepare('DELETE FROM text_parts WHERE text_id = ?').run(text.text_id);
+            db.prepare('DELETE FROM texts WHERE text_id = ?').run(text.text_id);
+        })();
+        res.json({ success: true });
+    } catch (err) { serverError(res, err); }
+});
+
+// Quiz questions are written once per session, in the background as soon as the
+// passage is delivered. Callers asking while that's under way share the same job.
+const quizJobs = new Map();
+
+// The scheduled words the passage actually uses, reviews first: what questions may hinge on.
+const quizWords = (session) => {
+    const coverage = JSON.parse(session.coverage || 'null');
+    if (!coverage) return [];
+    return [...coverage.review.present, ...coverage.target.present].slice(0, QUIZ_QUESTIONS * 2);
+};
+
+const prepareQuiz = (userId, sessionId) => {
+    if (quizJobs.has(sessionId)) return quizJobs.get(sessionId);
+    const session = getSession(userId, sessionId);
+    if (session.quiz) return Promise.resolve(JSON.parse(session.quiz));
+    const words = quizWords(session);
+    if (words.length === 0) return Promise.resolve([]);
+    
+    const langCode = session.language_code;
+    const request = {
+        task: 'quiz',
+        passage: session.passage_text,
+        langCode,
+        level: session.level || DEFAULT_SETTINGS.level,
+        words,
+        count: Math.min(QUIZ_QUESTIONS, words.length)
+    };
+    const job = llm.complete(buildQuizPrompt(request), request, { temperature: 0.3 })
+        .then(reply => {
+            const questions = parseQuiz(reply, { langCode, words, lemmaOf: getLemmaResolver(userId, langCode) });
+            db.prepare('UPDATE reading_sessions SET quiz = ? WHERE session_id = ?').run(JSON.stringify(questions), sessionId);
+            info(`❓ Wrote ${questions.length} quiz questions for session ${sessionId}`);
+            return questions;
+        })
+        .finally(() => quizJobs.delete(sessionId));
+    quizJobs.set(sessionId, job);
+    return job;
+};
+
+const startQuiz = (userId, sessionId) => {
+    prepareQuiz(userId, sessionId).catch(e => console.error(`⚠️  Quiz for session ${sessionId} failed: ${e.message}`));
+};
+
+// status: off | ready | unavailable (no questions could be written) | answered
+app.get('/api/sessions/:id/quiz', validate, async (req, res) => {
+    const { userId } = req;
+    try {
+        const session = getSession(userId, req.params.id);
+        if (!session) return sendError(res, 404, 'SESSION_NOT_FOUND', "Session not found.");
+        if (!session.quiz_enabled) return res.json({ enabled: false, status: 'off', questions: [], results: null });
+        
+        const questions = await prepareQuiz(userId, session.session_id);
+        const results = JSON.parse(session.quiz_results || 'null');
+        res.json({
+            enabled: true,
+            status: results ? 'answered' : (questions.length > 0 ? 'ready' : 'unavailable'),
+            questions: questions.map(publicQuestion),
+            results
         });
+    } catch (err) { serverError(res, err); }
+});
+
+// Turns the quiz on or off for this session.
+app.put('/api/sessions/:id/quiz', validate, (req, res) => {
+    const { userId } = req;
+    try {
+        const session = getSession(userId, req.params.id);
+        if (!session) return sendError(res, 404, 'SESSION_NOT_FOUND', "Session not found.");
+        const enabled = !!req.body.enabled;
+        db.prepare('UPDATE reading_sessions SET quiz_enabled = ? WHERE session_id = ?').run(enabled ? 1 : 0, session.session_id);
+        if (enabled && !session.quiz_results) startQuiz(userId, session.session_id);
+        res.json({ enabled });
+    } catch (err) { serverError(res, err); }
+});
+
+// Grades the answers. A word whose question was answered wrong is failed exactly like
+// a lookup; a word whose questions were all right gets its pass now (unless it was
+// looked up), and /api/pass-words-batch leaves it alone. Practice sessions only grade.
+app.post('/api/sessions/:id/quiz/answers', validate, (req, res) => {
+    const { userId } = req;
+    const { answers } = req.body;
+    try {
+        const session = getSession(userId, req.params.id);
+        if (!session) return sendError(res, 404, 'SESSION_NOT_FOUND', "Session not found.");
+        if (!session.quiz_enabled) return sendError(res, 409, 'QUIZ_OFF', "The quiz is off for this session.");
+        if (session.quiz_results) return sendError(res, 409, 'QUIZ_ANSWERED', "This quiz has already been answered.");
+        if (!session.quiz) return sendError(res, 409, 'QUIZ_NOT_READY', "The quiz isn't ready yet.");
         
-        const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`✅ Response in ${elapsed}s`);
+        const langCode = session.language_code;
+        const lemmaOf = getLemmaResolver(userId, langCode);
+        const graded = gradeQuiz(JSON.parse(session.quiz), answers, { langCode, lemmaOf });
         
-        const text = response.text;
-        let cleanJSON = text.trim().replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+        // A word passes only if every question on it was answered right.
+        const correctByWord = new Map();
+        graded.results.forEach(r => {
+            if (r.word) correctByWord.set(r.word, (correctByWord.get(r.word) ?? true) && r.correct);
+        });
         
-        let data;
-        try {
-            data = JSON.parse(cleanJSON);
-        } catch (parseError) {
-            console.error("❌ JSON Parse Error:", parseError.message);
-            throw new Error("AI returned invalid JSON.");
-        }
+        const practice = session.mode === 'practice';
+        const lookedUp = new Set(JSON.parse(session.looked_up_words || '[]'));
+        const failed = [], reinforced = [];
+        const now = new Date();
+        db.transaction(() => {
+            correctByWord.forEach((correct, word) => {
+                if (!correct) {
+                    if (!practice) failWord(userId, langCode, word, null, now);
+                    lookedUp.add(word);
+                    failed.push(word);
+                } else if (!lookedUp.has(word)) {
+                    if (!practice) passWord(userId, langCode, word, getCard(userId, langCode, word, now), now);
+                    reinforced.push(word);
+                }
+            });
+            const quizResults = { ...graded, failed, reinforced, answeredAt: now.toISOString() };
+            db.prepare(`
+                UPDATE reading_sessions SET quiz_results = ?, looked_up_words = ?, updated_at = datetime('now') WHERE session_id = ?
+            `).run(JSON.stringify(quizResults), JSON.stringify([...lookedUp]), session.session_id);
+        })();
         
-        if (!data.passage) {
-            throw new Error("AI response missing 'passage' field");
-        }
+        info(`❓ Quiz for session ${session.session_id}: ${graded.score}/${graded.total}` +
+                    (practice ? ' (practice)' : `, ${failed.length} failed, ${reinforced.length} reinforced`));
+        res.json({ ...graded, failed, reinforced, practice, lookedUpWords: [...lookedUp] });
+    } catch (err) { serverError(res, err); }
+});
+
+// The words the next passage should be built around: due reviews first, then the
+// target queue in order, as many as the prompt profile's word budget allows.
+// `skip` leaves out words that are about to pass.
+const selectQueue = (userId, langCode, profile, skip = new Set()) => {
+    const due = db.prepare(`
+        SELECT word_text 
+        FROM user_vocabulary_progress 
+        WHERE user_id = ? AND language_code = ? 
+          AND datetime(next_review_date) <= datetime('now')
+    `).pluck().all(userId, langCode).filter(w => !skip.has(w));
+    const limits = queueLimits(profile, due.length);
+    const review = due.slice(0, limits.review);
+    
+    const target = db.prepare(`
+        SELECT word_text 
+        FROM user_vocabulary_progress 
+        WHERE user_id = ? AND language_code = ? 
+          AND is_target_word = 1 
+          AND datetime(next_review_date) > datetime('now')
+        ORDER BY target_order ASC
+    `).pluck().all(userId, langCode).filter(w => !skip.has(w)).slice(0, limits.target);
+    
+    return { review, target };
+};
+
+// The queue as it will look once the current passage is finished: the words it
+// will pass (everything scheduled, plus incidental words unless the policy ignores
+// them) drop out, except those looked up since it was delivered.
+const predictNextQueue = (userId, langCode, request, current) => {
+    const session = getActiveSession(userId, langCode);
+    const profile = promptProfiles.get(langCode, request.profile);
+    if (!session || session.mode !== 'normal') return selectQueue(userId, langCode, profile);
+    
+    const lookedUp = new Set(JSON.parse(session.looked_up_words || '[]'));
+    db.prepare(`
+        SELECT word_text as word, event_type as type FROM review_events 
+        WHERE user_id = ? AND language_code = ? AND event_type IN ('lookup', 'undo') AND created_at >= ? 
+        ORDER BY event_id ASC
+    `).all(userId, langCode, current.since.toISOString()).forEach(e => {
+        if (e.type === 'lookup') lookedUp.add(e.word);
+        else lookedUp.delete(e.word);
+    });
+    
+    const intended = JSON.parse(session.intended_words || 'null') || { review: [], target: [] };
+    const willPass = new Set([...intended.review, ...intended.target]);
+    if (INCIDENTAL_POLICY !== 'ignore') {
+        const lemmaOf = getLemmaResolver(userId, langCode);
+        extractWords(session.passage_text, langCode).forEach(w => willPass.add(lemmaOf(w)));
+        extractExpressions(session.passage_text, langCode, getExpressions(userId, langCode), lemmaOf).forEach(e => willPass.add(e));
+    }
+    lookedUp.forEach(w => willPass.delete(w));
+    return selectQueue(userId, langCode, profile, willPass);
+};
+
+// Generates and checks a passage for `queue`, caching the glossary of its target words.
+// `request` is { level, profile, topic }. `onText(passageSoFar)` streams the passage;
+// `onAttempt(n)` fires before each re-prompt.
+const generateForQueue = async (userId, langCode, request, queue, { onText, onAttempt } = {}) => {
+    const startTime = Date.now();
+    const { level } = request;
+    const { glossLang } = getSettings(userId);
+    const profile = promptProfiles.get(langCode, request.profile);
+    const topic = pickTopic(profile, request.topic);
+    info(`📊 Session: ${queue.review.length} reviews, ${queue.target.length} targets. Profile: ${profile.id} (${topic})`);
+    const prompt = renderPrompt(profile, { langCode, level, topic, glossLang, queue });
+    const lemmaOf = getLemmaResolver(userId, langCode);
+    
+    // Models drop words. Keep the best-covered attempt and re-prompt with the missing ones.
+    let data = null;
+    let coverage = null;
+    for (let attempt = 1; attempt <= GENERATION_ATTEMPTS; attempt++) {
+        info(`🤖 Sending to ${llm.label}${attempt > 1 ? ` (attempt ${attempt})` : ''}...`);
+        if (attempt > 1 && onAttempt) onAttempt(attempt);
+        const attemptPrompt = coverage ? prompt + buildRepairInstruction(coverage) : prompt;
+        const attemptData = await llm.generatePassage(attemptPrompt, {
+            langCode,
+            level,
+            reviewWords: queue.review,
+            newWords: queue.target
+        }, { onText: onText && (raw => onText(extractPartialPassage(raw))) });
+        const attemptCoverage = measureCoverage(attemptData.passage, langCode, queue, lemmaOf);
+        info(`🎯 Coverage ${(attemptCoverage.ratio * 100).toFixed(0)}% ` +
+                    `(missing ${attemptCoverage.review.missing.length} review, ${attemptCoverage.target.missing.length} target)`);
         
-        if (data.glossary && typeof data.glossary === 'object') {
-            const targetWordSet = new Set(newWords.map(w => w.word_text.toLowerCase()));
-            const cacheStmt = db.prepare('INSERT OR REPLACE INTO translation_cache (word, source_lang, translation) VALUES (?, ?, ?)');
-            let cached = 0;
-            db.transaction(g => {
-                Object.entries(g).forEach(([w, d]) => {
-                    if (targetWordSet.has(w.toLowerCase())) {
-                        cacheStmt.run(w.toLowerCase(), langCode, d);
-                        cached++;
-                    }
-                });
-            })(data.glossary);
-            console.log(`💾 Cached ${cached} glossary entries (NEW words only)`);
+        if (!coverage || attemptCoverage.ratio > coverage.ratio) {
+            data = attemptData;
+            coverage = attemptCoverage;
         }
-        
-        console.log(`✅ Generated in ${elapsed}s!`);
-        res.json({ passage: data.passage });
-        
+        if (coverage.ratio >= COVERAGE_THRESHOLD) break;
+    }
+    
+    if (data.glossary && typeof data.glossary === 'object') {
+        const targetWordSet = new Set(queue.target);
+        const cacheStmt = db.prepare('INSERT OR REPLACE INTO translation_cache (word, source_lang, target_lang, translation) VALUES (?, ?, ?, ?)');
+        let cached = 0;
+        db.transaction(g => {
+            Object.entries(g).forEach(([w, d]) => {
+                const key = normalizeWord(w, langCode);
+                if (targetWordSet.has(key)) {
+                    cacheStmt.run(key, langCode, glossLang, d);
+                    cached++;
+                }
+            });
+        })(data.glossary);
+        info(`💾 Cached ${cached} glossary entries (NEW words only)`);
+    }
+    
+    info(`✅ Generated in ${((Date.now() - startTime) / 1000).toFixed(2)}s!`);
+    return { passage: data.passage, coverage, intended: queue, model: llm.label, promptVariant: profile.id, topic };
+};
+
+// What to generate: { level, profile, topic, quiz } from the request body, falling back to the
+// user's settings. A profile saved in settings that this language doesn't have falls back
+// to the story profile; one named in the request returns null.
+const generationRequest = (userId, langCode, body = {}) => {
+    const settings = getSettings(userId);
+    const request = { level: body.level || settings.level, profile: body.profile || settings.profile, topic: body.topic ?? settings.topic ?? '',
+                      quiz: body.quiz ?? settings.quiz };
+    if (promptProfiles.get(langCode, request.profile)) return request;
+    if (body.profile) return null;
+    return { ...request, profile: DEFAULT_SETTINGS.profile, topic: '' };
+};
+
+const unknownProfileMessage = (langCode, profile) =>
+    `Unknown prompt profile "${profile}" for ${langCode}. Use one of: ${promptProfiles.ids(langCode).join(', ')}`;
+
+// A model that fails (bad key, used-up quota, endpoint down, unusable reply) is the reader's
+// to fix or wait out, so what it said is passed on; anything else is a bug and stays in the log.
+const generationFailure = (e) => {
+    if (isLLMError(e)) return { status: 502, code: e.code, error: e.message };
+    console.error('❌ Internal error:', e);
+    return { status: 500, code: STATUS_CODES[500], error: INTERNAL_MESSAGE };
+};
+
+app.get('/api/prompt-profiles', validate, (req, res) => {
+    try {
+        const { langCode = 'es' } = req.query;
+        res.json(promptProfiles.list(langCode).map(p => ({
+            id: p.id, label: p.label, style: p.style, topics: p.topics, length: p.length, budget: p.budget
+        })));
+    } catch (err) { serverError(res, err); }
+});
+
+const prefetcher = createPrefetcher({
+    predict: predictNextQueue,
+    generate: generateForQueue,
+    tolerance: PREFETCH_TOLERANCE,
+    enabled: PREFETCH_ENABLED
+});
+
+// Serves the prefetched passage when it still fits the queue, otherwise generates
+// one. Either way the passage becomes the current session and the one after it
+// starts prefetching. Whether it gets a quiz doesn't change the passage, so it
+// isn't part of what a prefetched one has to match.
+const deliverPassage = async (userId, langCode, { quiz: quizEnabled, ...request }, streaming = {}) => {
+    const queue = selectQueue(userId, langCode, promptProfiles.get(langCode, request.profile));
+    let result = await prefetcher.take(userId, langCode, request, queue);
+    if (result) {
+        info("⚡ Serving prefetched passage");
+        if (streaming.onText) streaming.onText(result.passage);
+    } else {
+        result = await generateForQueue(userId, langCode, request, queue, streaming);
+    }
+    
+    // The session remembers what the passage was meant to review, so the pass step
+    // can credit exactly those words.
+    const sessionId = createSession(userId, langCode, {
+        passage: result.passage,
+        intended: result.intended,
+        coverage: result.coverage,
+        level: request.level,
+        model: result.model,
+        promptVariant: result.promptVariant,
+        topic: result.topic,
+        quizEnabled
+    });
+    // Questions are written while the passage is read.
+    if (quizEnabled) startQuiz(userId, sessionId);
+    
+    prefetcher.start(userId, langCode, request, { since: new Date() });
+    return { sessionId, passage: result.passage, coverage: result.coverage, quizEnabled: !!quizEnabled };
+};
+
+app.post('/api/generate-passage', validate, async (req, res) => {
+    const { userId } = req;
+    const { langCode } = req.body;
+    const startTime = Date.now();
+    const request = generationRequest(userId, langCode, req.body);
+    if (!request) return sendError(res, 400, 'UNKNOWN_PROFILE', unknownProfileMessage(langCode, req.body.profile));
+    
+    try {
+        res.json(await deliverPassage(userId, langCode, request));
     } catch (e) { 
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
         console.error(`❌ Error after ${elapsed}s:`, e.message);
-        
-        let errorMsg = e.message;
-        if (e.message.includes('API_KEY_INVALID')) {
-            errorMsg = "Invalid API Key.";
-        } else if (e.message.includes('404')) {
-            errorMsg = "Model not found. Check API key.";
-        } else if (e.message.includes('quota')) {
-            errorMsg = "API quota exceeded.";
-        }
-        
-        res.status(500).json({ error: errorMsg }); 
+        const { status, code, error } = generationFailure(e);
+        sendError(res, status, code, error);
+    }
+});
+
+// Same as /api/generate-passage, as Server-Sent Events:
+//   delta { text }              more passage text to append
+//   restart { attempt }         a re-prompt begins; discard the text so far
+//   done { passage, coverage }  the final passage
+//   error { error, code }       generation failed after the stream began
+// A failure before anything was sent is an ordinary JSON error response instead.
+app.post('/api/generate-passage/stream', validate, async (req, res) => {
+    const { userId } = req;
+    const { langCode } = req.body;
+    const request = generationRequest(userId, langCode, req.body);
+    if (!request) return sendError(res, 400, 'UNKNOWN_PROFILE', unknownProfileMessage(langCode, req.body.profile));
+    const send = (event, data) => {
+        if (!res.headersSent) res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    let sent = '';
+    try {
+        const result = await deliverPassage(userId, langCode, request, {
+            onText: (passage) => {
+                if (passage.length <= sent.length) return;
+                send('delta', { text: passage.slice(sent.length) });
+                sent = passage;
+            },
+            onAttempt: (attempt) => {
+                sent = '';
+                send('restart', { attempt });
+            }
+        });
+        send('done', result);
+    } catch (e) {
+        console.error("❌ Streaming generation failed:", e.message);
+        const { status, code, error } = generationFailure(e);
+        if (!res.headersSent) return sendError(res, status, code, error);
+        send('error', { error, code });
     }
+    res.end();
 });
 
-console.log("🔧 Database schema verified.");
-app.listen(PORT, '0.0.0.0', () => console.log(`🚀 Syntagma: http://127.0.0.1:${PORT}`));
\ No newline at end of file
+app.use('/api', routeNotFound);
+app.use(errorHandler);
+
+// Started directly it serves. Required by the tests and the CLI (bin/syntagma.js), it hands
+// back the app, the database and the operations the routes are built on, so a change made
+// from the command line is the same change the web app would make.
+if (require.main === module) {
+    info("🔧 Database schema verified.");
+    info(`🤖 LLM provider: ${llm.label}`);
+    info(`📅 SRS scheduler: ${scheduler.name}`);
+    info(`📖 Dictionaries: ${dictionary.label}`);
+    app.listen(PORT, '0.0.0.0', () => info(`🚀 Syntagma: http://127.0.0.1:${PORT}`));
+}
+
+module.exports = {
+    app,
+    db,
+    llm,
+    scheduler,
+    LEGACY_USER_ID,
+    getSettings,
+    listVocabulary,
+    statsReport,
+    importWordList,
+    planDeckImport,
+    applyDeckImport,
+    summarizePlan,
+    exportCsv,
+    buildBackup,
+    isBackup,
+    planRestore,
+    previewRestore,
+    applyRestore,
+    BACKUP_VERSION,
+    resetWord,
+    deleteWord,
+    listCache,
+    clearCache,
+    generationRequest,
+    deliverPassage
+};
\ No newline at end of file
@@ -0,0 +1,264 @@
+// Tokenization shared by server.js and index.html, so the reader's clickable
+// tokens, lookups and end-of-passage passes all agree on what a "word" is.
+// Loaded with require() on the server and as window.SyntagmaText in the browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SyntagmaText = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    const segmenters = new Map();
+
+    const getSegmenter = (langCode, granularity = 'word') => {
+        if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+        const key = `${langCode}:${granularity}`;
+        if (!segmenters.has(key)) {
+            segmenters.set(key, new Intl.Segmenter(langCode, { granularity }));
+        }
+        return segmenters.get(key);
+    };
+
+    // Arabic: drop harakat/tatweel, unify alef and yeh variants, then peel off the
+    // definite article (with attached conjunctions/prepositions) and pronoun suffixes,
+    // so "وَالكِتَابُ", "الكتاب" and "كتابها" all resolve to "كتاب".
+    const AR_DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+    const AR_PREFIXES = ['وبال', 'وال', 'فال', 'بال', 'كال', 'لل', 'ال'];
+    const AR_SUFFIXES = ['هما', 'كما', 'هم', 'هن', 'كم', 'كن', 'ها', 'نا'];
+
+    const normalizeArabic = (word) => {
+        let w = word.replace(AR_DIACRITICS, '').replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627').replace(/\u0649/g, '\u064A');
+        const prefix = AR_PREFIXES.find(p => w.startsWith(p) && w.length - p.length >= 2);
+        if (prefix) w = w.slice(prefix.length);
+        const suffix = AR_SUFFIXES.find(s => w.endsWith(s) && w.length - s.length >= 3);
+        if (suffix) w = w.slice(0, -suffix.length);
+        return w;
+    };
+
+    // Elided articles, pronouns and conjunctions are words of their own, keyed with their
+    // apostrophe: "l'homme" is "l'" + "homme", "dell'acqua" is "dell'" + "acqua".
+    const ELISIONS = {
+        fr: ['c', 'd', 'j', 'l', 'm', 'n', 's', 't', 'qu', 'jusqu', 'lorsqu', 'puisqu', 'quoiqu'],
+        it: ['c', 'd', 'l', 'm', 'n', 's', 't', 'v', 'un', 'all', 'dall', 'dell', 'nell', 'sull', 'coll', 'quell', 'quest', 'bell', 'sant'],
+        ca: ['d', 'l', 'm', 'n', 's', 't']
+    };
+    // Hyphenated words ("peut-être", "arc-en-ciel", "well-known") are one word, except
+    // for pronouns hyphenated onto a verb ("dit-il", "a-t-elle", "dá-me").
+    const ENCLITICS = {
+        fr: ['je', 'tu', 'il', 'elle', 'on', 'nous', 'vous', 'ils', 'elles', 'moi', 'toi', 'lui', 'leur', 'le', 'la', 'les', 'en', 'y', 'ce', 't'],
+        pt: ['me', 'te', 'se', 'lhe', 'lhes', 'o', 'a', 'os', 'as', 'lo', 'la', 'los', 'las', 'no', 'na', 'nos', 'vos']
+    };
+    const APOSTROPHE = /^['\u2019]$/;
+    const HYPHEN = /^[-\u2010]$/;
+
+    const baseLanguage = (langCode) => String(langCode || '').split('-')[0];
+
+    // One word (no spaces, hyphens or apostrophes) as it is keyed.
+    const normalizeToken = (word, langCode) => {
+        const clean = String(word).normalize('NFC').toLowerCase().replace(/[^\p{L}\p{M}]/gu, '');
+        return langCode === 'ar' ? normalizeArabic(clean) : clean;
+    };
+
+    // "l'homme" -> "l'", "homme" (and "l" followed by a lone "'" -> "l'").
+    const splitElisions = (parts, langCode) => {
+        const clitics = ELISIONS[baseLanguage(langCode)];
+        if (!clitics) return parts;
+        const out = [];
+        parts.forEach((part, i) => {
+            if (!part.isWord) {
+                const previous = out[out.length - 1];
+                if (APOSTROPHE.test(part.text) && previous && previous.isWord && !previous.clitic && clitics.includes(previous.text.toLowerCase())) {
+                    out[out.length - 1] = { text: previous.text + part.text, isWord: true, clitic: true };
+                } else out.push(part);
+                return;
+            }
+            let rest = part.text;
+            let match;
+            while ((match = rest.match(/^([\p{L}\p{M}]+)['\u2019](?=\p{L})/u)) && clitics.includes(match[1].toLowerCase())) {
+                out.push({ text: match[0], isWord: true, clitic: true });
+                rest = rest.slice(match[0].length);
+            }
+            if (rest) out.push({ ...part, text: rest });
+        });
+        return out;
+    };
+
+    // "peut", "-", "être" -> "peut-être"; "a", "-", "t", "-", "il" stays as it is.
+    const joinCompounds = (parts, langCode) => {
+        const enclitics = ENCLITICS[baseLanguage(langCode)] || [];
+        const joinable = (part) => part && part.isWord && !part.clitic && /\p{L}/u.test(part.text);
+        const out = [];
+        for (let i = 0; i < parts.length; i++) {
+            let end = i;
+            if (joinable(parts[i])) {
+                while (parts[end + 1] && HYPHEN.test(parts[end + 1].text) && joinable(parts[end + 2])) end += 2;
+            }
+            const run = parts.slice(i, end + 1);
+            // Pronouns can only trail the verb: "donne-le-moi", but "arc-en-ciel".
+            let cut = run.length;
+            while (cut > 1 && enclitics.includes(run[cut - 1].text.toLowerCase())) cut -= 2;
+            if (cut > 1) out.push({ text: run.slice(0, cut).map(p => p.text).join(''), isWord: true, compound: true });
+            else out.push(run[0]);
+            out.push(...run.slice(Math.max(cut, 1)));
+            i = end;
+        }
+        return out;
+    };
+
+    const tokenKey = (part, langCode) => {
+        if (!part.isWord) return '';
+        if (part.clitic) return normalizeToken(part.text, langCode) + "'";
+        if (part.compound) return part.text.split(/[-\u2010]/).map(p => normalizeToken(p, langCode)).filter(Boolean).join('-');
+        return normalizeToken(part.text, langCode);
+    };
+
+    // Split text into display tokens: { text, key } where key is the normalized
+    // word or null for whitespace/punctuation/numbers. Joining every `text` gives
+    // back the original passage.
+    const segmentText = (text, langCode) => {
+        const segmenter = getSegmenter(langCode);
+        const parts = segmenter
+            ? Array.from(segmenter.segment(text), s => ({ text: s.segment, isWord: s.isWordLike }))
+            : text.split(/(\p{L}[\p{L}\p{M}]*(?:['\u2019]\p{L}[\p{L}\p{M}]*)*)/u).filter(Boolean).map(t => ({ text: t, isWord: /\p{L}/u.test(t) }));
+
+        return joinCompounds(splitElisions(parts, langCode), langCode).map(part => {
+            const key = tokenKey(part, langCode);
+            return { text: part.text, key: key || null };
+        });
+    };
+
+    // The key a word or expression is stored and looked up under. The words of an
+    // expression keep what separated them: a space ("darse cuenta"), a hyphen ("dit-il")
+    // or nothing after an elision ("d'accord") or between the words of a script
+    // written without spaces.
+    const normalizeWord = (word, langCode) => {
+        const text = String(word).trim();
+        if (/^[\p{L}\p{M}]*$/u.test(text)) return normalizeToken(text, langCode);
+        let key = '';
+        let gap = '';
+        segmentText(text, langCode).forEach(token => {
+            if (!token.key) {
+                gap += token.text;
+                return;
+            }
+            if (key && !key.endsWith("'")) key += /\s/.test(gap) ? ' ' : (HYPHEN.test(gap) ? '-' : '');
+            key += token.key;
+            gap = '';
+        });
+        return key;
+    };
+
+    const wordsOf = (key, langCode) => segmentText(key, langCode).map(t => t.key).filter(Boolean);
+
+    // An entry that spans several words of a passage ("darse cuenta", "il y a").
+    const isExpression = (key, langCode) => !/^[\p{L}\p{M}]*$/u.test(key) && wordsOf(key, langCode).length > 1;
+
+    // What an imported entry is tracked as: its key, or, when the segmenter splits it into words
+    // run together ("勉強する" is "勉強" + "する"), each of those words, since that is how
+    // passages are read and the whole would never be found in one.
+    const importKeys = (word, langCode) => {
+        const key = normalizeWord(word, langCode);
+        if (!key) return [];
+        if (isExpression(key, langCode)) return [key];
+        const words = wordsOf(key, langCode);
+        return words.length > 1 ? [...new Set(words)] : [key];
+    };
+
+    const extractWords = (text, langCode) => {
+        const keys = segmentText(text, langCode).map(t => t.key).filter(Boolean);
+        return [...new Set(keys)];
+    };
+
+    // Reflexive verbs in expressions ("darse cuenta", "rendersi conto") match any form of
+    // the verb ("di" -> "dar"), taking a reflexive pronoun just before it along ("me di cuenta").
+    // A reflexive pronoun that is itself part of an expression ("se rendre compte") matches any person.
+    const REFLEXIVES = {
+        es: { infinitive: /([aeií]r)se$/, base: '$1', pronouns: ['me', 'te', 'se', 'nos', 'os'] },
+        it: { infinitive: /([aei]r)si$/, base: '$1e', pronouns: ['mi', 'ti', 'si', 'ci', 'vi'] },
+        fr: { pronouns: ['me', 'te', 'se', 'nous', 'vous', "m'", "t'", "s'"] },
+        pt: { pronouns: ['me', 'te', 'se', 'nos', 'vos'] }
+    };
+    // One pronoun may stand between the words of an expression ("pick it up", "il s'en rend
+    // compte"), besides the reflexive ones; any other word ends the match ("tengo algo que" is
+    // not "tener que"). Pronouns that are also articles ("lo", "la") are left out.
+    const GAP_PRONOUNS = {
+        en: ['me', 'you', 'him', 'her', 'it', 'us', 'them'],
+        es: ['le', 'les'],
+        fr: ['lui', 'leur', 'y', 'en'],
+        it: ['gli', 'ne'],
+        pt: ['lhe', 'lhes'],
+        de: ['mich', 'dich', 'sich', 'ihn', 'es', 'uns', 'euch', 'ihm', 'ihnen']
+    };
+    const MAX_EXPRESSION_GAP = 1;
+    const SENTENCE_BREAK = /[.!?;:\u2026\u3002\uFF01\uFF1F]/;
+
+    // Where the given expressions occur among `tokens` (from segmentText), matching words by
+    // key or lemma (`lemmaOf(key)`). Longer expressions win overlaps. Returns, in passage order,
+    // [{ expression, start, end, parts }]: the first and last token index of the occurrence
+    // and the indices of the tokens that belong to the expression.
+    const findExpressions = (tokens, expressions, { langCode, lemmaOf = (w) => w } = {}) => {
+        const reflexive = REFLEXIVES[baseLanguage(langCode)] || { pronouns: [] };
+        const gapWords = new Set([...reflexive.pronouns, ...(GAP_PRONOUNS[baseLanguage(langCode)] || [])]);
+        const patterns = [...new Set(expressions)].map(expression => ({
+            expression,
+            words: wordsOf(expression, langCode).map(word => {
+                if (reflexive.pronouns.includes(word)) return { pronoun: true, forms: new Set(reflexive.pronouns) };
+                const verb = reflexive.infinitive && reflexive.infinitive.test(word) ? word.replace(reflexive.infinitive, reflexive.base) : null;
+                return { verb, forms: new Set(verb ? [word, verb] : [word]) };
+            })
+        })).filter(p => p.words.length > 1);
+        if (patterns.length === 0) return [];
+
+        const formsOf = (token) => (token.key ? [token.key, lemmaOf(token.key)] : []);
+        const fits = (token, word) => formsOf(token).some(form => word.forms.has(form));
+
+        const candidates = [];
+        tokens.forEach((token, start) => {
+            patterns.forEach(({ expression, words }) => {
+                if (!fits(token, words[0])) return;
+                const parts = [start];
+                let gap = 0;
+                for (let i = start + 1; i < tokens.length && parts.length < words.length; i++) {
+                    if (!tokens[i].key) {
+                        if (SENTENCE_BREAK.test(tokens[i].text)) break;
+                        continue;
+                    }
+                    if (fits(tokens[i], words[parts.length])) parts.push(i);
+                    else if (!gapWords.has(tokens[i].key) || ++gap > MAX_EXPRESSION_GAP) break;
+                }
+                if (parts.length < words.length) return;
+                if (words[0].verb) {
+                    const before = tokens.slice(0, start).reverse().find(t => t.key || /\S/.test(t.text));
+                    const index = before ? tokens.lastIndexOf(before, start - 1) : -1;
+                    if (before && before.key && reflexive.pronouns.includes(before.key)) parts.unshift(index);
+                }
+                candidates.push({ expression, start: parts[0], end: parts[parts.length - 1], parts, size: words.length, gap });
+            });
+        });
+
+        const taken = new Set();
+        return candidates
+            .sort((a, b) => b.size - a.size || a.gap - b.gap || a.start - b.start)
+            .filter(c => {
+                for (let i = c.start; i <= c.end; i++) if (taken.has(i)) return false;
+                for (let i = c.start; i <= c.end; i++) taken.add(i);
+                return true;
+            })
+            .sort((a, b) => a.start - b.start)
+            .map(({ expression, start, end, parts }) => ({ expression, start, end, parts }));
+    };
+
+    // Which of `expressions` occur in `text`, each once.
+    const extractExpressions = (text, langCode, expressions, lemmaOf) =>
+        [...new Set(findExpressions(segmentText(text, langCode), expressions, { langCode, lemmaOf }).map(m => m.expression))];
+
+    // The sentence containing the character at `offset`, trimmed; the context a
+    // clicked word is defined in.
+    const sentenceAt = (text, offset, langCode) => {
+        const segmenter = getSegmenter(langCode, 'sentence');
+        const sentences = segmenter
+            ? Array.from(segmenter.segment(text), s => ({ start: s.index, text: s.segment }))
+            : Array.from(text.matchAll(/[^.!?\u3002\uFF01\uFF1F]+[.!?\u3002\uFF01\uFF1F]*\s*/g), m => ({ start: m.index, text: m[0] }));
+        const hit = sentences.find(s => offset >= s.start && offset < s.start + s.text.length);
+        return hit ? hit.text.trim() : '';
+    };
+
+    return { segmentText, extractWords, normalizeWord, importKeys, isExpression, findExpressions, extractExpressions, sentenceAt };
+});
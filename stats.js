@@ -0,0 +1,123 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reviews are bucketed by the interval the word had been given before it was seen again.
+const INTERVAL_BUCKETS = [
+    { label: '< 1d', max: 1 },
+    { label: '1-3d', max: 3 },
+    { label: '3-7d', max: 7 },
+    { label: '1-2w', max: 14 },
+    { label: '2-4w', max: 30 },
+    { label: '1-3mo', max: 90 },
+    { label: '3mo+', max: Infinity }
+];
+
+// Days are UTC calendar days, as "YYYY-MM-DD".
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+const lastDays = (count, now) => Array.from({ length: count }, (_, i) => dayOf(new Date(now.getTime() - (count - 1 - i) * DAY_MS)));
+
+const nextDays = (count, now) => Array.from({ length: count }, (_, i) => dayOf(new Date(now.getTime() + i * DAY_MS)));
+
+const rate = (bucket) => ({ ...bucket, rate: bucket.reviews > 0 ? bucket.passed / bucket.reviews : null });
+
+const createStats = (db) => {
+    // Called by the pass, lookup and undo routes (and the reading-time ticks): one row
+    // per user, language and day. An undo takes a lookup back off today's count.
+    const recordActivity = (userId, langCode, { passed = 0, lookedUp = 0, seconds = 0 }, at = new Date()) => {
+        if (!passed && !lookedUp && !seconds) return;
+        db.prepare(`
+            INSERT INTO daily_activity (user_id, language_code, day, passed, looked_up, reading_seconds)
+            VALUES (?, ?, ?, ?, MAX(0, ?), ?)
+            ON CONFLICT(user_id, language_code, day) DO UPDATE SET
+                passed = passed + excluded.passed,
+                looked_up = MAX(0, looked_up + ?),
+                reading_seconds = reading_seconds + excluded.reading_seconds
+        `).run(userId, langCode, dayOf(at), passed, lookedUp, seconds, lookedUp);
+    };
+
+    // Words falling due on each of the next `days` days; anything overdue counts for today.
+    const forecast = (userId, langCode, days, now = new Date()) => {
+        const counts = new Map(db.prepare(`
+            SELECT MAX(date(next_review_date), date(?)) as day, COUNT(*) as count
+            FROM user_vocabulary_progress
+            WHERE user_id = ? AND language_code = ? AND date(next_review_date) < date(?, ?)
+            GROUP BY day
+        `).all(now.toISOString(), userId, langCode, now.toISOString(), `+${days} days`).map(r => [r.day, r.count]));
+        return nextDays(days, now).map(day => ({ day, due: counts.get(day) || 0 }));
+    };
+
+    const activity = (userId, langCode, days, now = new Date()) => {
+        const dates = lastDays(days, now);
+        const rows = new Map(db.prepare(`
+            SELECT day, passed, looked_up, reading_seconds FROM daily_activity
+            WHERE user_id = ? AND language_code = ? AND day >= ?
+        `).all(userId, langCode, dates[0]).map(r => [r.day, r]));
+        return dates.map(day => {
+            const row = rows.get(day);
+            return {
+                day,
+                passed: row ? row.passed : 0,
+                lookedUp: row ? row.looked_up : 0,
+                minutes: row ? Math.round(row.reading_seconds / 60) : 0
+            };
+        });
+    };
+
+    // Share of reviews that passed, by the step and by the interval the word was at.
+    // New and target words are left out: their first sight isn't a test of memory.
+    // A lookup that was undone didn't happen.
+    const retention = (userId, langCode) => {
+        const events = db.prepare(`
+            SELECT word_text as word, event_type as type, prior_step as step, prior_interval as interval, was_new as wasNew, was_target as wasTarget
+            FROM review_events
+            WHERE user_id = ? AND language_code = ? AND event_type IN ('pass', 'lookup', 'undo')
+            ORDER BY event_id
+        `).all(userId, langCode);
+
+        const reviews = [];
+        const lookupsOf = new Map();
+        events.forEach(event => {
+            if (event.type === 'undo') {
+                const undone = (lookupsOf.get(event.word) || []).pop();
+                if (undone) undone.undone = true;
+                return;
+            }
+            const review = { ...event, undone: false };
+            reviews.push(review);
+            if (event.type === 'lookup') {
+                if (!lookupsOf.has(event.word)) lookupsOf.set(event.word, []);
+                lookupsOf.get(event.word).push(review);
+            }
+        });
+
+        const byStep = new Map();
+        const byInterval = INTERVAL_BUCKETS.map(b => ({ bucket: b.label, reviews: 0, passed: 0 }));
+        reviews.forEach(r => {
+            if (r.undone || r.wasNew || r.wasTarget || r.step === null) return;
+            const passed = r.type === 'pass' ? 1 : 0;
+            if (!byStep.has(r.step)) byStep.set(r.step, { step: r.step, reviews: 0, passed: 0 });
+            byStep.get(r.step).reviews++;
+            byStep.get(r.step).passed += passed;
+            const bucket = byInterval[INTERVAL_BUCKETS.findIndex(b => (r.interval || 0) < b.max)];
+            bucket.reviews++;
+            bucket.passed += passed;
+        });
+        return {
+            byStep: [...byStep.values()].sort((a, b) => a.step - b.step).map(rate),
+            byInterval: byInterval.map(rate)
+        };
+    };
+
+    // The words looked up most often, at least `threshold` times.
+    const leeches = (userId, langCode, threshold, limit) => db.prepare(`
+        SELECT word_text as word, lookup_count as lookups, successful_reads as passes, current_step as step,
+               status, next_review_date as nextReview
+        FROM user_vocabulary_progress
+        WHERE user_id = ? AND language_code = ? AND lookup_count >= ?
+        ORDER BY lookup_count DESC, successful_reads ASC, word_text ASC LIMIT ?
+    `).all(userId, langCode, threshold, limit);
+
+    return { recordActivity, forecast, activity, retention, leeches };
+};
+
+module.exports = { createStats, INTERVAL_BUCKETS };
@@ -0,0 +1,260 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A fresh database in a temporary directory, the offline mock model and no background work.
+// The server's progress logs would be mixed into the test runner's output.
+require('../logger').setLogger(null);
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'syntagma-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.LLM_PROVIDER = 'mock';
+process.env.DICTIONARY_PROVIDERS = 'llm';
+process.env.PREFETCH = 'false';
+
+const { app, db } = require('../server');
+const { ROUTES, SCHEMAS } = require('../api/contract');
+const { check } = require('../api/schema');
+const { serverError } = require('../api/errors');
+
+let server;
+let baseUrl;
+let token;
+
+const api = async (method, url, { body, raw, auth = true } = {}) => {
+    const headers = {};
+    if (body !== undefined || raw !== undefined) headers['Content-Type'] = 'application/json';
+    if (auth && token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(`${baseUrl}${url}`, { method, headers, body: raw ?? (body === undefined ? undefined : JSON.stringify(body)) });
+    const type = res.headers.get('content-type') || '';
+    return { status: res.status, body: type.includes('json') ? await res.json() : await res.text() };
+};
+
+const assertError = (res, status, code) => {
+    assert.equal(res.status, status, JSON.stringify(res.body));
+    assert.equal(res.body.code, code);
+    assert.equal(typeof res.body.error, 'string');
+};
+
+// A response checked against the schema the contract publishes for it, references resolved.
+const resolveRefs = (schema) => {
+    if (Array.isArray(schema)) return schema.map(resolveRefs);
+    if (!schema || typeof schema !== 'object') return schema;
+    if (schema.$ref) return resolveRefs(SCHEMAS[schema.$ref.split('/').pop()]);
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, resolveRefs(value)]));
+};
+
+const assertResponse = (route, res) => {
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(check(resolveRefs(ROUTES[route].response.schema), res.body, 'response'), []);
+};
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const res = await api('POST', '/api/auth/register', { body: { username: 'tester', password: 'correct horse' } });
+    assert.equal(res.status, 200);
+    token = res.body.token;
+});
+
+after(() => {
+    server.close();
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('every /api route has a contract entry and every entry a route', () => {
+    const registered = app._router.stack
+        .filter(layer => layer.route && layer.route.path.startsWith('/api/'))
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`));
+    assert.deepEqual([...registered].sort(), Object.keys(ROUTES).sort());
+});
+
+test('the OpenAPI document is public and describes every route', async () => {
+    const res = await api('GET', '/api/openapi.json', { auth: false });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.openapi, '3.1.0');
+    assert.ok(res.body.paths['/api/texts/{id}/parts/{index}/open'].post);
+    const operations = Object.values(res.body.paths).flatMap(Object.values);
+    assert.equal(operations.length, Object.keys(ROUTES).length);
+    operations.forEach(op => {
+        assert.ok(op.responses['200'], op.operationId);
+        assert.ok(op.responses['400'], op.operationId);
+    });
+    assert.deepEqual(res.body.paths['/api/auth/login'].post.security, []);
+});
+
+test('requests without a valid token get UNAUTHORIZED', async () => {
+    assertError(await api('GET', '/api/settings', { auth: false }), 401, 'UNAUTHORIZED');
+    const saved = token;
+    token = 'not-a-token';
+    assertError(await api('GET', '/api/settings'), 401, 'UNAUTHORIZED');
+    token = saved;
+});
+
+test('malformed JSON and unknown endpoints get JSON errors', async () => {
+    assertError(await api('POST', '/api/import-words', { raw: '{"words": [' }), 400, 'INVALID_JSON');
+    assertError(await api('GET', '/api/no-such-thing'), 404, 'ROUTE_NOT_FOUND');
+});
+
+test('registration errors carry their own codes', async () => {
+    const missing = await api('POST', '/api/auth/register', { body: { username: 'someone' }, auth: false });
+    assertError(missing, 400, 'VALIDATION_FAILED');
+    assert.deepEqual(missing.body.details, [{ path: 'body.password', message: 'is required' }]);
+    assertError(await api('POST', '/api/auth/register', { body: { username: 'x', password: 'long enough' }, auth: false }), 400, 'INVALID_USERNAME');
+    assertError(await api('POST', '/api/auth/register', { body: { username: 'tester', password: 'long enough' }, auth: false }), 409, 'USERNAME_TAKEN');
+    assertError(await api('POST', '/api/auth/login', { body: { username: 'tester', password: 'wrong password' }, auth: false }), 401, 'INVALID_CREDENTIALS');
+});
+
+test('routes that used to crash on bad input answer 400', async () => {
+    const cases = [
+        ['POST', '/api/lookup-word', {}],
+        ['POST', '/api/lookup-word', { word: 42 }],
+        ['POST', '/api/undo-lookup', { word: 'casa', previousState: 'yesterday' }],
+        ['POST', '/api/bulk-action', { words: 'casa', action: 'delete' }],
+        ['POST', '/api/bulk-action', { words: [1, 2], action: 'delete' }],
+        ['POST', '/api/reset-word', { langCode: 'es' }],
+        ['POST', '/api/resolve-lemmas', { langCode: 'es' }],
+        ['POST', '/api/pass-words-batch', { words: null }]
+    ];
+    for (const [method, url, body] of cases) {
+        assertError(await api(method, url, { body }), 400, 'VALIDATION_FAILED');
+    }
+});
+
+test('action enums, language codes and array sizes are checked', async () => {
+    const action = await api('POST', '/api/bulk-action', { body: { words: ['casa'], action: 'archive' } });
+    assertError(action, 400, 'VALIDATION_FAILED');
+    assert.equal(action.body.details[0].path, 'body.action');
+    assert.match(action.body.details[0].message, /reset, delete/);
+
+    assertError(await api('POST', '/api/reset-word', { body: { word: 'casa', resetType: 'forget' } }), 400, 'VALIDATION_FAILED');
+    assertError(await api('GET', '/api/vocabulary-list?langCode=Spanish'), 400, 'VALIDATION_FAILED');
+    assertError(await api('PUT', '/api/settings', { body: { level: 'Z9' } }), 400, 'VALIDATION_FAILED');
+
+    const many = Array.from({ length: 5001 }, (_, i) => `palabra${i}`);
+    const tooMany = await api('POST', '/api/resolve-lemmas', { body: { words: many } });
+    assertError(tooMany, 400, 'VALIDATION_FAILED');
+    assert.equal(tooMany.body.details[0].message, 'must have at most 5000 items');
+
+    const events = Array.from({ length: 501 }, (_, i) => ({ id: `event-${i}-0000`, type: 'finish', langCode: 'es' }));
+    assertError(await api('POST', '/api/sync', { body: { events } }), 400, 'VALIDATION_FAILED');
+});
+
+test('query strings and path parameters are parsed and range-checked', async () => {
+    const stats = await api('GET', '/api/stats?langCode=es&days=7');
+    assert.equal(stats.status, 200);
+    assert.equal(stats.body.days, 7);
+    assert.equal(stats.body.forecast.length, 7);
+
+    assertError(await api('GET', '/api/stats?days=1000'), 400, 'VALIDATION_FAILED');
+    assertError(await api('GET', '/api/sessions?limit=lots'), 400, 'VALIDATION_FAILED');
+    assertError(await api('GET', '/api/sessions/abc'), 400, 'VALIDATION_FAILED');
+    assertError(await api('GET', '/api/sessions/999'), 404, 'SESSION_NOT_FOUND');
+    assertError(await api('GET', '/api/texts/999'), 404, 'TEXT_NOT_FOUND');
+    assertError(await api('GET', '/api/export?format=xml'), 400, 'VALIDATION_FAILED');
+});
+
+test('valid requests still work: import, reset and delete words', async () => {
+    assert.equal((await api('POST', '/api/import-words', { body: { words: ['casa', 'perro', 'gato'], langCode: 'es' } })).status, 200);
+    let list = await api('GET', '/api/vocabulary-list?langCode=es');
+    assert.deepEqual(list.body.map(w => w.word).sort(), ['casa', 'gato', 'perro']);
+
+    assert.equal((await api('POST', '/api/bulk-action', { body: { words: ['casa', 'gato'], action: 'delete', langCode: 'es' } })).status, 200);
+    assert.equal((await api('POST', '/api/reset-word', { body: { word: 'perro', langCode: 'es' } })).status, 200);
+    list = await api('GET', '/api/vocabulary-list?langCode=es');
+    assert.deepEqual(list.body.map(w => w.word), ['perro']);
+});
+
+test('lookups and undos go through with well-formed input', async () => {
+    const lookup = await api('POST', '/api/lookup-word', { body: { word: 'Perro', sentence: 'El perro come.', langCode: 'es' } });
+    assert.equal(lookup.status, 200, JSON.stringify(lookup.body));
+    assert.equal(lookup.body.lemma, 'perro');
+    const undo = await api('POST', '/api/undo-lookup', { body: { word: 'perro', langCode: 'es', previousState: lookup.body.previousState } });
+    assert.equal(undo.status, 200, JSON.stringify(undo.body));
+});
+
+test('malformed sync events are rejected one by one, not the whole batch', async () => {
+    const res = await api('POST', '/api/sync', {
+        body: {
+            events: [
+                { id: 'lookup-0001', type: 'lookup', langCode: 'es', word: 'gato', at: new Date().toISOString() },
+                { id: 'lookup-0002', type: 'lookup', langCode: 'not a language', word: 'gato' },
+                { id: 'x', type: 'lookup', langCode: 'es', word: 'gato' }
+            ]
+        }
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map(r => r.status), ['applied', 'rejected', 'rejected']);
+});
+
+test('unexpected errors are logged, not sent to the client', () => {
+    const sent = {};
+    const res = { status(code) { sent.status = code; return this; }, json(body) { sent.body = body; } };
+    const logged = [];
+    const { error } = console;
+    console.error = (...args) => logged.push(args);
+    try {
+        serverError(res, new Error('SQLITE_CANTOPEN: /srv/syntagma/data.db'));
+    } finally {
+        console.error = error;
+    }
+    assert.equal(sent.status, 500);
+    assert.equal(sent.body.code, 'INTERNAL_ERROR');
+    assert.doesNotMatch(sent.body.error, /SQLITE|\/srv/);
+    assert.equal(logged.length, 1);
+});
+
+test('domain conflicts keep their codes', async () => {
+    const text = await api('POST', '/api/texts', { body: { langCode: 'es', content: 'El perro come en la casa.', title: 'Prueba' } });
+    assert.equal(text.status, 200, JSON.stringify(text.body));
+    const session = await api('POST', `/api/texts/${text.body.id}/parts/0/open`);
+    assert.equal(session.status, 200);
+    assertError(await api('POST', `/api/texts/${text.body.id}/parts/5/open`), 404, 'PART_NOT_FOUND');
+
+    assertError(await api('POST', `/api/sessions/${session.body.id}/quiz/answers`, { body: { answers: [0] } }), 409, 'QUIZ_OFF');
+    assertError(await api('POST', '/api/texts', { body: { langCode: 'es', format: 'epub', content: 'bm90IGEgemlw' } }), 400, 'INVALID_TEXT');
+    assertError(await api('POST', '/api/generate-passage', { body: { langCode: 'es', profile: 'sonnet' } }), 400, 'UNKNOWN_PROFILE');
+});
+
+test('multi-word expressions are imported, written in, failed whole and passed on their own', async () => {
+    const csv = 'word,definition\ndarse cuenta,to realize\ntener que,to have to\n';
+    const preview = await api('POST', '/api/import-deck', { body: { content: csv, langCode: 'es', dryRun: true } });
+    assert.equal(preview.status, 200, JSON.stringify(preview.body));
+    assert.equal(preview.body.summary.new, 2);
+    assert.equal(preview.body.summary.skipped, 0);
+    assert.equal((await api('POST', '/api/import-deck', { body: { content: csv, langCode: 'es', makeTargetList: true } })).status, 200);
+
+    // The mock model writes the scheduled entries out as they are.
+    const passage = await api('POST', '/api/generate-passage', { body: { langCode: 'es', profile: 'narrative', quiz: false } });
+    assertResponse('POST /api/generate-passage', passage);
+    assert.equal(passage.body.quizEnabled, false);
+    assert.match(passage.body.passage, /darse cuenta/i);
+    assert.deepEqual(passage.body.coverage.target.missing, []);
+
+    const lookup = await api('POST', '/api/lookup-word', { body: { word: 'Tener  que', langCode: 'es', sessionId: passage.body.sessionId } });
+    assert.equal(lookup.body.lemma, 'tener que');
+
+    const finish = await api('POST', '/api/pass-words-batch', {
+        body: { words: ['darse', 'cuenta', 'darse cuenta', 'tener', 'que', 'tener que'], langCode: 'es', sessionId: passage.body.sessionId }
+    });
+    assertResponse('POST /api/pass-words-batch', finish);
+    assert.deepEqual(finish.body.credited, { scheduled: 1, incidental: 0 });
+    const vocabulary = await api('GET', '/api/vocabulary-list?langCode=es');
+    assertResponse('GET /api/vocabulary-list', vocabulary);
+    const list = vocabulary.body;
+    const entry = (word) => list.find(w => w.word === word);
+    assert.equal(entry('darse cuenta').isTarget, false);
+    assert.ok(entry('darse cuenta').step > 0);
+    assert.equal(entry('tener que').step, 0);
+    assert.equal(entry('tener que').isTarget, false);
+
+    // Words are named as the reader shows them, and found as they are stored.
+    assert.equal((await api('POST', '/api/reset-word', { body: { word: 'Darse  Cuenta', langCode: 'es' } })).status, 200);
+    assert.equal((await api('POST', '/api/bulk-action', { body: { words: ['Tener\tque', ' '], action: 'delete', langCode: 'es' } })).status, 200);
+    const after = (await api('GET', '/api/vocabulary-list?langCode=es')).body;
+    assert.equal(after.find(w => w.word === 'darse cuenta').step, 0);
+    assert.equal(after.find(w => w.word === 'tener que'), undefined);
+});
@@ -0,0 +1,100 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each command runs in its own process, as from a shell, against one throwaway database.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'syntagma-cli-'));
+const bin = path.join(__dirname, '..', 'bin', 'syntagma.js');
+const env = { ...process.env, DB_PATH: path.join(dir, 'cli.db'), LLM_PROVIDER: 'mock', DICTIONARY_PROVIDERS: 'llm' };
+
+const syntagma = (...args) => {
+    const result = spawnSync(process.execPath, [bin, ...args], { env, cwd: dir, encoding: 'utf8', timeout: 30000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+};
+
+const json = (...args) => {
+    const result = syntagma(...args, '--json');
+    assert.equal(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout);
+};
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('usage errors exit 2 and name the problem', () => {
+    const unknown = syntagma('frobnicate');
+    assert.equal(unknown.status, 2);
+    assert.match(unknown.stderr, /unknown command "frobnicate"/);
+    assert.equal(syntagma('due', '--bogus').status, 2);
+    assert.equal(syntagma('--help').status, 0);
+});
+
+test('a word list is previewed, imported and listed as due', () => {
+    fs.writeFileSync(path.join(dir, 'words.txt'), 'casa\nperro\tdog\ngato, cat\n');
+    assert.deepEqual(json('import', 'words.txt', '--lang', 'es', '--dry-run').summary, { new: 3, existing: 0 });
+    assert.deepEqual(json('due', '--lang', 'es'), []);
+
+    json('import', 'words.txt', '--lang', 'es', '--due-now');
+    assert.deepEqual(json('due', '--lang', 'es').map(w => w.word).sort(), ['casa', 'gato', 'perro']);
+    assert.equal(json('stats', '--lang', 'es', '--days', '7').forecast.length, 7);
+});
+
+test("the server's log lines go to stderr with --verbose and nowhere without it", () => {
+    fs.writeFileSync(path.join(dir, 'more.txt'), 'libro\n');
+    const quiet = syntagma('import', 'more.txt', '--lang', 'pt', '--json');
+    assert.equal(quiet.stderr, '');
+    const verbose = syntagma('import', 'more.txt', '--lang', 'pt', '--json', '--verbose');
+    assert.match(verbose.stderr, /Imported 1 words/);
+    assert.deepEqual(JSON.parse(verbose.stdout).summary, { new: 0, existing: 1 });
+});
+
+test('reset and delete change only tracked words, and delete --all asks first', () => {
+    const reset = json('reset', '¡Casa!', 'nada', '--lang', 'es');
+    assert.deepEqual(reset.words, ['casa']);
+    assert.deepEqual(reset.missing, ['nada']);
+
+    json('delete', 'gato', '--lang', 'es');
+    assert.deepEqual(json('due', '--all', '--lang', 'es').map(w => w.word).sort(), ['casa', 'perro']);
+
+    const refused = syntagma('delete', '--all', '--lang', 'es');
+    assert.equal(refused.status, 1);
+    assert.match(refused.stderr, /--yes/);
+});
+
+test('a JSON export restores into an emptied language', () => {
+    assert.equal(syntagma('export', '--format', 'json', '--out', 'backup.json', '--lang', 'es').status, 0);
+    json('delete', '--all', '--yes', '--lang', 'es');
+    assert.deepEqual(json('due', '--all', '--lang', 'es'), []);
+
+    json('import', 'backup.json');
+    assert.deepEqual(json('due', '--all', '--lang', 'es').map(w => w.word).sort(), ['casa', 'perro']);
+});
+
+test('generate writes a passage and opens it as the current session', () => {
+    const result = json('generate', '--lang', 'es', '--level', 'A2');
+    assert.equal(typeof result.passage, 'string');
+    assert.ok(result.sessionId > 0);
+    assert.equal(result.level, 'A2');
+    assert.equal(result.quizEnabled, true);
+    assert.equal(json('generate', '--lang', 'es', '--no-quiz').quizEnabled, false);
+    assert.equal(syntagma('generate', '--level', 'Z9').status, 1);
+});
+
+test('the definition caches can be inspected and cleared', () => {
+    fs.writeFileSync(path.join(dir, 'deck.csv'), 'word,definition\nlibro,book\n');
+    json('import', 'deck.csv', '--lang', 'es');
+    assert.deepEqual(json('cache', 'inspect', '--saved', '--word', 'libro').entries.map(e => e.definition), ['book']);
+    assert.equal(syntagma('cache', 'clear', '--saved').status, 1);
+    assert.equal(json('cache', 'clear', '--saved', '--yes').removed, 1);
+    assert.equal(json('cache', 'clear').store, 'senses');
+});
+
+test('stats counts a word as known from step 6 on, as the dashboard does', () => {
+    fs.writeFileSync(path.join(dir, 'known.csv'), 'word,interval\nsole,120\nluna,0\n');
+    json('import', 'known.csv', '--lang', 'it');
+    const { vocabulary } = json('stats', '--lang', 'it');
+    assert.equal(vocabulary.words, 2);
+    assert.equal(vocabulary.known, 1);
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { measureCoverage, buildRepairInstruction } = require('../generation/coverage');
+
+const lemmas = { comí: 'comer', gatos: 'gato', di: 'dar' };
+const lemmaOf = (w) => lemmas[w] || w;
+
+test('scheduled words count as present in any form', () => {
+    const coverage = measureCoverage('Ayer comí con los gatos y me di cuenta de todo.', 'es', {
+        review: ['comer', 'gato', 'perro'],
+        target: ['cuenta', 'ratón']
+    }, lemmaOf);
+    assert.deepEqual(coverage.review, { present: ['comer', 'gato'], missing: ['perro'] });
+    assert.deepEqual(coverage.target, { present: ['cuenta'], missing: ['ratón'] });
+    assert.equal(coverage.ratio, 3 / 5);
+});
+
+test('expressions count as present with their words together, in any form', () => {
+    const coverage = measureCoverage('Ayer me di cuenta de que no tengo tiempo. Tener. Que.', 'es', {
+        review: [],
+        target: ['darse cuenta', 'tener que']
+    }, lemmaOf);
+    assert.deepEqual(coverage.target, { present: ['darse cuenta'], missing: ['tener que'] });
+    assert.equal(coverage.ratio, 1 / 2);
+});
+
+test('words are matched whole, not inside other words', () => {
+    const coverage = measureCoverage('La casita es pequeña.', 'es', { review: ['casa'], target: [] });
+    assert.deepEqual(coverage.review.missing, ['casa']);
+    assert.equal(coverage.ratio, 0);
+});
+
+test('a passage with nothing scheduled is fully covered', () => {
+    assert.equal(measureCoverage('Hola.', 'es', { review: [], target: [] }).ratio, 1);
+});
+
+test('the repair instruction names every missing word, review and target', () => {
+    const coverage = measureCoverage('El perro come.', 'es', { review: ['perro', 'gato'], target: ['ratón'] });
+    const instruction = buildRepairInstruction(coverage);
+    assert.match(instruction, /left out these required words: gato, ratón\./);
+    assert.doesNotMatch(instruction, /perro/);
+});
@@ -0,0 +1,148 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const axios = require('axios');
+const { createDictionary } = require('../dictionaries');
+
+// Loads and fallbacks are reported on the console.
+require('../logger').setLogger(null);
+console.error = () => {};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'syntagma-dict-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A StarDict dictionary "<pair>.ifo/.idx/.dict" from { headword: data }, in the order given.
+const starDict = (pair, entries, info, { gzipIndex = false } = {}) => {
+    const index = [];
+    const data = [];
+    let offset = 0;
+    Object.entries(entries).forEach(([headword, entry]) => {
+        const position = Buffer.alloc(8);
+        position.writeUInt32BE(offset, 0);
+        position.writeUInt32BE(entry.length, 4);
+        index.push(Buffer.from(headword + '\0', 'utf8'), position);
+        data.push(entry);
+        offset += entry.length;
+    });
+    const idx = Buffer.concat(index);
+    fs.writeFileSync(path.join(dir, `${pair}.ifo`), `StarDict's dict ifo file\nversion=2.4.2\nwordcount=${index.length / 2}\n${info}\n`);
+    fs.writeFileSync(path.join(dir, `${pair}.idx${gzipIndex ? '.gz' : ''}`), gzipIndex ? zlib.gzipSync(idx) : idx);
+    fs.writeFileSync(path.join(dir, `${pair}.dict`), Buffer.concat(data));
+};
+
+starDict('es-en', {
+    casa: Buffer.from('house\nhome'),
+    'de nuevo': Buffer.from('again'),
+    perro: Buffer.from('dog')
+}, 'sametypesequence=m');
+
+// Without sametypesequence each piece carries its type; upper-case types are binary.
+const picture = Buffer.alloc(9);
+picture.write('P', 0);
+picture.writeUInt32BE(4, 1);
+starDict('de-en', {
+    Haus: Buffer.concat([Buffer.from('h<b>house</b><br>building\0'), picture, Buffer.from('mhome\0')])
+}, 'idxoffsetbits=32', { gzipIndex: true });
+
+fs.writeFileSync(path.join(dir, 'it-en.jsonl'), [
+    { word: 'banco', pos: 'noun', senses: [{ glosses: ['bench'], examples: [{ text: 'Siedo sul banco.' }] }, { glosses: ['furniture', 'counter'] }] },
+    { word: 'banchi', pos: 'noun', senses: [{ glosses: ['plural of banco'], form_of: [{ word: 'banco' }] }] },
+    { word: 'a meno che', pos: 'conj', senses: [{ glosses: ['unless'] }] },
+    { word: 'vuoto', pos: 'adj', senses: [{ tags: ['no-gloss'] }] }
+].map(entry => JSON.stringify(entry)).join('\n') + '\nnot json\n');
+
+fs.writeFileSync(path.join(dir, 'fr-en.tsv'), 'maison\thouse\\nhome\nsans tabulation\nchat\tcat\n');
+
+const offline = createDictionary({ providers: ['offline'], dir });
+const define = (word, sourceLang, extra = {}) => offline.define({ word, sourceLang, glossLang: 'en', ...extra });
+
+test('StarDict dictionaries are read from their .ifo, .idx and .dict', async () => {
+    assert.deepEqual(await define('casa', 'es'), {
+        lemma: 'casa', partOfSpeech: null, sense: 'house', definition: 'house',
+        senses: [{ partOfSpeech: null, gloss: 'house' }, { partOfSpeech: null, gloss: 'home' }],
+        example: null, provider: 'offline', contextual: false
+    });
+    assert.equal((await define('perro', 'es')).sense, 'dog');
+    // Multi-word headwords are keyed like tracked expressions.
+    assert.equal((await define('de nuevo', 'es')).sense, 'again');
+    assert.equal(await define('gato', 'es'), null);
+});
+
+test('StarDict pieces are typed, HTML is stripped, binary pieces skipped and a gzipped index read', async () => {
+    const entry = await define('haus', 'de');
+    assert.equal(entry.lemma, 'Haus');
+    assert.deepEqual(entry.senses.map(s => s.gloss), ['house', 'building', 'home']);
+});
+
+test('Wiktextract dumps give parts of speech, examples and the lemma of inflected forms', async () => {
+    const banco = await define('banco', 'it');
+    assert.equal(banco.partOfSpeech, 'noun');
+    assert.deepEqual(banco.senses.map(s => s.gloss), ['bench', 'counter']);
+    assert.equal(banco.example, 'Siedo sul banco.');
+
+    const banchi = await define('banchi', 'it');
+    assert.equal(banchi.lemma, 'banco');
+    assert.equal(banchi.definition, 'plural of banco');
+    assert.equal(banchi.sense, 'bench');
+
+    // Our lemma guess is tried when the form itself isn't listed.
+    assert.equal((await define('banchetti', 'it', { lemma: 'banco' })).sense, 'bench');
+    assert.equal(await define('vuoto', 'it'), null);
+});
+
+test('tab-separated files split a definition on its escaped line breaks', async () => {
+    assert.deepEqual((await define('maison', 'fr')).senses.map(s => s.gloss), ['house', 'home']);
+    assert.equal((await define('chat', 'fr')).sense, 'cat');
+    assert.equal(await define('sans', 'fr'), null);
+});
+
+test('a language pair without a file has no answers', async () => {
+    assert.equal(await define('casa', 'pt'), null);
+    assert.equal(await offline.define({ word: 'casa', sourceLang: 'es', glossLang: 'de' }), null);
+});
+
+test('unknown dictionary backends are refused', () => {
+    assert.throws(() => createDictionary({ providers: ['offline', 'wiki'], dir }), /Unknown DICTIONARY_PROVIDERS "wiki"/);
+    assert.throws(() => createDictionary({ providers: [], dir }), /Unknown DICTIONARY_PROVIDERS/);
+});
+
+test('definitions fall back from the offline files to the model to MyMemory', async () => {
+    const asked = [];
+    const llm = {
+        label: 'stub',
+        async complete(prompt, request) {
+            asked.push(request.word);
+            if (request.word === 'roto') throw new Error('model down');
+            if (request.word === 'raro') return 'no idea';
+            if (request.word === 'nada' || request.word === 'perdido') return '```json\n{"lemma": "nada"}\n```';
+            return '```json\n{"lemma": "gato", "partOfSpeech": "noun", "sense": "cat", "definition": "a small feline"}\n```';
+        }
+    };
+    const { get } = axios;
+    axios.get = async (url) => ({ data: { responseData: { translatedText: url.includes('q=perdido') ? '' : 'broken' } } });
+    try {
+        const chain = createDictionary({ providers: ['offline', 'llm', 'mymemory'], dir }, { llm });
+        const request = (word) => chain.define({ word, sourceLang: 'es', glossLang: 'en', sentence: `El ${word} está aquí.` });
+
+        assert.deepEqual(await request('casa').then(e => [e.provider, e.sense, e.contextual]), ['offline', 'house', false]);
+        assert.deepEqual(asked, []);
+        assert.deepEqual(await request('gato'), {
+            lemma: 'gato', partOfSpeech: 'noun', sense: 'cat', definition: 'a small feline', provider: 'llm', contextual: true
+        });
+        // A failing model, an unreadable reply or an empty entry each move on to MyMemory.
+        for (const word of ['roto', 'raro', 'nada']) {
+            assert.deepEqual(await request(word).then(e => [e.provider, e.sense, e.contextual]), ['mymemory', 'broken', false]);
+        }
+        assert.equal(await request('perdido'), null);
+        assert.deepEqual(asked, ['gato', 'roto', 'raro', 'nada', 'perdido']);
+
+        assert.equal(chain.standsForContext('offline'), true);
+        assert.equal(chain.standsForContext('mymemory'), false);
+        assert.equal(chain.label, 'offline → llm → mymemory');
+    } finally {
+        axios.get = get;
+    }
+});
@@ -0,0 +1,179 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { parseImport } = require('../importers');
+const { parseDelimited, detectDelimiter } = require('../importers/csv');
+const { parseBook, readEpub } = require('../importers/book');
+
+// A stored (uncompressed) zip of `files` { name: Buffer }; the reader doesn't check CRCs.
+const zip = (files) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    Object.entries(files).forEach(([name, data]) => {
+        const nameBytes = Buffer.from(name, 'utf8');
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBytes, data);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + data.length;
+    });
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+};
+
+// An Anki collection with one note type (Front, Back) and the given notes and cards.
+const CREATED = 1700000000;
+const collection = (notes) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'syntagma-deck-'));
+    const file = path.join(dir, 'collection.anki2');
+    const db = new Database(file);
+    db.exec(`
+        CREATE TABLE col (crt INTEGER, models TEXT);
+        CREATE TABLE notes (id INTEGER, mid INTEGER, flds TEXT);
+        CREATE TABLE cards (nid INTEGER, ord INTEGER, type INTEGER, queue INTEGER, ivl INTEGER, due INTEGER, reps INTEGER, lapses INTEGER);
+    `);
+    db.prepare('INSERT INTO col VALUES (?, ?)').run(CREATED, JSON.stringify({ 1: { flds: [{ name: 'Front' }, { name: 'Back' }] } }));
+    notes.forEach(({ fields, card }, i) => {
+        db.prepare('INSERT INTO notes VALUES (?, 1, ?)').run(i + 1, fields.join('\x1f'));
+        db.prepare('INSERT INTO cards VALUES (?, 0, ?, ?, ?, ?, ?, ?)').run(i + 1, card.type, card.queue, card.ivl, card.due, card.reps, card.lapses);
+    });
+    db.close();
+    const content = fs.readFileSync(file);
+    fs.rmSync(dir, { recursive: true, force: true });
+    return content;
+};
+
+test('CSV fields may be quoted, with delimiters, newlines and doubled quotes inside', () => {
+    assert.deepEqual(parseDelimited('a,"b, c","say ""hi""\nthere"\r\n\r\nd,e,f\n'), [['a', 'b, c', 'say "hi"\nthere'], ['d', 'e', 'f']]);
+    assert.equal(detectDelimiter('word\tdefinition\n'), '\t');
+    assert.equal(detectDelimiter('word;definition;example\n'), ';');
+    assert.equal(detectDelimiter('word,definition\n'), ',');
+});
+
+test('CSV columns are mapped by their header names, or the first two are word and definition', () => {
+    const named = parseImport({ content: 'Meaning;Term;Interval;Next review\nhouse;casa;12;2026-03-01\n' });
+    assert.deepEqual(named.mapping, { word: 1, definition: 0, example: null, interval: 2, due: 3 });
+    assert.deepEqual(named.records, [{
+        word: 'casa', definition: 'house', example: null,
+        schedule: { interval: 12, nextReview: '2026-03-01T00:00:00.000Z', reads: 0, lookups: 0 }
+    }]);
+
+    const plain = parseImport({ content: 'perro\tdog\n', hasHeader: false });
+    assert.deepEqual(plain.header, ['Column 1', 'Column 2']);
+    assert.deepEqual(plain.records.map(r => [r.word, r.definition, r.schedule]), [['perro', 'dog', null]]);
+
+    const chosen = parseImport({ content: 'a,b,c\nuno,one,1\n', mapping: { word: 0, definition: null, example: 1 } });
+    assert.deepEqual(chosen.records[0], { word: 'uno', definition: null, example: 'one', schedule: null });
+
+    assert.throws(() => parseImport({ format: 'xlsx', content: '' }), /Unknown import format "xlsx"/);
+});
+
+test('.apkg decks are read with their field names, plain text and card schedules', () => {
+    const deck = zip({
+        'collection.anki2': collection([
+            { fields: ['<b>casa</b>', 'house<br>home'], card: { type: 2, queue: 2, ivl: 30, due: 100, reps: 5, lapses: 1 } },
+            { fields: ['perro [sound:perro.mp3]', 'dog &amp; hound'], card: { type: 0, queue: 0, ivl: 0, due: 2, reps: 0, lapses: 0 } }
+        ]),
+        media: Buffer.from('{}')
+    });
+    const parsed = parseImport({ format: 'apkg', content: deck.toString('base64') });
+    assert.deepEqual(parsed.header, ['Front', 'Back']);
+    assert.deepEqual(parsed.records, [
+        {
+            word: 'casa', definition: 'house\nhome', example: null,
+            schedule: { interval: 30, nextReview: new Date((CREATED + 100 * 86400) * 1000).toISOString(), reads: 4, lookups: 1 }
+        },
+        { word: 'perro', definition: 'dog & hound', example: null, schedule: null }
+    ]);
+});
+
+test('.apkg files that cannot be read say why', () => {
+    const read = (files) => () => parseImport({ format: 'apkg', content: zip(files).toString('base64') });
+    assert.throws(read({ 'collection.anki21b': Buffer.alloc(4), 'collection.anki2': Buffer.alloc(4) }), /Support older Anki versions/);
+    assert.throws(read({ media: Buffer.from('{}') }), /No Anki collection/);
+    assert.throws(() => parseImport({ format: 'apkg', content: Buffer.from('not a zip').toString('base64') }), /Not a zip archive/);
+});
+
+test('.apkg files that cannot be read leave no scratch files behind', () => {
+    const scratch = () => fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('syntagma-apkg-')).length;
+    const before = scratch();
+    assert.throws(() => parseImport({ format: 'apkg', content: zip({ media: Buffer.from('{}') }).toString('base64') }), /No Anki collection/);
+    assert.equal(scratch(), before);
+});
+
+// An EPUB whose package lists `chapters` { id: html } in the manifest in one order and the spine in another.
+const epub = (chapters, spine) => zip({
+    mimetype: Buffer.from('application/epub+zip'),
+    'META-INF/container.xml': Buffer.from('<container><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>'),
+    'OEBPS/content.opf': Buffer.from(`<package><metadata><dc:title>Contes &amp; l&#233;gendes</dc:title></metadata><manifest>
+        ${Object.keys(chapters).map(id => `<item id="${id}" href="text/${id}.xhtml" media-type="application/xhtml+xml"/>`).join('\n')}
+        <item id="css" href="style.css" media-type="text/css"/>
+    </manifest><spine>${spine.map(id => `<itemref idref="${id}"/>`).join('')}<itemref idref="css"/></spine></package>`),
+    ...Object.fromEntries(Object.entries(chapters).map(([id, html]) => [`OEBPS/text/${id}.xhtml`, Buffer.from(html)])),
+    'OEBPS/style.css': Buffer.from('p { margin: 0 }')
+});
+
+const page = (body, title = '') => `<?xml version="1.0"?><html><head><title>${title}</title><style>p { color: red }</style></head><body>${body}</body></html>`;
+
+test('EPUB chapters are read in spine order as plain text', () => {
+    const book = readEpub(epub({
+        one: page('<h1>Le <em>début</em></h1><p>Il était une fois&nbsp;un roi.</p><p>Il avait<br/>trois filles.</p>'),
+        two: page('<div><p>La fin &#8212; enfin.</p></div>', 'Épilogue'),
+        cover: page('<img src="cover.jpg"/>')
+    }, ['cover', 'two', 'one']));
+
+    assert.equal(book.title, 'Contes & légendes');
+    assert.deepEqual(book.chapters, [
+        { title: 'Épilogue', text: 'La fin — enfin.' },
+        { title: 'Le début', text: 'Le début\n\nIl était une fois un roi.\n\nIl avait trois filles.' }
+    ]);
+});
+
+test('EPUBs that cannot be read say why', () => {
+    const read = (files) => () => readEpub(zip(files));
+    assert.throws(read({ mimetype: Buffer.from('application/epub+zip') }), /META-INF\/container.xml is missing/);
+    assert.throws(read({ 'META-INF/container.xml': Buffer.from('<rootfile full-path="book.opf"/>') }), /package file is missing/);
+    assert.throws(() => readEpub(epub({ cover: page('<img src="cover.jpg"/>') }, ['cover'])), /no readable text/);
+});
+
+test('long chapters are split into parts between paragraphs, or between sentences when one is too long', () => {
+    const paragraph = (n) => Array.from({ length: n }, (_, i) => `palabra${i}`).join(' ') + '.';
+    const book = parseBook({
+        format: 'epub',
+        content: epub({
+            one: page(`<h2>Uno</h2><p>${paragraph(4)}</p><p>${paragraph(4)}</p><p>${paragraph(3)}</p>`),
+            two: page(`<p>${paragraph(5)} ${paragraph(5)} ${paragraph(2)}</p>`)
+        }, ['one', 'two']).toString('base64'),
+        langCode: 'es',
+        maxWords: 10
+    });
+
+    assert.equal(book.title, 'Contes & légendes');
+    assert.deepEqual(book.parts.map(p => [p.title, p.words]), [
+        ['Uno · 1/2', 9],
+        ['Uno · 2/2', 3],
+        ['Chapter 2 · 1/2', 10],
+        ['Chapter 2 · 2/2', 2]
+    ]);
+    assert.equal(book.parts[0].text, `Uno\n\n${paragraph(4)}\n\n${paragraph(4)}`);
+    assert.equal(book.parts[2].text, `${paragraph(5)}\n\n${paragraph(5)}`);
+});
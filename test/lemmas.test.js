@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveLemma } = require('../lemmas');
+
+test('ordinary words are not rewritten into lemmas that do not exist', () => {
+    const unchanged = {
+        es: ['cuando', 'contraste', 'desastre', 'mando'],
+        fr: ['société', 'liberté', 'café', 'année', 'idée', 'journée', 'chez', 'arrive', 'assez', 'naïve']
+    };
+    Object.entries(unchanged).forEach(([langCode, words]) => {
+        words.forEach(word => assert.equal(resolveLemma(word, langCode), word, `${langCode} ${word}`));
+    });
+});
+
+test('unambiguous endings and irregular forms still resolve', () => {
+    assert.equal(resolveLemma('hablaron', 'es'), 'hablar');
+    assert.equal(resolveLemma('comí', 'es', w => w === 'comer'), 'comer');
+    assert.equal(resolveLemma('tuve', 'es'), 'tener');
+    assert.equal(resolveLemma('finissons', 'fr'), 'finir');
+    assert.equal(resolveLemma('est', 'fr'), 'être');
+});
+
+test('an ambiguous ending is used once its lemma is tracked', () => {
+    const known = new Set(['cantar', 'arriver', 'parler']);
+    assert.equal(resolveLemma('cantando', 'es', w => known.has(w)), 'cantar');
+    assert.equal(resolveLemma('arrivée', 'fr', w => known.has(w)), 'arriver');
+    assert.equal(resolveLemma('parlez', 'fr', w => known.has(w)), 'parler');
+    assert.equal(resolveLemma('cantando', 'es'), 'cantando');
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPrefetcher, queueDrift } = require('../generation/prefetch');
+
+// The prefetcher reports what it does in the server log.
+require('../logger').setLogger(null);
+console.error = () => {};
+
+const request = { level: 'B1', profile: 'narrative', topic: '' };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// `queue` is what predict() answers; each generate() call is recorded with the queue it was given.
+const setup = (options = {}) => {
+    const state = { queue: { review: ['a', 'b', 'c', 'd', 'e'], target: [] }, generated: [] };
+    const prefetcher = createPrefetcher({
+        predict: () => state.queue,
+        generate: async (userId, langCode, req, queue) => {
+            state.generated.push(queue);
+            if (options.fail) throw new Error('model down');
+            return { passage: `passage ${state.generated.length}` };
+        },
+        tolerance: 0.2,
+        delayMs: 5,
+        ...options
+    });
+    return { prefetcher, state };
+};
+
+test('queue drift is the share of words not in both queues', () => {
+    assert.equal(queueDrift({ review: ['a', 'b'], target: ['c'] }, { review: ['c', 'a'], target: ['b'] }), 0);
+    assert.equal(queueDrift({ review: ['a', 'b', 'c'], target: [] }, { review: ['a', 'b', 'd'], target: [] }), 0.5);
+    assert.equal(queueDrift({ review: ['a'], target: [] }, { review: ['b'], target: [] }), 1);
+    assert.equal(queueDrift({ review: [], target: [] }, { review: [], target: [] }), 0);
+});
+
+test('the prefetched passage is served once, for the same request and queue', async () => {
+    const { prefetcher, state } = setup();
+    prefetcher.start('u1', 'es', request);
+    assert.equal(prefetcher.has('u1', 'es'), true);
+    assert.deepEqual(await prefetcher.take('u1', 'es', request, state.queue), { passage: 'passage 1' });
+    assert.equal(await prefetcher.take('u1', 'es', request, state.queue), null);
+
+    prefetcher.start('u1', 'es', request);
+    assert.equal(await prefetcher.take('u1', 'es', { ...request, level: 'C1' }, state.queue), null);
+    prefetcher.start('u1', 'es', request);
+    assert.equal(await prefetcher.take('u1', 'es', request, { review: ['x', 'y', 'z', 'a', 'b'], target: [] }), null);
+    assert.equal(await prefetcher.take('u2', 'es', request, state.queue), null);
+});
+
+test('lookups within the tolerance keep the prefetch', async () => {
+    const { prefetcher, state } = setup();
+    state.queue = { review: ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'], target: [] };
+    prefetcher.start('u1', 'es', request);
+    // One new word among eleven: a drift of 1/11.
+    state.queue = { review: [...state.queue.review, 'k'], target: [] };
+    prefetcher.refresh('u1', 'es');
+    assert.equal(state.generated.length, 1);
+    assert.deepEqual(await prefetcher.take('u1', 'es', request, state.queue), { passage: 'passage 1' });
+});
+
+test('lookups that reshuffle the queue drop the prefetch and rebuild it once they stop', async () => {
+    const { prefetcher, state } = setup();
+    prefetcher.start('u1', 'es', request);
+    state.queue = { review: ['a', 'b', 'x', 'y', 'z'], target: [] };
+    prefetcher.refresh('u1', 'es');
+    prefetcher.refresh('u1', 'es');
+    assert.equal(await prefetcher.take('u1', 'es', request, state.queue), null);
+
+    prefetcher.refresh('u1', 'es');
+    await sleep(20);
+    // Only one rebuild, for the queue as it is now.
+    assert.equal(state.generated.length, 2);
+    assert.deepEqual(state.generated[1], state.queue);
+    assert.deepEqual(await prefetcher.take('u1', 'es', request, state.queue), { passage: 'passage 2' });
+});
+
+test('a failed prefetch means generating live, and a disabled prefetcher does nothing', async () => {
+    const failing = setup({ fail: true });
+    failing.prefetcher.start('u1', 'es', request);
+    assert.equal(await failing.prefetcher.take('u1', 'es', request, failing.state.queue), null);
+
+    const disabled = setup({ enabled: false });
+    disabled.prefetcher.start('u1', 'es', request);
+    assert.equal(disabled.prefetcher.has('u1', 'es'), false);
+    assert.equal(disabled.state.generated.length, 0);
+});
@@ -0,0 +1,67 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadProfiles, renderPrompt, queueLimits, validateTemplate, PLACEHOLDERS } = require('../prompts');
+const { PROFILES } = require('../prompts/profiles');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'syntagma-prompts-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const story = PROFILES.narrative;
+const withTemplate = (text, overrides = {}) => {
+    fs.writeFileSync(path.join(dir, 'story.txt'), text);
+    return () => loadProfiles({ profiles: { narrative: { ...story, template: 'story.txt', ...overrides } }, languages: {}, dir });
+};
+
+test('every bundled template loads for every language it is configured for', () => {
+    const profiles = loadProfiles();
+    assert.deepEqual(profiles.ids('es'), Object.keys(PROFILES));
+    profiles.list('ja').forEach(profile => assert.ok(profile.text.includes('{NEW_WORDS_LIST}'), profile.id));
+});
+
+test('a template with an unknown placeholder is refused when it is loaded', () => {
+    assert.throws(withTemplate('{REVIEW_WORDS_LIST} {NEW_WORDS_LIST} {WORD_COUNT}'),
+        /Prompt template "story.txt" has unknown placeholders \{WORD_COUNT\}/);
+    assert.throws(() => validateTemplate('inline', '{REVIEW_WORDS_LIST} {NEW_WORDS_LIST} {TOPIK} {TOPIK}'), /unknown placeholders \{TOPIK\}\./);
+    // Braces that aren't placeholders (the JSON the model is asked for) are left alone.
+    assert.doesNotThrow(() => validateTemplate('inline', '{REVIEW_WORDS_LIST} {NEW_WORDS_LIST} { "passage": "..." } {lower}'));
+});
+
+test('a template without the scheduled word lists is refused', () => {
+    assert.throws(withTemplate('Write about {TOPIC}. New words: {NEW_WORDS_LIST}.'), /Prompt template "story.txt" is missing \{REVIEW_WORDS_LIST\}$/);
+    assert.throws(() => validateTemplate('inline', 'Write about {TOPIC}.'), /is missing \{REVIEW_WORDS_LIST\}, \{NEW_WORDS_LIST\}/);
+});
+
+test('profiles with impossible settings are refused', () => {
+    const template = '{REVIEW_WORDS_LIST} {NEW_WORDS_LIST}';
+    assert.throws(withTemplate(template, { topics: [] }), /Prompt profile "\*\/narrative": needs at least one topic/);
+    assert.throws(withTemplate(template, { length: { min: 500, max: 400 } }), /length needs 0 < min <= max/);
+    assert.throws(withTemplate(template, { budget: { review: 10, target: 5, total: 0, reinforce: 0.5 } }), /budget review, target and total/);
+});
+
+test('a placeholder used more than once is filled in every time', () => {
+    const profiles = withTemplate('{LANGUAGE_NAME} at {USER_LEVEL}. Review: {REVIEW_WORDS_LIST}. New: {NEW_WORDS_LIST}. ' +
+                                  'Only {LANGUAGE_NAME}, only {USER_LEVEL}, glossed in {GLOSS_LANGUAGE}.')();
+    const prompt = renderPrompt(profiles.get('es', 'narrative'), {
+        langCode: 'es', level: 'B2', topic: 'travel', glossLang: 'de', queue: { review: ['casa', 'perro'], target: [] }
+    });
+    assert.equal(prompt, 'Spanish at B2. Review: casa, perro. New: None. Only Spanish, only B2, glossed in German.');
+});
+
+test('every placeholder has a value when a prompt is rendered', () => {
+    const profiles = withTemplate(PLACEHOLDERS.map(p => `{${p}}`).join('|'))();
+    const prompt = renderPrompt(profiles.get('fr', 'narrative'), {
+        langCode: 'fr', level: 'A2', topic: 'food', glossLang: 'en', queue: { review: [], target: ['pain'] }
+    });
+    assert.doesNotMatch(prompt, /\{|undefined/);
+    assert.match(prompt, /^fr\|French\|A2\|narrative\|food\|700\|750\|words\|INTRODUCTION/);
+});
+
+test('reviews fill the budget first and new words take what is left', () => {
+    const budget = { review: 60, target: 30, total: 75 };
+    assert.deepEqual(queueLimits({ budget }, 10), { review: 10, target: 30 });
+    assert.deepEqual(queueLimits({ budget }, 50), { review: 50, target: 25 });
+    assert.deepEqual(queueLimits({ budget }, 200), { review: 60, target: 15 });
+});
@@ -0,0 +1,165 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createProvider, getProviderConfig, parsePassageJSON, parseModelJSON, extractPartialPassage } = require('../providers');
+
+// Parse failures are logged before they're thrown.
+console.error = () => {};
+
+const context = { langCode: 'es', level: 'A2', reviewWords: ['casa', 'perro'], newWords: ['gato'] };
+
+test('the provider is picked by LLM_PROVIDER, with its default model', () => {
+    assert.deepEqual(getProviderConfig({ LLM_PROVIDER: 'OpenAI', OPENAI_API_KEY: 'k' }), {
+        provider: 'openai', model: 'llama3.1', temperature: 0.8, maxTokens: 2048, apiKey: 'k', baseUrl: 'http://localhost:11434/v1'
+    });
+    assert.equal(getProviderConfig({ LLM_TEMPERATURE: '0', LLM_MODEL: 'pro' }).temperature, 0);
+    assert.equal(createProvider(getProviderConfig({ LLM_PROVIDER: 'mock' })).name, 'mock');
+    assert.throws(() => createProvider(getProviderConfig({ LLM_PROVIDER: 'claude' })), /Unknown LLM_PROVIDER "claude"/);
+});
+
+test('the mock provider writes the scheduled words out, the same way every time', async () => {
+    const mock = createProvider(getProviderConfig({ LLM_PROVIDER: 'mock' }));
+    const result = await mock.generatePassage('prompt', context);
+    assert.deepEqual(result, { passage: 'Casa perro gato.', glossary: { gato: '[mock] gato' } });
+    assert.deepEqual(await mock.generatePassage('another prompt', context), result);
+    assert.equal((await mock.generatePassage('prompt', { langCode: 'fr' })).passage, 'Mock passage (fr, B1).');
+});
+
+test('model replies are parsed with or without markdown fences', () => {
+    const reply = { passage: 'Hola.', glossary: { hola: 'hello' } };
+    assert.deepEqual(parsePassageJSON(JSON.stringify(reply)), reply);
+    assert.deepEqual(parsePassageJSON('```json\n' + JSON.stringify(reply) + '\n```'), reply);
+    assert.deepEqual(parsePassageJSON('  ```\n' + JSON.stringify(reply) + '```  '), reply);
+    assert.throws(() => parsePassageJSON('Sure! Here is your passage: {"passage": "Hola."'), /AI returned invalid JSON/);
+    assert.throws(() => parsePassageJSON(''), /AI returned invalid JSON/);
+    assert.throws(() => parsePassageJSON('{"glossary": {}}'), /missing 'passage'/);
+});
+
+test('any model reply is parsed as JSON, fenced or not', () => {
+    assert.deepEqual(parseModelJSON('```json\n{"sense": "bench"}\n```'), { sense: 'bench' });
+    assert.deepEqual(parseModelJSON('[1, 2]'), [1, 2]);
+    assert.throws(() => parseModelJSON('{"sense": "bench"'), /AI returned invalid JSON/);
+    assert.throws(() => parseModelJSON(undefined), /AI returned invalid JSON/);
+});
+
+test('the mock provider answers dictionary requests with a placeholder entry', async () => {
+    const mock = createProvider(getProviderConfig({ LLM_PROVIDER: 'mock' }));
+    const reply = await mock.complete('prompt', { word: 'banco', lemma: 'banco', glossLang: 'fr', sentence: 'En el banco.' });
+    assert.deepEqual(parseModelJSON(reply), {
+        lemma: 'banco', partOfSpeech: 'unknown', sense: '[mock fr] banco', definition: '[mock fr] banco, as used in: En el banco.'
+    });
+});
+
+test('the mock quiz cuts cloze questions for scheduled words, whatever characters they contain', async () => {
+    const mock = createProvider(getProviderConfig({ LLM_PROVIDER: 'mock' }));
+    const reply = await mock.complete('prompt', { task: 'quiz', passage: 'Me gusta c++. El Gato duerme.', words: ['c++', 'gato', 'perro'], count: 3 });
+    assert.deepEqual(parseModelJSON(reply).questions, [
+        { type: 'cloze', word: 'c++', question: 'Me gusta ___.', answer: 'c++' },
+        { type: 'cloze', word: 'gato', question: 'El ___ duerme.', answer: 'Gato' },
+        { type: 'comprehension', word: 'c++', question: 'Which word appears in the passage?', options: ['c++', 'zzyzx'], answer: 0 }
+    ]);
+});
+
+test('a passage still arriving is decoded as far as it goes', () => {
+    assert.equal(extractPartialPassage(''), '');
+    assert.equal(extractPartialPassage('```json\n{"passa'), '');
+    assert.equal(extractPartialPassage('{"passage": "Hola, '), 'Hola, ');
+    assert.equal(extractPartialPassage('{"passage":"Dijo \\"sí\\".\\nFin", "glossary": {}}'), 'Dijo "sí".\nFin');
+    assert.equal(extractPartialPassage('{"passage": "Ma\\u00f1ana'), 'Mañana');
+    // Half an escape waits for the rest.
+    assert.equal(extractPartialPassage('{"passage": "Ma\\u00'), 'Ma');
+    assert.equal(extractPartialPassage('{"passage": "Hola\\'), 'Hola');
+});
+
+test('the mock provider streams its JSON when asked to', async () => {
+    const mock = createProvider(getProviderConfig({ LLM_PROVIDER: 'mock' }));
+    const received = [];
+    const result = await mock.generatePassage('prompt', context, { onText: text => received.push(text) });
+    assert.ok(received.length > 1);
+    assert.equal(received.at(-1), JSON.stringify(result));
+    assert.ok(received.every((text, i) => i === 0 || text.startsWith(received[i - 1])));
+});
+
+// Gemini is reached through the SDK, which calls fetch.
+const realFetch = globalThis.fetch;
+after(() => { globalThis.fetch = realFetch; });
+
+const gemini = (reply) => {
+    globalThis.fetch = async () => new Response(JSON.stringify(reply.body), { status: reply.status, headers: { 'Content-Type': 'application/json' } });
+    return createProvider(getProviderConfig({ LLM_PROVIDER: 'gemini', GEMINI_API_KEY: 'key' }));
+};
+
+test('Gemini answers are parsed and its failures explained', async () => {
+    const ok = gemini({ status: 200, body: { candidates: [{ content: { parts: [{ text: '```json\n{"passage": "Hola.", "glossary": {}}\n```' }] } }] } });
+    assert.deepEqual(await ok.generatePassage('prompt', context), { passage: 'Hola.', glossary: {} });
+
+    const failures = [
+        [{ status: 400, body: { error: { code: 400, message: 'API key not valid.', status: 'INVALID_ARGUMENT', details: [{ reason: 'API_KEY_INVALID' }] } } }, 'Invalid API Key.'],
+        [{ status: 404, body: { error: { code: 404, message: 'models/nope is not found', status: 'NOT_FOUND' } } }, 'Model not found. Check API key.'],
+        [{ status: 429, body: { error: { code: 429, message: 'You exceeded your current quota.', status: 'RESOURCE_EXHAUSTED' } } }, 'API quota exceeded.']
+    ];
+    for (const [reply, message] of failures) {
+        await assert.rejects(gemini(reply).generatePassage('prompt', context), { message, code: 'LLM_ERROR' });
+    }
+    const keyless = createProvider(getProviderConfig({ LLM_PROVIDER: 'gemini' }));
+    await assert.rejects(keyless.generatePassage('prompt', context), { message: 'GEMINI_API_KEY not found in .env file', code: 'LLM_ERROR' });
+});
+
+// A local stand-in for an OpenAI-compatible server: answers each request with `reply`.
+// A reply with `chunks` is streamed as server-sent events, one write per chunk.
+let reply;
+const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', async () => {
+        if (!reply.chunks) {
+            res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify(reply.body));
+        }
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const chunk of reply.chunks) {
+            res.write(chunk);
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        res.end();
+    });
+});
+after(() => server.close());
+
+const openai = async () => {
+    if (!server.listening) await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return createProvider(getProviderConfig({ LLM_PROVIDER: 'openai', OPENAI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1/` }));
+};
+
+test('OpenAI-compatible answers are parsed and their failures explained', async () => {
+    const provider = await openai();
+    reply = { status: 200, body: { choices: [{ message: { content: '```json\n{"passage": "Hola.", "glossary": {}}\n```' } }] } };
+    assert.deepEqual(await provider.generatePassage('prompt', context), { passage: 'Hola.', glossary: {} });
+    assert.equal(await provider.complete('prompt', {}, { temperature: 0.2 }), '```json\n{"passage": "Hola.", "glossary": {}}\n```');
+
+    const failures = [
+        [401, {}, 'Invalid API Key.'],
+        [403, {}, 'Invalid API Key.'],
+        [404, {}, 'Model not found. Check LLM_MODEL.'],
+        [429, {}, 'API quota exceeded.'],
+        [500, { error: { message: 'model failed to load' } }, 'model failed to load']
+    ];
+    for (const [status, body, message] of failures) {
+        reply = { status, body };
+        await assert.rejects(provider.generatePassage('prompt', context), { message, code: 'LLM_ERROR' });
+    }
+
+    // Streamed deltas may be split anywhere, even inside an event.
+    const event = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+    const events = event('{"passage": "Ho') + event('la."') + ': keep-alive\n\ndata: {"truncated\n\n' + event(', "glossary": {}}') + 'data: [DONE]\n\n';
+    reply = { chunks: [events.slice(0, 30), events.slice(30, 75), events.slice(75)] };
+    const received = [];
+    assert.deepEqual(await provider.generatePassage('prompt', context, { onText: text => received.push(text) }), { passage: 'Hola.', glossary: {} });
+    assert.deepEqual(received, ['{"passage": "Ho', '{"passage": "Hola."', '{"passage": "Hola.", "glossary": {}}']);
+
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+    const unreachable = createProvider(getProviderConfig({ LLM_PROVIDER: 'openai', OPENAI_BASE_URL: `http://127.0.0.1:${port}/v1` }));
+    await assert.rejects(unreachable.generatePassage('prompt', context), { message: 'LLM endpoint unreachable. Is the local server running?', code: 'LLM_ERROR' });
+});
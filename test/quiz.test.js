@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuiz, publicQuestion, gradeQuiz } = require('../generation/quiz');
+
+const lemmas = { perros: 'perro', come: 'comer', comía: 'comer' };
+const context = { langCode: 'es', words: ['perro', 'comer'], lemmaOf: (w) => lemmas[w] || w };
+
+test('model replies keep only well-formed questions, tied to a key word when they name one', () => {
+    const reply = '```json\n' + JSON.stringify({
+        questions: [
+            { type: 'comprehension', word: 'Perros', question: '¿Quién ladra?', options: ['los perros', 'los gatos', ' '], answer: 'los perros' },
+            { type: 'cloze', word: 'come', question: 'El niño come pan.', answer: 'come' },
+            { type: 'cloze', word: 'casa', question: 'Vive en una ____ grande.', answer: 'casa' },
+            { type: 'comprehension', question: '¿Sí o no?', options: ['sí'], answer: 0 },
+            { type: 'comprehension', question: '¿Cuál?', options: ['a', 'b'], answer: 5 },
+            { type: 'cloze', question: 'Nada que quitar.', answer: 'pan' },
+            { type: 'essay', question: 'Escribe.' }
+        ]
+    }) + '\n```';
+    assert.deepEqual(parseQuiz(reply, context), [
+        { type: 'comprehension', word: 'perro', question: '¿Quién ladra?', options: ['los perros', 'los gatos'], answer: 0 },
+        { type: 'cloze', word: 'comer', question: 'El niño ___ pan.', answer: 'come' },
+        { type: 'cloze', word: null, question: 'Vive en una ___ grande.', answer: 'casa' }
+    ]);
+    assert.deepEqual(parseQuiz('{"questions": "none"}', context), []);
+});
+
+test('readers see questions and options, never the answers', () => {
+    const question = { type: 'comprehension', word: 'perro', question: '¿Quién ladra?', options: ['el perro', 'el gato'], answer: 0 };
+    assert.deepEqual(publicQuestion(question), { type: 'comprehension', question: '¿Quién ladra?', options: ['el perro', 'el gato'] });
+});
+
+test('answers are graded by option, by form, or by another form of the same word', () => {
+    const questions = [
+        { type: 'comprehension', word: 'perro', question: '¿Quién ladra?', options: ['el perro', 'el gato'], answer: 0 },
+        { type: 'cloze', word: 'comer', question: 'El niño ___ pan.', answer: 'come' },
+        { type: 'cloze', word: 'comer', question: 'Ayer ___ mucho.', answer: 'comió' },
+        { type: 'cloze', word: null, question: 'Vive en una ___ grande.', answer: 'casa' },
+        { type: 'comprehension', word: null, question: '¿Cuál?', options: ['a', 'b'], answer: 1 }
+    ];
+    const graded = gradeQuiz(questions, ['0', ' Come ', 'comía', 'Casas', ''], context);
+    assert.deepEqual(graded.results.map(r => r.correct), [true, true, true, false, false]);
+    assert.deepEqual(graded.results.map(r => r.expected), ['el perro', 'come', 'comió', 'casa', 'b']);
+    assert.equal(graded.score, 3);
+    assert.equal(graded.total, 5);
+});
+
+test('missing answers count as wrong', () => {
+    const questions = [{ type: 'cloze', word: null, question: 'Vive en una ___ grande.', answer: 'casa' }];
+    assert.deepEqual(gradeQuiz(questions, null, context).results, [{ index: 0, word: null, given: null, correct: false, expected: 'casa' }]);
+    assert.equal(gradeQuiz(questions, [], context).score, 0);
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler, replayEvents } = require('../schedulers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = new Date('2026-01-01T00:00:00Z');
+const daysLater = (days) => new Date(start.getTime() + days * DAY_MS);
+
+const event = (type, days, extra = {}) => ({
+    type, createdAt: daysLater(days).toISOString(), wasNew: false, wasTarget: false,
+    priorStep: 0, priorInterval: 0, priorNextReview: null, ...extra
+});
+
+test('the scheduler is picked by name and an unknown one is refused', () => {
+    assert.equal(createScheduler('FSRS').name, 'fsrs');
+    assert.equal(createScheduler('classic').name, 'classic');
+    assert.throws(() => createScheduler('leitner'), /Unknown SRS_SCHEDULER "leitner"/);
+});
+
+test('FSRS schedules a word read on first sight at its initial stability', () => {
+    const fsrs = createScheduler('fsrs', {});
+    const card = fsrs.review(null, 'pass', start);
+    // At 90% retention the interval equals the stability.
+    assert.ok(Math.abs(card.interval - card.stability) < 1e-9);
+    assert.ok(card.interval > 7 && card.interval < 21);
+    assert.equal(card.step, 5);
+    assert.equal(card.status, 'learning');
+    assert.equal(card.nextReview, new Date(start.getTime() + card.interval * DAY_MS).toISOString());
+});
+
+test('FSRS grows intervals on passes, more when read late, and fails a lookup back to now', () => {
+    const fsrs = createScheduler('fsrs', {});
+    const first = { ...fsrs.review(null, 'pass', start), lastReview: start.toISOString() };
+
+    const onTime = fsrs.review(first, 'pass', daysLater(first.interval));
+    const late = fsrs.review(first, 'pass', daysLater(first.interval * 3));
+    assert.ok(onTime.interval > first.interval);
+    assert.ok(late.stability > onTime.stability);
+
+    const forgotten = fsrs.review(first, 'lookup', daysLater(first.interval));
+    assert.equal(forgotten.step, 0);
+    assert.equal(forgotten.nextReview, daysLater(first.interval).toISOString());
+    assert.ok(forgotten.stability < first.stability);
+    assert.ok(forgotten.difficulty > first.difficulty);
+});
+
+test('FSRS asks for shorter intervals at a higher retention', () => {
+    const card = { step: 5, interval: 10, stability: 10, difficulty: 5, lastReview: start.toISOString() };
+    const relaxed = createScheduler('fsrs', { FSRS_RETENTION: '0.8' }).review(card, 'pass', daysLater(10));
+    const strict = createScheduler('fsrs', { FSRS_RETENTION: '0.95' }).review(card, 'pass', daysLater(10));
+    assert.equal(relaxed.stability, strict.stability);
+    assert.ok(strict.interval < relaxed.interval);
+});
+
+test('imported schedules keep their due date and earn the rung their interval fits', () => {
+    const due = daysLater(30).toISOString();
+    assert.deepEqual(createScheduler('classic').importCard({ interval: 25, nextReview: due }, start),
+        { step: 6, interval: 21, nextReview: due, status: 'learned', stability: null, difficulty: null });
+    const fsrs = createScheduler('fsrs', {}).importCard({ interval: 25 }, start);
+    assert.equal(fsrs.interval, 25);
+    assert.equal(fsrs.stability, 25);
+    assert.equal(fsrs.nextReview, daysLater(25).toISOString());
+});
+
+
+test('replaying a history starts from the state logged with its first event', () => {
+    const classic = createScheduler('classic');
+    const card = replayEvents([
+        event('pass', 0, { priorStep: 3, priorInterval: 1 }),
+        event('pass', 5)
+    ], classic);
+    assert.equal(card.step, 5);
+    assert.equal(card.lastReview, daysLater(5).toISOString());
+
+    const first = replayEvents([event('pass', 0, { wasNew: true })], classic);
+    assert.equal(first.step, 8);
+});
+
+test('replaying undoes lookups, starts over at resets and drops words that net out to nothing', () => {
+    const classic = createScheduler('classic');
+    const undone = replayEvents([
+        event('pass', 0, { priorStep: 2 }),
+        event('lookup', 1),
+        event('undo', 1)
+    ], classic);
+    assert.equal(undone.step, 3);
+
+    const reset = replayEvents([event('pass', 0, { priorStep: 4 }), event('reset', 2)], classic);
+    assert.equal(reset.step, 0);
+    assert.equal(reset.nextReview, daysLater(2).toISOString());
+
+    assert.equal(replayEvents([event('lookup', 0, { wasNew: true }), event('undo', 0)], classic), null);
+});
+
+test('the same history replays into memory state under FSRS', () => {
+    const history = [event('pass', 0, { wasNew: true }), event('pass', 14), event('lookup', 60), event('pass', 61)];
+    const classic = replayEvents(history, createScheduler('classic'));
+    const fsrs = replayEvents(history, createScheduler('fsrs', {}));
+    assert.equal(classic.stability, null);
+    assert.ok(fsrs.stability > 0 && fsrs.difficulty > 0);
+    assert.equal(classic.step, 1);
+    assert.ok(fsrs.step >= 1);
+});
@@ -0,0 +1,281 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The server as it runs against a real model endpoint: a local stand-in speaking the
+// OpenAI chat API, offline dictionary files and the model as the contextual dictionary.
+require('../logger').setLogger(null);
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'syntagma-test-'));
+fs.writeFileSync(path.join(dir, 'es-en.tsv'), 'casa\thouse\n');
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.LLM_PROVIDER = 'openai';
+process.env.DICTIONARY_PROVIDERS = 'offline,llm';
+process.env.DICTIONARY_DIR = dir;
+process.env.PREFETCH = 'false';
+
+// `answer(prompt)` returns the reply text; with `refuse` set, the endpoint answers with that status instead.
+let answer = () => JSON.stringify({ passage: 'Ciao.', glossary: {} });
+let refuse = null;
+const prompts = [];
+const llm = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const prompt = JSON.parse(body).messages[0].content;
+        prompts.push(prompt);
+        if (refuse) {
+            res.writeHead(refuse, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ error: { message: 'Incorrect API key provided.' } }));
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: answer(prompt) } }] }));
+    });
+});
+
+// Requests are made as `token`'s account; the first account is registered before any test runs.
+let token = null;
+const api = async (method, url, body) => {
+    const headers = body ? { 'Content-Type': 'application/json' } : {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(baseUrl + url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: res.status, body: await res.json() };
+};
+
+const as = (accountToken) => async (method, url, body) => {
+    const mine = token;
+    token = accountToken;
+    try { return await api(method, url, body); } finally { token = mine; }
+};
+
+let db;
+let server;
+let baseUrl;
+
+// The endpoint's port has to be known before the server reads its configuration.
+before(async () => {
+    await new Promise(resolve => llm.listen(0, '127.0.0.1', resolve));
+    process.env.OPENAI_BASE_URL = `http://127.0.0.1:${llm.address().port}/v1`;
+    let app;
+    ({ app, db } = require('../server'));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    token = (await api('POST', '/api/auth/register', { username: 'tester', password: 'correct horse' })).body.token;
+});
+
+after(() => {
+    server.close();
+    llm.close();
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a passage that leaves scheduled words out is re-prompted with the missing ones', async () => {
+    const imported = await api('POST', '/api/import-words', { words: ['sole', 'luna', 'mare'], langCode: 'it', makeTargetList: true });
+    assert.equal(imported.status, 200);
+
+    // The first attempt uses only one of the words, the second all of them.
+    prompts.length = 0;
+    answer = () => JSON.stringify({ passage: prompts.length === 1 ? 'Il sole.' : 'Il sole, la luna e il mare.', glossary: {} });
+    const passage = await api('POST', '/api/generate-passage', { langCode: 'it' });
+    assert.equal(passage.status, 200, JSON.stringify(passage.body));
+    assert.equal(prompts.length, 2);
+    assert.doesNotMatch(prompts[0], /left out/);
+    const missing = prompts[1].match(/left out these required words: (.*?)\./)[1].split(', ');
+    assert.deepEqual(missing.sort(), ['luna', 'mare']);
+    assert.deepEqual(passage.body.coverage.target.missing, []);
+    assert.equal(passage.body.coverage.ratio, 1);
+});
+
+test("a model that fails is answered with 502 LLM_ERROR and what went wrong, streamed or not", async () => {
+    refuse = 401;
+    try {
+        for (const url of ['/api/generate-passage', '/api/generate-passage/stream']) {
+            const failed = await api('POST', url, { langCode: 'it' });
+            assert.equal(failed.status, 502, url);
+            assert.deepEqual(failed.body, { error: 'Invalid API Key.', code: 'LLM_ERROR' });
+        }
+    } finally { refuse = null; }
+});
+
+test('each account sees only its own words, sessions and settings', async () => {
+    const registered = await api('POST', '/api/auth/register', { username: 'second', password: 'another horse' });
+    assert.equal(registered.status, 200);
+    const second = as(registered.body.token);
+    const words = async (request) => (await request('GET', '/api/vocabulary-list?langCode=de')).body.map(w => w.word);
+
+    await api('POST', '/api/import-words', { words: ['haus'], langCode: 'de', makeTargetList: true });
+    await second('POST', '/api/import-words', { words: ['hund'], langCode: 'de' });
+    assert.deepEqual(await words(api), ['haus']);
+    assert.deepEqual(await words(second), ['hund']);
+
+    answer = () => JSON.stringify({ passage: 'Das Haus.', glossary: {} });
+    const passage = await api('POST', '/api/generate-passage', { langCode: 'de' });
+    assert.equal(passage.status, 200, JSON.stringify(passage.body));
+    assert.equal((await api('GET', '/api/load-session?langCode=de')).body.passage, 'Das Haus.');
+    assert.equal((await second('GET', '/api/load-session?langCode=de')).body.passage, null);
+
+    await second('PUT', '/api/settings', { level: 'C1' });
+    assert.equal((await second('GET', '/api/settings')).body.level, 'C1');
+    assert.notEqual((await api('GET', '/api/settings')).body.level, 'C1');
+
+    // Logging out ends that token only.
+    assert.equal((await second('POST', '/api/auth/logout')).status, 200);
+    assert.equal((await second('GET', '/api/settings')).status, 401);
+    assert.equal((await api('GET', '/api/settings')).status, 200);
+});
+
+test('deck imports are planned as new, updated, conflicting, unchanged or skipped rows', async () => {
+    const deck = (content, options = {}) => api('POST', '/api/import-deck', { content, langCode: 'pt', ...options });
+    assert.equal((await deck('word,definition,interval\nlivro,book,21\ncarro,car,\nporta,,\n')).status, 200);
+
+    const incoming = 'word,definition,interval\nlivro,volume,90\ncarro,car,\nporta,door,\nmesa,table,\nMesa,desk,\n,orphan,\n';
+    const preview = await deck(incoming, { dryRun: true });
+    assert.equal(preview.status, 200, JSON.stringify(preview.body));
+    assert.deepEqual(preview.body.summary, { new: 1, updated: 1, conflict: 1, unchanged: 1, skipped: 2 });
+    const row = (word) => preview.body.rows.find(r => r.word === word);
+    assert.deepEqual(row('livro').conflicts, ['schedule']);
+    assert.deepEqual(row('livro').current, { step: 6, interval: 21, definition: 'book' });
+    assert.deepEqual(row('livro').incoming, { step: 7, interval: 90 });
+    assert.deepEqual(row('porta').changes, ['definition']);
+    assert.equal(preview.body.rows.filter(r => r.action === 'skipped').map(r => r.reason).join(' '), 'Duplicate of an earlier row. No word in this row.');
+    assert.equal((await api('GET', '/api/vocabulary-list?langCode=pt')).body.length, 3);
+
+    // Kept conflicts stay conflicts; overwritten ones match the deck afterwards. Saved definitions are
+    // shared between accounts, so the one already there stays.
+    await deck(incoming, { onConflict: 'keep' });
+    assert.equal((await deck(incoming, { dryRun: true })).body.rows.find(r => r.word === 'livro').action, 'conflict');
+    await deck(incoming, { onConflict: 'overwrite' });
+    const after = await deck(incoming, { dryRun: true });
+    assert.deepEqual(after.body.summary, { new: 0, updated: 0, conflict: 0, unchanged: 4, skipped: 2 });
+    assert.equal(after.body.rows.find(r => r.word === 'livro').current.definition, 'book');
+});
+
+test('words passages read as several are imported as those words, or skipped from decks', async () => {
+    await api('POST', '/api/import-words', { words: ['勉強する', '日本語'], langCode: 'ja' });
+    const tracked = (await api('GET', '/api/vocabulary-list?langCode=ja')).body.map(w => w.word).sort();
+    assert.deepEqual(tracked, ['する', '勉強', '日本語'].sort());
+
+    const plan = await api('POST', '/api/import-deck', { content: 'word,definition\n食べる,to eat\n勉強する,to study\n', langCode: 'ja', dryRun: true });
+    assert.deepEqual(plan.body.summary, { new: 1, updated: 0, conflict: 0, unchanged: 0, skipped: 1 });
+    assert.equal(plan.body.rows.find(r => r.action === 'skipped').reason, 'Passages read this as 2 words (勉強, する); give each its own row.');
+});
+
+test("a restore adds only missing definitions, and only for the backup's own words", async () => {
+    await api('POST', '/api/import-deck', { content: 'word,definition\ngato,cat\n', langCode: 'gl' });
+    const other = as((await api('POST', '/api/auth/register', { username: 'restorer', password: 'third horse' })).body.token);
+    const backup = {
+        app: 'syntagma', version: 1, langCode: 'gl', sessions: [],
+        vocabulary: [{ word_text: 'gato' }, { word_text: 'rato' }],
+        translations: [
+            { word: 'gato', target_lang: 'en', translation: 'tomcat' },
+            { word: 'rato', target_lang: 'en', translation: 'mouse' },
+            { word: 'can', target_lang: 'en', translation: 'not a dog' }
+        ]
+    };
+    const restored = await other('POST', '/api/restore', { backup, onConflict: 'overwrite' });
+    assert.equal(restored.status, 200, JSON.stringify(restored.body));
+    assert.equal(restored.body.applied.translations, 1);
+    const saved = (word) => db.prepare("SELECT translation FROM translation_cache WHERE word = ? AND source_lang = 'gl'").pluck().get(word);
+    assert.deepEqual(['gato', 'rato', 'can'].map(saved), ['cat', 'mouse', undefined]);
+});
+
+test('definitions are cached per sentence, and context-free ones for every sentence', async () => {
+    const lookup = (word, sentence) => api('POST', '/api/lookup-word', { word, sentence, langCode: 'es' });
+    prompts.length = 0;
+    answer = (prompt) => JSON.stringify(prompt.includes('dinero')
+        ? { lemma: 'banco', sense: 'bank', definition: 'where money is kept' }
+        : { lemma: 'banco', sense: 'bench', definition: 'a long seat' });
+
+    const park = 'Me senté en el banco del parque.';
+    assert.deepEqual(await lookup('banco', park).then(r => [r.body.definition, r.body.source]), ['bench', 'llm']);
+    assert.deepEqual(await lookup('banco', park).then(r => [r.body.definition, r.body.source]), ['bench', 'llm']);
+    assert.equal(prompts.length, 1);
+    assert.equal((await lookup('banco', 'Fui al banco a sacar dinero.')).body.definition, 'bank');
+    assert.equal(prompts.length, 2);
+
+    // Nothing contextual ranks above the offline files, so their answer does for any sentence.
+    assert.deepEqual(await lookup('casa', 'Mi casa es tu casa.').then(r => [r.body.definition, r.body.source]), ['house', 'offline']);
+    assert.equal((await lookup('casa', 'La casa blanca.')).body.definition, 'house');
+    assert.equal(prompts.length, 2);
+
+    // Definitions are kept per gloss language.
+    await api('PUT', '/api/settings', { glossLang: 'fr' });
+    answer = () => JSON.stringify({ lemma: 'banco', sense: 'banc', definition: 'un long siège' });
+    assert.equal((await lookup('banco', park)).body.definition, 'banc');
+    assert.equal(prompts.length, 3);
+    await api('PUT', '/api/settings', { glossLang: 'en' });
+});
+
+test('a definition asked for in a gloss language is written in it, whatever the setting', async () => {
+    const define = (query) => api('GET', `/api/define?${new URLSearchParams({ word: 'banco', sentence: 'Un banco nuevo.', langCode: 'es', ...query })}`);
+    answer = (prompt) => JSON.stringify(prompt.includes('German')
+        ? { lemma: 'banco', sense: 'Bank', definition: 'eine Sitzgelegenheit' }
+        : { lemma: 'banco', sense: 'bench', definition: 'a long seat' });
+
+    assert.deepEqual(await define({}).then(r => [r.body.definition, r.body.glossLang]), ['bench', 'en']);
+    assert.deepEqual(await define({ glossLang: 'de' }).then(r => [r.body.definition, r.body.glossLang]), ['Bank', 'de']);
+    assert.equal((await define({ glossLang: 'deutsch' })).body.code, 'VALIDATION_FAILED');
+});
+
+test('synced events apply once, however often they are sent', async () => {
+    await api('POST', '/api/import-words', { words: ['chat', 'chien'], langCode: 'fr', makeDueNow: true });
+    answer = () => JSON.stringify({ passage: 'Le chat et le chien.', glossary: {} });
+    const passage = await api('POST', '/api/generate-passage', { langCode: 'fr', quiz: false });
+    assert.equal(passage.status, 200, JSON.stringify(passage.body));
+    const { sessionId } = passage.body;
+    const sync = async (...events) => {
+        const res = await api('POST', '/api/sync', { events: events.map(e => ({ langCode: 'fr', sessionId, ...e })) });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        return res.body.results;
+    };
+    const reviews = () => db.prepare("SELECT event_type FROM review_events WHERE language_code = 'fr' AND word_text = 'chat' ORDER BY event_id")
+        .pluck().all();
+
+    const lookup = { id: 'lookup-chat-1', type: 'lookup', word: 'chat' };
+    const [applied, again] = await sync(lookup, lookup);
+    assert.equal(applied.status, 'applied');
+    assert.deepEqual(again, { ...applied, status: 'duplicate' });
+    assert.equal((await sync(lookup))[0].status, 'duplicate');
+    assert.deepEqual(reviews(), ['lookup']);
+
+    const undo = { id: 'undo-chat-1', type: 'undo', word: 'chat' };
+    assert.deepEqual((await sync(undo, undo)).map(r => r.status), ['applied', 'duplicate']);
+    assert.deepEqual(reviews(), ['lookup', 'undo']);
+
+    const finish = { id: 'finish-fr-1', type: 'finish', words: ['chat', 'chien'] };
+    const [finished] = await sync(finish);
+    assert.equal(finished.status, 'applied');
+    assert.deepEqual(await sync(finish, { ...finish, id: 'finish-fr-2' }), [
+        { ...finished, status: 'duplicate' },
+        { id: 'finish-fr-2', status: 'conflict', reason: 'This session was already finished.' }
+    ]);
+    assert.deepEqual(reviews(), ['lookup', 'undo', 'pass']);
+});
+
+test('an undo takes its lookup back on the day the lookup was made', async () => {
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const sync = (...events) => api('POST', '/api/sync', { events: events.map(e => ({ langCode: 'nl', word: 'huis', ...e })) });
+    const lookedUp = async () => (await api('GET', '/api/stats?langCode=nl&days=2')).body.activity.map(a => a.lookedUp);
+    await sync({ id: 'lookup-huis-1', type: 'lookup', at: yesterday.toISOString() }, { id: 'lookup-huis-2', type: 'lookup' });
+    assert.deepEqual(await lookedUp(), [1, 1]);
+    await sync({ id: 'undo-huis-2', type: 'undo' });
+    assert.deepEqual(await lookedUp(), [1, 0]);
+    await sync({ id: 'undo-huis-1', type: 'undo' });
+    assert.deepEqual(await lookedUp(), [0, 0]);
+});
+
+test("a text's coverage is the share of its words already known, before it is stored", async () => {
+    await api('POST', '/api/import-words', { words: ['gat'], langCode: 'ca' });
+    await api('POST', '/api/import-words', { words: ['gos'], langCode: 'ca', makeTargetList: true });
+
+    const analysis = await api('POST', '/api/texts', { langCode: 'ca', content: 'El gat i el gos. El gat dorm.', dryRun: true });
+    assert.equal(analysis.status, 200, JSON.stringify(analysis.body));
+    assert.deepEqual(analysis.body.coverage, {
+        tokens: 8, known: 2, queued: 1, unknown: 5, ratio: 0.25, distinctUnknown: 3, unknownWords: [{ word: 'el', count: 3 }]
+    });
+    assert.deepEqual((await api('GET', '/api/texts?langCode=ca')).body.texts, []);
+});
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { createStats } = require('../stats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-10T12:00:00Z');
+const daysLater = (days) => new Date(now.getTime() + days * DAY_MS).toISOString();
+
+// The columns stats.js reads, as server.js creates them.
+const setup = () => {
+    const db = new Database(':memory:');
+    db.exec(`
+        CREATE TABLE user_vocabulary_progress (
+            user_id TEXT, language_code TEXT, word_text TEXT, current_step INTEGER DEFAULT 0, next_review_date TEXT,
+            status TEXT DEFAULT 'learning', lookup_count INTEGER DEFAULT 0, successful_reads INTEGER DEFAULT 0
+        );
+        CREATE TABLE review_events (
+            event_id INTEGER PRIMARY KEY AUTOINCREMENT, user_id TEXT, language_code TEXT, word_text TEXT, event_type TEXT,
+            prior_step INTEGER, prior_interval REAL, was_new INTEGER DEFAULT 0, was_target INTEGER DEFAULT 0
+        );
+        CREATE TABLE daily_activity (
+            user_id TEXT NOT NULL, language_code TEXT NOT NULL, day TEXT NOT NULL,
+            passed INTEGER DEFAULT 0, looked_up INTEGER DEFAULT 0, reading_seconds INTEGER DEFAULT 0,
+            PRIMARY KEY (user_id, language_code, day)
+        );
+    `);
+    const word = (word, fields = {}, userId = 'me') => db.prepare(`
+        INSERT INTO user_vocabulary_progress (user_id, language_code, word_text, next_review_date, lookup_count, successful_reads, current_step)
+        VALUES (?, 'es', ?, ?, ?, ?, ?)
+    `).run(userId, word, fields.nextReview || daysLater(30), fields.lookups || 0, fields.passes || 0, fields.step || 0);
+    const event = (word, type, fields = {}) => db.prepare(`
+        INSERT INTO review_events (user_id, language_code, word_text, event_type, prior_step, prior_interval, was_new, was_target)
+        VALUES ('me', 'es', ?, ?, ?, ?, ?, ?)
+    `).run(word, type, fields.step === undefined ? 2 : fields.step, fields.interval === undefined ? 3 : fields.interval,
+           fields.wasNew ? 1 : 0, fields.wasTarget ? 1 : 0);
+    return { stats: createStats(db), word, event };
+};
+
+test('the forecast counts words by the day they fall due, overdue ones today', () => {
+    const { stats, word } = setup();
+    word('atrasada', { nextReview: daysLater(-3) });
+    word('hoy', { nextReview: daysLater(0.4) });
+    word('pasado', { nextReview: daysLater(2) });
+    word('lejos', { nextReview: daysLater(7) });
+    word('ajena', { nextReview: daysLater(0) }, 'someone else');
+
+    assert.deepEqual(stats.forecast('me', 'es', 7, now), [
+        { day: '2026-03-10', due: 2 },
+        { day: '2026-03-11', due: 0 },
+        { day: '2026-03-12', due: 1 },
+        { day: '2026-03-13', due: 0 },
+        { day: '2026-03-14', due: 0 },
+        { day: '2026-03-15', due: 0 },
+        { day: '2026-03-16', due: 0 }
+    ]);
+    assert.equal(stats.forecast('me', 'es', 8, now)[7].due, 1);
+});
+
+test('retention is the share of real reviews passed, by step and by interval', () => {
+    const { stats, event } = setup();
+    event('casa', 'pass', { step: 2, interval: 3 });
+    event('perro', 'lookup', { step: 2, interval: 5 });
+    event('gato', 'pass', { step: 4, interval: 20 });
+    event('gato', 'lookup', { step: 4, interval: 20 });
+    event('gato', 'undo');
+    // First sights aren't reviews.
+    event('nuevo', 'lookup', { wasNew: true });
+    event('meta', 'pass', { wasTarget: true });
+    event('casa', 'reset');
+
+    const { byStep, byInterval } = stats.retention('me', 'es');
+    assert.deepEqual(byStep, [
+        { step: 2, reviews: 2, passed: 1, rate: 0.5 },
+        { step: 4, reviews: 1, passed: 1, rate: 1 }
+    ]);
+    const bucket = (label) => byInterval.find(b => b.bucket === label);
+    assert.deepEqual(bucket('3-7d'), { bucket: '3-7d', reviews: 2, passed: 1, rate: 0.5 });
+    assert.deepEqual(bucket('2-4w'), { bucket: '2-4w', reviews: 1, passed: 1, rate: 1 });
+    assert.equal(bucket('< 1d').rate, null);
+});
+
+test('leeches are words looked up at least the threshold number of times, worst first', () => {
+    const { stats, word } = setup();
+    word('olvido', { lookups: 6, passes: 1 });
+    word('duda', { lookups: 4, passes: 0 });
+    word('tropiezo', { lookups: 4, passes: 3 });
+    word('casi', { lookups: 3 });
+    word('ajena', { lookups: 9 }, 'someone else');
+
+    assert.deepEqual(stats.leeches('me', 'es', 4, 50).map(l => [l.word, l.lookups, l.passes]),
+        [['olvido', 6, 1], ['duda', 4, 0], ['tropiezo', 4, 3]]);
+    assert.deepEqual(stats.leeches('me', 'es', 3, 2).map(l => l.word), ['olvido', 'duda']);
+    assert.deepEqual(stats.leeches('me', 'es', 7, 50), []);
+});
+
+test('daily activity adds up per day and a lookup taken back never goes below zero', () => {
+    const { stats } = setup();
+    const yesterday = new Date(now.getTime() - DAY_MS);
+    stats.recordActivity('me', 'es', { passed: 3, seconds: 90 }, yesterday);
+    stats.recordActivity('me', 'es', { lookedUp: 1 }, now);
+    stats.recordActivity('me', 'es', { lookedUp: -1 }, now);
+    stats.recordActivity('me', 'es', { lookedUp: -1 }, now);
+    stats.recordActivity('me', 'es', { passed: 2 }, now);
+
+    assert.deepEqual(stats.activity('me', 'es', 3, now), [
+        { day: '2026-03-08', passed: 0, lookedUp: 0, minutes: 0 },
+        { day: '2026-03-09', passed: 3, lookedUp: 0, minutes: 2 },
+        { day: '2026-03-10', passed: 2, lookedUp: 0, minutes: 0 }
+    ]);
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { segmentText, extractWords, normalizeWord, importKeys, isExpression, findExpressions } = require('../shared/text');
+
+const words = (text, langCode) => segmentText(text, langCode).map(t => t.key).filter(Boolean);
+
+test('tokens join back into the passage, with punctuation and numbers left unkeyed', () => {
+    const text = 'Casa, casa! CASA 42.';
+    assert.equal(segmentText(text, 'es').map(t => t.text).join(''), text);
+    assert.deepEqual(words(text, 'es'), ['casa', 'casa', 'casa']);
+    assert.deepEqual(extractWords(text, 'es'), ['casa']);
+});
+
+test('Japanese is split into words without spaces to go by', () => {
+    const text = '私は毎日日本語を勉強します。';
+    assert.deepEqual(words(text, 'ja'), ['私', 'は', '毎日', '日本語', 'を', '勉強', 'し', 'ます']);
+    assert.equal(segmentText(text, 'ja').map(t => t.text).join(''), text);
+    assert.deepEqual(words('勉強する', 'ja'), ['勉強', 'する']);
+});
+
+test('an imported entry is tracked as the words passages read it as', () => {
+    assert.deepEqual(importKeys('勉強する', 'ja'), ['勉強', 'する']);
+    assert.deepEqual(importKeys('学习', 'zh'), ['学习']);
+    assert.deepEqual(importKeys(' Darse  cuenta ', 'es'), ['darse cuenta']);
+    assert.deepEqual(importKeys("l'homme", 'fr'), ["l'homme"]);
+    assert.deepEqual(importKeys('42', 'es'), []);
+});
+
+test('Chinese is split into words without spaces to go by', () => {
+    assert.deepEqual(words('我每天学习中文。', 'zh'), ['我', '每天', '学习', '中文']);
+    assert.equal(normalizeWord('学习', 'zh'), '学习');
+});
+
+test('Arabic drops vowel marks and peels off the article and pronoun suffixes', () => {
+    assert.deepEqual(words('وَالكِتَابُ على الطاولة. كتابها جميل', 'ar'), ['كتاب', 'علي', 'طاولة', 'كتاب', 'جميل']);
+    assert.equal(normalizeWord('أحمد', 'ar'), 'احمد');
+    assert.equal(normalizeWord('مستشفى', 'ar'), 'مستشفي');
+    assert.equal(normalizeWord('كتابـــها', 'ar'), 'كتاب');
+    // Too short to be carrying an article or a suffix.
+    assert.equal(normalizeWord('الم', 'ar'), 'الم');
+    assert.equal(normalizeWord('نا', 'ar'), 'نا');
+});
+
+test('elided words are split off and keyed with their apostrophe', () => {
+    assert.deepEqual(words("L'homme qu’il voit", 'fr'), ["l'", 'homme', "qu'", 'il', 'voit']);
+    assert.deepEqual(words("dell'acqua", 'it'), ["dell'", 'acqua']);
+    assert.deepEqual(words("aujourd'hui", 'fr'), ['aujourdhui']);
+    assert.equal(normalizeWord('l’', 'fr'), "l'");
+});
+
+test('hyphenated words stay whole, except pronouns hyphenated onto a verb', () => {
+    assert.deepEqual(words('Peut-être, dit-il, a-t-elle un arc-en-ciel', 'fr'), ['peut-être', 'dit', 'il', 'a', 't', 'elle', 'un', 'arc-en-ciel']);
+    assert.deepEqual(words('a well-known name', 'en'), ['a', 'well-known', 'name']);
+    assert.equal(normalizeWord('Peut-Être', 'fr'), 'peut-être');
+});
+
+test('expression keys keep what separated their words', () => {
+    assert.equal(normalizeWord('  Darse   cuenta ', 'es'), 'darse cuenta');
+    assert.equal(normalizeWord("D'accord", 'fr'), "d'accord");
+    assert.equal(normalizeWord('casa', 'es'), 'casa');
+    assert.equal(isExpression('il y a', 'fr'), true);
+    assert.equal(isExpression("d'accord", 'fr'), true);
+    assert.equal(isExpression('peut-être', 'fr'), false);
+    assert.equal(isExpression("l'", 'fr'), false);
+});
+
+const occurrences = (text, expressions, langCode, lemmas = {}) => {
+    const tokens = segmentText(text, langCode);
+    return findExpressions(tokens, expressions, { langCode, lemmaOf: w => lemmas[w] || w })
+        .map(m => [m.expression, tokens.slice(m.start, m.end + 1).map(t => t.text).join('')]);
+};
+
+test('expressions are found inflected, with a reflexive pronoun and split by a pronoun', () => {
+    const lemmas = { di: 'dar', tengo: 'tener' };
+    assert.deepEqual(occurrences('Ayer me di cuenta de que tengo que irme. Tener. Que.', ['darse cuenta', 'tener que'], 'es', lemmas),
+        [['darse cuenta', 'me di cuenta'], ['tener que', 'tengo que']]);
+
+    const tokens = segmentText('Pick it up.', 'en');
+    const [found] = findExpressions(tokens, ['pick up'], { langCode: 'en' });
+    // "it" is inside the occurrence but not part of the expression.
+    assert.deepEqual([found.start, found.end, found.parts.length], [0, 4, 2]);
+});
+
+test('expressions are not split by any other word', () => {
+    assert.deepEqual(occurrences('Tengo algo que hacer y tengo lo que quiero.', ['tener que'], 'es', { tengo: 'tener' }), []);
+    assert.deepEqual(occurrences('Pick the box up.', ['pick up'], 'en'), []);
+});
+
+test('longer expressions win overlaps and sentences are not crossed', () => {
+    const tokens = segmentText('Il se rend compte de tout. Il y. A', 'fr');
+    const found = findExpressions(tokens, ['se rendre compte', 'se rendre compte de', 'il y a'], { langCode: 'fr', lemmaOf: w => (w === 'rend' ? 'rendre' : w) });
+    assert.deepEqual(found.map(m => m.expression), ['se rendre compte de']);
+});